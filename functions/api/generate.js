@@ -58,7 +58,8 @@ Always return ONLY valid JSON with a single top-level "graph" object:
 {
   "graph": {
     "nodes": [ { "id":"n1", "label":"Start", "type":"process" }, { "id":"n2", "label":"Check status?", "type":"decision" }, ... ],
-    "edges": [ { "from":"n1", "to":"n2", "label":"yes" }, ... ]
+    "edges": [ { "from":"n1", "to":"n2", "label":"yes" }, ... ],
+    "groups": [ { "id":"g1", "label":"Sales", "kind":"lane" }, ... ]
   }
 }
 
@@ -68,9 +69,10 @@ CRITICAL FLOWCHART DESIGN RULES:
 1. **Clear branching logic**: Decision nodes (ending with '?') must have 2+ outgoing edges with clear labels (yes/no, true/false, option names).
 2. **Proper convergence**: When branches rejoin, they must point to the SAME node ID and label. Don't create duplicate "End" nodes.
 3. **Logical flow**: Think through the actual process step-by-step. Each node should represent a meaningful action or decision.
-4. **Node types**: Use "decision" type ONLY for nodes ending with '?'. All others are "process" type.
+4. **Node types**: Use "decision" type ONLY for nodes ending with '?'. Use "terminator" for the start and end points, "io" for inputs/outputs (forms, user input, reports sent out), "subprocess" for a step that is its own documented procedure, "database" for data stores, and "document" for produced documents. All other steps are "process" type.
 5. **Unique IDs**: Each node must have a unique id (n1, n2, n3...). Never reuse IDs.
 6. **Edge labels**: Label decision branches clearly (yes/no, approved/rejected, option A/B/C).
+7. **Lanes (optional)**: When the process clearly involves several teams, roles or systems, add a "groups" array with one { "id", "label", "kind": "lane" } entry per owner and set "group" on each node to the id of the lane that owns it. Leave "groups" out when ownership isn't meaningful.
 
 Be creative but logical: If the user says "pizza", create a flowchart about ordering/making pizza with decision points. If they say "startup", create a flowchart about launching a startup with key milestones and decisions. Always generate a flowchart no matter what the input is.
 
@@ -79,12 +81,12 @@ Input: "morning routine"
 {
   "graph": {
     "nodes": [
-      { "id": "n1", "label": "Wake up", "type": "process" },
+      { "id": "n1", "label": "Wake up", "type": "terminator" },
       { "id": "n2", "label": "Hit snooze?", "type": "decision" },
       { "id": "n3", "label": "Sleep 10 min", "type": "process" },
       { "id": "n4", "label": "Shower", "type": "process" },
       { "id": "n5", "label": "Breakfast", "type": "process" },
-      { "id": "n6", "label": "Leave home", "type": "process" }
+      { "id": "n6", "label": "Leave home", "type": "terminator" }
     ],
     "edges": [
       { "from": "n1", "to": "n2" },
@@ -98,9 +100,11 @@ Input: "morning routine"
 }
 
 When you output the JSON graph ensure:
-- Each node has an 'id' (string, e.g. "n1", "n2"), 'label' (string, the text shown), and 'type' (either 'process' or 'decision').
+- Each node has an 'id' (string, e.g. "n1", "n2"), 'label' (string, the text shown), and 'type' (one of 'process', 'decision', 'terminator', 'io', 'subprocess', 'database', 'document').
 - Decision nodes must have labels ending with '?'
 - Each edge has 'from' and 'to' set to node ids and an optional 'label' for the edge text.
+- Edges may set an optional 'style' ('dashed', 'dotted' or 'thick') and 'arrow' ('both' for a two-way link, 'none' for a plain association line); leave them out for a normal solid arrow.
+- Nodes may have an optional 'group' set to the id of an entry in 'groups'; every group id used must be listed in 'groups'.
 - When branches converge, use the SAME node id (don't duplicate nodes).
 - Aim for 6-12 nodes for good visual flow.
 `.trim();
@@ -0,0 +1,21 @@
+/**
+ * Lets `node --test` load the app's modules as Vite does, where imports
+ * leave out the ".js" extension. Loaded with --import; registers itself as
+ * a module resolve hook.
+ */
+
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+
+// Hooks run on a thread of their own, which loads this file again
+if (isMainThread) register(import.meta.url);
+
+// Relative imports whose last path segment has no extension
+const EXTENSIONLESS_PATTERN = /^\.{1,2}\/(.*\/)?[^/.]+$/;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (EXTENSIONLESS_PATTERN.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
@@ -1,93 +1,555 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import FlowCanvas from './FlowCanvas';
-import { parseWorkflow } from './parser';
+import DiagnosticsList from './DiagnosticsList';
+import LayoutControls from './LayoutControls';
+import ThemePicker from './ThemePicker';
+import FlowOutline from './FlowOutline';
+import { parseWorkflow, setLayoutDirectives, nodeReference, toWorkflow, editWorkflow } from './parser';
+import { isMermaid, parseMermaid, toMermaid, setMermaidDirection, editMermaid } from './mermaid';
+import { isDot, parseDot, toDot, editDot } from './dot';
 import { generateFlowchartViaProxy } from './ai';
-import { jsPDF } from 'jspdf';
+import { DEFAULT_LAYOUT } from './layout';
+import { DEFAULT_THEME_ID, getTheme } from './themes';
+import { createEmbed, addSvgEmbed, readSvgEmbed, addPngEmbed, readPngEmbed } from './embed';
+import { setPinLines } from './pins';
+import { DEFAULT_SEED, randomSeed, setSeedLine } from './seed';
+import { applyGraphEdit, sameGraph } from './graphEdits';
+import { outlineText } from './outline';
+import { createPdf } from './pdfExport';
+import { DEFAULT_EXPORT_OPTIONS, exportBackground, defaultExportName, exportFileName } from './exportOptions';
+import ExportDialog from './ExportDialog';
+import DocumentLibrary from './DocumentLibrary';
+import {
+  UNTITLED, listDocuments, putDocument, deleteDocument, getLastDocumentId, setLastDocumentId,
+  newDocument, libraryFile, readLibraryFile, importDocuments,
+} from './library';
+import { createShareLink, readShareLink } from './share';
 import './styles.css';
 
 const EXAMPLE_TEXT = 'Start → Qualify lead? yes → Book call; no → Send email → End';
 
+// The open chart is saved this long after the last change
+const AUTOSAVE_DELAY_MS = 500;
+
+// Shared links longer than this may be cut off by chat apps and wikis
+const LONG_LINK_LENGTH = 8000;
+
+// Pasted DOT or Mermaid is read as-is; everything else is NapkinFlow syntax
+function parseSource(text) {
+  if (isDot(text)) return parseDot(text);
+  if (isMermaid(text)) return parseMermaid(text);
+  return parseWorkflow(text);
+}
+
+// Make a canvas edit to the source in place, in the format it's written in;
+// null when that can't be done (see editWorkflow)
+function editSource(text, edit) {
+  if (isDot(text)) return editDot(text, edit);
+  if (isMermaid(text)) return editMermaid(text, edit);
+  return editWorkflow(text, edit);
+}
+
+// Write a layout change back into the source so it's saved with the text.
+// DOT is left alone; its rankdir/nodesep/ranksep/splines are the user's to edit.
+function applyLayoutToSource(text, layout) {
+  if (isDot(text)) return text;
+  if (isMermaid(text)) return setMermaidDirection(text, layout.direction === 'TB' ? 'TD' : layout.direction);
+  return setLayoutDirectives(text, layout);
+}
+
+// Write manual node positions back into the source as "@pin" lines
+function applyPinsToSource(text, nodes, pins) {
+  const foreign = isDot(text) || isMermaid(text);
+  const entries = nodes
+    .filter(node => pins[node.id])
+    .map(node => ({ ...pins[node.id], ref: foreign ? node.id : nodeReference(node) }));
+  if (isDot(text)) return setPinLines(text, entries, '//');
+  if (isMermaid(text)) return setPinLines(text, entries, '%%');
+  return setPinLines(text, entries);
+}
+
+// The text a chart can be drawn again from: the text it was rendered from,
+// or, for AI output, which has none, the chart written out as NapkinFlow
+function chartSource(data, renderedText, layout) {
+  return renderedText ?? toWorkflow(data, { layout, pins: data.pins, seed: data.seed ?? DEFAULT_SEED });
+}
+
+// Whether two snapshots of the open chart (see saveOpenDocument) are the same
+function sameChartState(a, b) {
+  return Object.keys(a).every(key => (key === 'layout'
+    ? JSON.stringify(a.layout) === JSON.stringify(b.layout)
+    : a[key] === b[key]));
+}
+
+// Write the document seed back into the source as an "@seed" line
+function applySeedToSource(text, seed) {
+  if (isDot(text)) return setSeedLine(text, seed, '//');
+  if (isMermaid(text)) return setSeedLine(text, seed, '%%');
+  return setSeedLine(text, seed);
+}
+
 function App() {
   const [inputText, setInputText] = useState('');
   const [parsedData, setParsedData] = useState({ nodes: [], edges: [] });
-  const [svgElement, setSvgElement] = useState(null);
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [layout, setLayout] = useState(DEFAULT_LAYOUT);
+  const [themeId, setThemeId] = useState(DEFAULT_THEME_ID);
+  // Returns the canvas svg with every shape drawn (see FlowCanvas)
+  const [getChartSvg, setGetChartSvg] = useState(null);
   const [loading, setLoading] = useState(false);
   const [showInstructions, setShowInstructions] = useState(false);
   const [lastAIPrompt, setLastAIPrompt] = useState('');
   const [exportOpen, setExportOpen] = useState(false);
+  const [showOutline, setShowOutline] = useState(false);
+  const [dropActive, setDropActive] = useState(false);
+  const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+  // Open export settings: { format: 'svg' | 'png' | 'pdf', filename }
+  const [exportDialog, setExportDialog] = useState(null);
+  // Nodes selected on the canvas, for exporting just those
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Saved charts (see library.js), the one open, and a note if saving fails
+  const [documents, setDocuments] = useState([]);
+  const [documentId, setDocumentId] = useState(null);
+  const [libraryStatus, setLibraryStatus] = useState('');
+  // { id, state } of the open chart as last loaded or saved, so autosave
+  // can tell whether anything changed
+  const savedRef = useRef(null);
+  // Showing a chart from a read-only shared link, without the editor
+  const [viewOnly, setViewOnly] = useState(false);
+  // Short-lived note after "Copy link"
+  const [linkNotice, setLinkNotice] = useState('');
   const exportRef = useRef(null);
+  const textareaRef = useRef(null);
+  // Text the current chart was rendered from; null for AI output
+  const renderedTextRef = useRef(null);
+  // Shown when a canvas edit had to rewrite the whole text (see handleCanvasEdit)
+  const [editNotice, setEditNotice] = useState('');
+  // Latest chart and text for callbacks that must keep a stable identity
+  const latestRef = useRef({});
+  latestRef.current = { parsedData, inputText, layout, themeId, lastAIPrompt, documentId, documents };
+  const theme = getTheme(themeId);
+  const seed = parsedData.seed ?? DEFAULT_SEED;
+
+  const renderText = (text) => {
+    const data = parseSource(text);
+    setParsedData(data);
+    setDiagnostics(data.diagnostics);
+    // Settings written in the text win; anything it leaves out keeps its current value
+    setLayout(current => ({ ...current, ...data.layout }));
+    renderedTextRef.current = text;
+  };
+
+  const handleRender = () => renderText(inputText);
+
+  const handleLayoutChange = (changes) => {
+    const next = { ...layout, ...changes };
+    setLayout(next);
+    // Only touch the text if it's what the chart was drawn from (not an AI prompt)
+    if (inputText.trim() && inputText === renderedTextRef.current) {
+      const updated = applyLayoutToSource(inputText, next);
+      setInputText(updated);
+      renderedTextRef.current = updated;
+    }
+  };
+
+  // Save new manual positions on the chart and, if it came from the text, in the text
+  const updatePins = useCallback((pins) => {
+    const { parsedData: data, inputText: text } = latestRef.current;
+    setParsedData({ ...data, pins });
+    if (text.trim() && text === renderedTextRef.current) {
+      const updated = applyPinsToSource(text, data.nodes, pins);
+      setInputText(updated);
+      renderedTextRef.current = updated;
+    }
+  }, []);
+
+  // Stable so FlowCanvas doesn't redraw on every keystroke
+  const handleNodeMove = useCallback((nodeId, position) => {
+    updatePins({ ...latestRef.current.parsedData.pins, [nodeId]: position });
+  }, [updatePins]);
+
+  const handleResetPositions = () => updatePins({});
+
+  // Pick a new seed for a fresh hand-drawn look, saved in the text like pins
+  const handleReshuffle = () => {
+    const next = randomSeed(seed);
+    setParsedData({ ...parsedData, seed: next });
+    if (inputText.trim() && inputText === renderedTextRef.current) {
+      const updated = applySeedToSource(inputText, next);
+      setInputText(updated);
+      renderedTextRef.current = updated;
+    }
+  };
+
+  // Apply a canvas edit to the text. Where the edit can be made in place
+  // (see editSource), only the text it affects changes, and comments, blocks
+  // and lines NapkinFlow doesn't read stay as written. If it can't be, or the
+  // result doesn't read back as the edited chart, the whole text is
+  // rewritten from the edited graph in the format it was written in
+  // (NapkinFlow for AI output) and a notice says so. Either way it's
+  // re-parsed so text and chart agree exactly.
+  const handleCanvasEdit = useCallback((edit) => {
+    const { parsedData: data, layout: currentLayout } = latestRef.current;
+    const next = applyGraphEdit(data, edit);
+    const source = renderedTextRef.current || '';
+
+    let text = source.trim() ? editSource(source, edit) : null;
+    // Pins name nodes by label in NapkinFlow, and a deleted node's pin goes
+    if (text !== null && edit.id && data.pins?.[edit.id]) text = applyPinsToSource(text, next.nodes, next.pins);
+    let reparsed = text !== null ? parseSource(text) : null;
+    if (reparsed && sameGraph(reparsed, next)) {
+      setEditNotice('');
+    } else {
+      const options = { layout: currentLayout, pins: next.pins, seed: next.seed };
+      if (isDot(source)) text = toDot(next, options);
+      else if (isMermaid(source)) text = toMermaid(next, options);
+      else text = toWorkflow(next, options);
+      reparsed = parseSource(text);
+      setEditNotice(source.trim()
+        ? 'That change could not be made to the text in place, so it was rewritten from the chart. Comments and formatting may have been lost.'
+        : '');
+    }
+
+    setInputText(text);
+    renderedTextRef.current = text;
+    setParsedData(reparsed);
+    setDiagnostics(reparsed.diagnostics);
+  }, []);
 
-  const handleRender = () => {
-    const data = parseWorkflow(inputText);
+  // Move the caret to a diagnostic's line/column so it can be fixed in place
+  const handleSelectDiagnostic = ({ line, column }) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const lines = inputText.split('\n');
+    let offset = 0;
+    for (let i = 0; i < line - 1 && i < lines.length; i++) {
+      offset += lines[i].length + 1;
+    }
+    offset += column - 1;
+    textarea.focus();
+    textarea.setSelectionRange(offset, offset);
+  };
+
+  // What exported images carry so they can be opened again (see embed.js)
+  const currentEmbed = () => createEmbed({
+    source: chartSource(parsedData, renderedTextRef.current, layout),
+    layout,
+    theme: themeId,
+    title: lastAIPrompt,
+  });
+
+  // Open a dropped file: an SVG or PNG exported from here (restoring its
+  // text, layout, theme and title) or a NapkinFlow, Mermaid or DOT text file
+  const openFile = async (file) => {
+    const name = file.name.toLowerCase();
+    let embed;
+    if (file.type === 'image/png' || name.endsWith('.png')) {
+      embed = readPngEmbed(new Uint8Array(await file.arrayBuffer()));
+    } else if (file.type === 'image/svg+xml' || name.endsWith('.svg')) {
+      embed = readSvgEmbed(await file.text());
+    } else if (file.type.startsWith('text/') || /\.(txt|mmd|mermaid|dot|gv)$/.test(name)) {
+      const text = await file.text();
+      openAsNewDocument(file.name, { text, source: text, layout, theme: themeId, title: '' });
+      return;
+    } else {
+      alert(`Can't open ${file.name}: drop an SVG or PNG exported from NapkinFlow, or a text, Mermaid or DOT file.`);
+      return;
+    }
+    if (!embed) {
+      alert(`${file.name} has no NapkinFlow chart in it. Only SVG and PNG files exported from NapkinFlow can be opened.`);
+      return;
+    }
+    openAsNewDocument(file.name, {
+      text: embed.source,
+      source: embed.source,
+      layout: { ...layout, ...embed.layout },
+      theme: embed.theme || themeId,
+      title: embed.title,
+    });
+  };
+
+  // Put a chart on screen: { text, source, layout, theme, title } as the
+  // library saves them. Returns the state autosave compares against.
+  const showChart = (chart) => {
+    const data = chart.source !== null ? parseSource(chart.source) : { nodes: [], edges: [] };
+    const nextLayout = { ...DEFAULT_LAYOUT, ...chart.layout, ...data.layout };
+    const nextTheme = chart.theme || DEFAULT_THEME_ID;
+    setInputText(chart.text);
     setParsedData(data);
+    setDiagnostics(data.diagnostics || []);
+    setLayout(nextLayout);
+    setThemeId(nextTheme);
+    setLastAIPrompt(chart.title);
+    renderedTextRef.current = chart.source;
+    return { text: chart.text, rendered: chart.source, data, layout: nextLayout, theme: nextTheme, title: chart.title };
   };
 
-  const handleExample = () => {
-    setInputText(EXAMPLE_TEXT);
+  // Show a document from the library, leaving any shared link behind
+  const showDocument = (doc) => {
+    savedRef.current = { id: doc.id, state: showChart(doc) };
+    setDocumentId(doc.id);
+    setViewOnly(false);
+    if (window.location.hash) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+    setLastDocumentId(doc.id).catch(() => {});
   };
 
-  const handleExportReady = useCallback((svg) => {
-    setSvgElement(svg);
+  /**
+   * Save the open document if its chart changed since it was loaded or last
+   * saved. Resolves to the document as saved (or as it was, if unchanged),
+   * or null if no document is open.
+   */
+  const saveOpenDocument = useCallback(async () => {
+    const { parsedData: data, inputText: text, layout: currentLayout, themeId: theme, lastAIPrompt: title, documentId: id, documents: list } = latestRef.current;
+    const base = list.find(doc => doc.id === id);
+    if (!base) return null;
+    const state = { text, rendered: renderedTextRef.current, data, layout: currentLayout, theme, title };
+    if (savedRef.current?.id === id && sameChartState(savedRef.current.state, state)) return base;
+
+    savedRef.current = { id, state };
+    const doc = {
+      ...base,
+      text,
+      source: data.nodes.length > 0 ? chartSource(data, state.rendered, currentLayout) : null,
+      layout: currentLayout,
+      theme,
+      title,
+      updated: Date.now(),
+    };
+    try {
+      await putDocument(doc);
+      setDocuments(current => [doc, ...current.filter(other => other.id !== id)]);
+      setLibraryStatus('');
+    } catch (err) {
+      setLibraryStatus(`Changes couldn't be saved: ${err?.message || String(err)}`);
+    }
+    return doc;
   }, []);
 
-  // Compute tight content bounding box for the current SVG
-  const getContentBBox = (svg) => {
+  // Save a new document, list it and open it. It's opened even if saving
+  // fails; autosave tries again with the next change.
+  const addDocument = async (doc) => {
     try {
-      const elements = Array.from(svg.querySelectorAll('*')).filter((el) => typeof el.getBBox === 'function');
-      if (elements.length === 0) return null;
-      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-      for (const el of elements) {
-        try {
-          const b = el.getBBox();
-          if (!b || !isFinite(b.x) || !isFinite(b.y) || !isFinite(b.width) || !isFinite(b.height)) continue;
-          minX = Math.min(minX, b.x);
-          minY = Math.min(minY, b.y);
-          maxX = Math.max(maxX, b.x + b.width);
-          maxY = Math.max(maxY, b.y + b.height);
-        } catch {}
-      }
-      if (!isFinite(minX) || !isFinite(minY) || !isFinite(maxX) || !isFinite(maxY)) return null;
-      return { x: minX, y: minY, width: Math.max(1, maxX - minX), height: Math.max(1, maxY - minY) };
-    } catch {
-      return null;
+      await putDocument(doc);
+    } catch (err) {
+      setLibraryStatus(`"${doc.name}" couldn't be saved: ${err?.message || String(err)}`);
+    }
+    setDocuments(current => [doc, ...current]);
+    showDocument(doc);
+  };
+
+  // Open a dropped file's chart as a new document named after the file
+  const openAsNewDocument = async (fileName, fields) => {
+    await saveOpenDocument();
+    addDocument(newDocument({ ...fields, name: fileName.replace(/\.[^.]+$/, '') || UNTITLED }));
+  };
+
+  // Open a chart from a shared link (see share.js): a read-only link is only
+  // shown, without an open document to autosave; any other becomes a new one
+  const openShareLink = ({ embed, view }) => {
+    const chart = { text: embed.source, source: embed.source, layout: embed.layout, theme: embed.theme, title: embed.title };
+    if (view) {
+      showChart(chart);
+      setDocumentId(null);
+      setViewOnly(true);
+    } else {
+      addDocument(newDocument({ ...chart, name: embed.title || 'Shared chart' }));
+    }
+  };
+
+  // Leave the read-only view with the chart as a new document
+  const handleEditCopy = () => {
+    addDocument(newDocument({
+      name: lastAIPrompt || 'Shared chart',
+      text: inputText,
+      source: renderedTextRef.current,
+      layout,
+      theme: themeId,
+      title: lastAIPrompt,
+    }));
+  };
+
+  const handleOpenDocument = async (id) => {
+    if (id === documentId) return;
+    await saveOpenDocument();
+    const doc = documents.find(other => other.id === id);
+    if (doc) showDocument(doc);
+  };
+
+  const handleCreateDocument = async () => {
+    await saveOpenDocument();
+    addDocument(newDocument());
+  };
+
+  const handleRenameDocument = async (id, name) => {
+    const doc = { ...documents.find(other => other.id === id), name };
+    setDocuments(current => current.map(other => (other.id === id ? doc : other)));
+    try {
+      await putDocument(doc);
+    } catch (err) {
+      alert('Renaming failed: ' + (err?.message || String(err)));
+    }
+  };
+
+  const handleDuplicateDocument = async (id) => {
+    // The open chart may have unsaved changes to copy
+    const saved = await saveOpenDocument();
+    const original = saved?.id === id ? saved : documents.find(other => other.id === id);
+    const { text, source, layout: savedLayout, theme: savedTheme, title } = original;
+    addDocument(newDocument({ name: `${original.name} (copy)`, text, source, layout: savedLayout, theme: savedTheme, title }));
+  };
+
+  const handleDeleteDocument = async (id) => {
+    try {
+      await deleteDocument(id);
+    } catch (err) {
+      alert('Deleting failed: ' + (err?.message || String(err)));
+      return;
+    }
+    const rest = documents.filter(other => other.id !== id);
+    setDocuments(rest);
+    if (id !== documentId) return;
+    // Open the next chart, or a new empty one if that was the last
+    if (rest.length > 0) showDocument(rest[0]);
+    else addDocument(newDocument());
+  };
+
+  const handleExportLibrary = async () => {
+    await saveOpenDocument();
+    try {
+      const blob = new Blob([libraryFile(await listDocuments())], { type: 'application/json;charset=utf-8' });
+      downloadBlob(blob, 'napkinflow-library.json');
+    } catch (err) {
+      alert('Exporting the library failed: ' + (err?.message || String(err)));
+    }
+  };
+
+  const handleImportLibrary = async (file) => {
+    try {
+      const imported = readLibraryFile(await file.text());
+      const open = await saveOpenDocument();
+      const count = await importDocuments(imported);
+      const list = await listDocuments();
+      setDocuments(list);
+      // A newer copy of the open chart replaces what's on screen
+      const replaced = open && list.find(doc => doc.id === open.id);
+      if (replaced && replaced.updated !== open.updated) showDocument(replaced);
+      const skipped = imported.length - count;
+      alert(`Imported ${count} ${count === 1 ? 'chart' : 'charts'}${skipped > 0 ? ` (${skipped} already up to date)` : ''}.`);
+    } catch (err) {
+      alert('Importing the library failed: ' + (err?.message || String(err)));
     }
   };
 
+  // Open the chart in the page's link if it has one. Otherwise reopen the
+  // chart that was open last time, or start with an empty one (only saved
+  // once something is in it).
   useEffect(() => {
-    function onKey(e) {
-      if (e.key === 'Escape') {
-        setShowInstructions(false);
-        setExportOpen(false);
+    let current = true;
+    const shared = readShareLink(window.location.hash).then(link => ({ link }), linkError => ({ linkError }));
+    const library = Promise.all([listDocuments(), getLastDocumentId()]).then(
+      ([list, lastId]) => ({ list, lastId }),
+      error => ({ list: [], lastId: null, error })
+    );
+    Promise.all([shared, library]).then(([{ link, linkError }, { list, lastId, error }]) => {
+      if (!current) return;
+      if (error) setLibraryStatus(`Charts can't be saved in this browser: ${error?.message || String(error)}`);
+      if (linkError) alert('Opening the shared chart failed: ' + (linkError?.message || String(linkError)));
+      setDocuments(list);
+      if (link) {
+        openShareLink(link);
+      } else if (!error) {
+        const doc = list.find(other => other.id === lastId) || list[0] || newDocument();
+        if (list.length === 0) setDocuments([doc]);
+        showDocument(doc);
       }
-    }
-    window.addEventListener('keydown', onKey);
-    return () => window.removeEventListener('keydown', onKey);
+    });
+    return () => {
+      current = false;
+    };
   }, []);
 
+  // A shared link pasted into the address bar of the open page
   useEffect(() => {
-    function onDocClick(e) {
-      if (exportRef.current && !exportRef.current.contains(e.target)) {
-        setExportOpen(false);
+    const onHashChange = async () => {
+      let link;
+      try {
+        link = await readShareLink(window.location.hash);
+      } catch (err) {
+        alert('Opening the shared chart failed: ' + (err?.message || String(err)));
+        return;
       }
-    }
-    document.addEventListener('click', onDocClick);
-    return () => document.removeEventListener('click', onDocClick);
+      if (!link) return;
+      await saveOpenDocument();
+      openShareLink(link);
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [saveOpenDocument]);
+
+  // Autosave a moment after the last change, and when the page is hidden
+  useEffect(() => {
+    if (!documentId) return undefined;
+    const timer = setTimeout(saveOpenDocument, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [documentId, inputText, parsedData, layout, themeId, lastAIPrompt, saveOpenDocument]);
+
+  useEffect(() => {
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') saveOpenDocument();
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+  }, [saveOpenDocument]);
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    // Without this the browser would open the file in place of the app
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setDropActive(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDropActive(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setDropActive(false);
+    const file = e.dataTransfer.files[0];
+    if (file) openFile(file);
+  };
+
+  const handleExample = () => {
+    setInputText(EXAMPLE_TEXT);
+  };
+
+  const handleExportReady = useCallback((getSvg) => {
+    setGetChartSvg(() => getSvg);
   }, []);
 
-  const exportSVGWithPadding = (padding = 40) => {
-    if (!svgElement) {
+  // The chart as a standalone svg for export, with `options` (see
+  // exportOptions.js) applied: { wrapper, width, height }, or null
+  const buildExportSvg = (options) => {
+    if (!getChartSvg) {
       alert('Please render a flowchart first');
       return null;
     }
-    // Compute tight bounding box of content
-    const bbox = getContentBBox(svgElement);
-    if (!bbox) {
-      alert('Unable to measure SVG content');
+    const chart = getChartSvg(options.area);
+    if (!chart) {
+      alert(options.area === 'selection'
+        ? 'Select the nodes to export first: Ctrl-click (⌘-click on a Mac) them on the canvas.'
+        : 'Unable to measure SVG content');
       return null;
     }
 
-    const paddedWidth = Math.ceil(bbox.width + padding);
-    const paddedHeight = Math.ceil(bbox.height + padding);
+    const { box } = chart;
+    const padding = options.padding;
+    const paddedWidth = Math.ceil(box.width + padding * 2);
+    const paddedHeight = Math.ceil(box.height + padding * 2);
 
     // Create a new svg wrapper
     const wrapper = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -96,20 +558,40 @@ function App() {
     wrapper.setAttribute('height', paddedHeight);
     wrapper.setAttribute('viewBox', `0 0 ${paddedWidth} ${paddedHeight}`);
 
-    // Add white background
-    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    rect.setAttribute('width', '100%');
-    rect.setAttribute('height', '100%');
-    rect.setAttribute('fill', 'white');
-    wrapper.appendChild(rect);
+    // Name the image and describe the flow in words for screen readers
+    // (only the selected part, if that's what is exported)
+    const shown = options.area === 'selection' ? new Set(selectedIds) : null;
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.setAttribute('id', 'flowchart-title');
+    title.textContent = lastAIPrompt || 'Flowchart';
+    wrapper.appendChild(title);
+    const desc = document.createElementNS('http://www.w3.org/2000/svg', 'desc');
+    desc.setAttribute('id', 'flowchart-desc');
+    desc.textContent = outlineText(
+      shown ? parsedData.nodes.filter(node => shown.has(node.id)) : parsedData.nodes,
+      shown ? parsedData.edges.filter(edge => shown.has(edge.from) && shown.has(edge.to)) : parsedData.edges,
+      parsedData.groups
+    );
+    wrapper.appendChild(desc);
+    wrapper.setAttribute('role', 'img');
+    wrapper.setAttribute('aria-labelledby', 'flowchart-title flowchart-desc');
+
+    // Add the background, unless it's transparent
+    const background = exportBackground(options, theme);
+    if (background) {
+      const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      rect.setAttribute('width', paddedWidth);
+      rect.setAttribute('height', paddedHeight);
+      rect.setAttribute('fill', background);
+      wrapper.appendChild(rect);
+    }
 
-    // Offset original content by half padding
+    // Offset the exported part by the padding. Whatever lies outside it (when
+    // exporting the view) is cut off by the svg's own bounds.
     const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    g.setAttribute('transform', `translate(${padding / 2 - bbox.x}, ${padding / 2 - bbox.y})`);
-    // move children of cloned svg into g
-    const svgClone = svgElement.cloneNode(true);
-    while (svgClone.firstChild) {
-      g.appendChild(svgClone.firstChild);
+    g.setAttribute('transform', `translate(${padding - box.x}, ${padding - box.y})`);
+    while (chart.svg.firstChild) {
+      g.appendChild(chart.svg.firstChild);
     }
     wrapper.appendChild(g);
 
@@ -125,44 +607,62 @@ function App() {
     URL.revokeObjectURL(url);
   };
 
-  const exportSVG = () => {
-    const res = exportSVGWithPadding(40);
+  // SVG, PNG and PDF exports ask for their settings first (see ExportDialog)
+  const openExportDialog = (format) => {
+    setExportOpen(false);
+    if (!getChartSvg) {
+      alert('Please render a flowchart first');
+      return;
+    }
+    setExportDialog({ format, filename: defaultExportName(lastAIPrompt) });
+  };
+
+  const runExport = () => {
+    const { format, filename } = exportDialog;
+    setExportDialog(null);
+    if (format === 'svg') exportSVG(exportOptions, filename);
+    if (format === 'png') exportPNG(exportOptions, filename);
+    if (format === 'pdf') exportPDF(exportOptions, filename);
+  };
+
+  const exportSVG = (options, filename) => {
+    const res = buildExportSvg(options);
     if (!res) return;
+    addSvgEmbed(res.wrapper, currentEmbed());
     const serializer = new XMLSerializer();
     const svgString = serializer.serializeToString(res.wrapper);
     const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
-    downloadBlob(blob, 'flowchart.svg');
-    setExportOpen(false);
+    downloadBlob(blob, exportFileName(filename, 'svg'));
   };
 
-  const exportPNG = () => {
-    const res = exportSVGWithPadding(40);
+  const exportPNG = (options, filename) => {
+    const res = buildExportSvg(options);
     if (!res) return;
+    const embed = currentEmbed();
     const serializer = new XMLSerializer();
     const svgString = serializer.serializeToString(res.wrapper);
     const svgBlob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
     const url = URL.createObjectURL(svgBlob);
 
-    const SCALE = 3; // 3x resolution for crisp exports
-
     const img = new Image();
     img.onload = () => {
       const canvas = document.createElement('canvas');
-      canvas.width = res.width * SCALE;
-      canvas.height = res.height * SCALE;
+      canvas.width = Math.round(res.width * options.scale);
+      canvas.height = Math.round(res.height * options.scale);
       const ctx = canvas.getContext('2d');
 
-      // Scale context for high-res rendering
-      ctx.scale(SCALE, SCALE);
-
-      // White background
-      ctx.fillStyle = 'white';
-      ctx.fillRect(0, 0, res.width, res.height);
+      // Scale context for high-res rendering; the background is in the svg
+      ctx.scale(options.scale, options.scale);
       ctx.drawImage(img, 0, 0);
 
-      canvas.toBlob((blob) => {
-        downloadBlob(blob, 'flowchart.png');
+      canvas.toBlob(async (blob) => {
         URL.revokeObjectURL(url);
+        if (!blob) {
+          alert('Failed to render PNG for export: the image is too large. Try a smaller scale.');
+          return;
+        }
+        const bytes = addPngEmbed(new Uint8Array(await blob.arrayBuffer()), embed);
+        downloadBlob(new Blob([bytes], { type: 'image/png' }), exportFileName(filename, 'png'));
       }, 'image/png');
     };
     img.onerror = () => {
@@ -170,49 +670,71 @@ function App() {
       alert('Failed to render PNG for export.');
     };
     img.src = url;
-    setExportOpen(false);
   };
 
-  const exportPDF = async () => {
-    const res = exportSVGWithPadding(40);
+  const exportPDF = async (options, filename) => {
+    const res = buildExportSvg(options);
     if (!res) return;
-    const serializer = new XMLSerializer();
-    const svgString = serializer.serializeToString(res.wrapper);
-    const svgBlob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
-    const url = URL.createObjectURL(svgBlob);
+    try {
+      const pdf = await createPdf(res.wrapper, res.width, res.height, options, lastAIPrompt || 'Flowchart');
+      pdf.save(exportFileName(filename, 'pdf'));
+    } catch (err) {
+      alert('Failed to render PDF for export: ' + (err?.message || String(err)));
+    }
+  };
+
+  const exportMermaid = () => {
+    if (parsedData.nodes.length === 0) {
+      alert('Please render a flowchart first');
+      return;
+    }
+    const blob = new Blob([toMermaid(parsedData, { layout, pins: parsedData.pins, seed })], { type: 'text/plain;charset=utf-8' });
+    downloadBlob(blob, exportFileName(defaultExportName(lastAIPrompt), 'mmd'));
+    setExportOpen(false);
+  };
 
-    const SCALE = 3; // 3x resolution for crisp PDF
+  const exportDot = () => {
+    if (parsedData.nodes.length === 0) {
+      alert('Please render a flowchart first');
+      return;
+    }
+    const blob = new Blob([toDot(parsedData, { layout, pins: parsedData.pins, seed })], { type: 'text/vnd.graphviz;charset=utf-8' });
+    downloadBlob(blob, exportFileName(defaultExportName(lastAIPrompt), 'dot'));
+    setExportOpen(false);
+  };
 
-    const img = new Image();
-    img.onload = async () => {
-      // Create canvas to get image data at higher resolution
-      const canvas = document.createElement('canvas');
-      canvas.width = res.width * SCALE;
-      canvas.height = res.height * SCALE;
-      const ctx = canvas.getContext('2d');
-      ctx.scale(SCALE, SCALE);
-      ctx.fillStyle = 'white';
-      ctx.fillRect(0, 0, res.width, res.height);
-      ctx.drawImage(img, 0, 0);
-      // Use jsPDF to generate PDF
-      const pdf = new jsPDF({
-        unit: 'px',
-        format: [res.width, res.height],
-        orientation: res.width > res.height ? 'landscape' : 'portrait'
-      });
-      const dataURL = canvas.toDataURL('image/png');
-      pdf.addImage(dataURL, 'PNG', 0, 0, res.width, res.height);
-      pdf.save('flowchart.pdf');
-      URL.revokeObjectURL(url);
-    };
-    img.onerror = () => {
-      URL.revokeObjectURL(url);
-      alert('Failed to render PDF for export.');
-    };
-    img.src = url;
+  // Copy a link with the chart in it; a view-only link opens without the editor
+  const copyShareLink = async (view) => {
     setExportOpen(false);
+    if (parsedData.nodes.length === 0) {
+      alert('Please render a flowchart first');
+      return;
+    }
+    let url;
+    try {
+      url = await createShareLink(currentEmbed(), { view });
+    } catch (err) {
+      alert('Creating the link failed: ' + (err?.message || String(err)));
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch {
+      // No clipboard access (such as over plain http): show it to copy by hand
+      window.prompt('Copy this link:', url);
+      return;
+    }
+    setLinkNotice(url.length > LONG_LINK_LENGTH
+      ? `Link copied. It is ${url.length} characters long, so some chat apps and wikis may cut it off.`
+      : `${view ? 'View-only link' : 'Link'} copied`);
   };
 
+  useEffect(() => {
+    if (!linkNotice) return undefined;
+    const timer = setTimeout(() => setLinkNotice(''), 4000);
+    return () => clearTimeout(timer);
+  }, [linkNotice]);
+
   async function handleAIGenerate() {
     if (loading) return;
     setLoading(true);
@@ -233,6 +755,8 @@ function App() {
       }
 
       setParsedData(graph);
+      setDiagnostics([]);
+      renderedTextRef.current = null;
     } catch (err) {
       alert('AI generation failed: ' + (err?.message || String(err)));
     } finally {
@@ -241,81 +765,151 @@ function App() {
   }
 
   return (
-    <div className="app">
+    <div className="app" onDragOver={handleDragOver} onDragLeave={handleDragLeave} onDrop={handleDrop}>
+      {dropActive && (
+        <div className="drop-overlay" aria-hidden="true">Drop an exported SVG or PNG (or a text file) to open it</div>
+      )}
       <header className="header">
         <h1>NapkinFlow</h1>
         <p>Convert text to hand-drawn flowcharts</p>
       </header>
 
-      <div className="container">
-        <div className="controls">
-          <textarea
-            className="input-area"
-            value={inputText}
-            onChange={(e) => setInputText(e.target.value)}
-            placeholder="Enter workflow description (e.g., Start → Qualify lead? yes → Book call; no → Send email → End)"
-            rows={4}
+      <div className="workspace">
+        {!viewOnly && (
+          <DocumentLibrary
+            documents={documents}
+            currentId={documentId}
+            status={libraryStatus}
+            onOpen={handleOpenDocument}
+            onCreate={handleCreateDocument}
+            onRename={handleRenameDocument}
+            onDuplicate={handleDuplicateDocument}
+            onDelete={handleDeleteDocument}
+            onExport={handleExportLibrary}
+            onImport={handleImportLibrary}
           />
-          <div className="button-group">
-            <button onClick={handleRender} className="btn btn-primary" disabled={loading}>
-              Render
-            </button>
-            <button onClick={handleAIGenerate} className="btn btn-primary" disabled={loading}>
-              {loading ? 'Generating...' : 'AI Generate'}
-            </button>
-            <button onClick={handleExample} className="btn btn-secondary" disabled={loading}>
-              Example
-            </button>
-            <button onClick={() => setShowInstructions(true)} className="btn btn-secondary" disabled={loading}>
-              Instructions
-            </button>
-
-            <div className="export-container" ref={exportRef} style={{ display: 'inline-block', position: 'relative' }}>
-              <button
-                className="btn btn-export"
-                onClick={() => setExportOpen(o => !o)}
-                aria-haspopup="menu"
-                aria-expanded={exportOpen}
-              >
-                Export ▾
-              </button>
-              {exportOpen && (
-                <div role="menu" className="export-dropdown" style={{
-                  position: 'absolute',
-                  right: 0,
-                  marginTop: 6,
-                  background: '#fff',
-                  border: '1px solid #ddd',
-                  borderRadius: 6,
-                  boxShadow: '0 4px 12px rgba(0,0,0,0.08)',
-                  zIndex: 40,
-                }}>
-                  <button role="menuitem" className="btn" onClick={exportPNG} style={{ display: 'block', width: '100%', textAlign: 'left', padding: '8px 12px' }}>Export PNG</button>
-                  <button role="menuitem" className="btn" onClick={exportSVG} style={{ display: 'block', width: '100%', textAlign: 'left', padding: '8px 12px' }}>Export SVG</button>
-                  <button role="menuitem" className="btn" onClick={exportPDF} style={{ display: 'block', width: '100%', textAlign: 'left', padding: '8px 12px' }}>Export PDF</button>
-                </div>
-              )}
+        )}
+
+        <div className="container">
+          {viewOnly && (
+            <div className="view-bar">
+              <p>You're viewing a shared chart. Editing it makes a copy in your own charts.</p>
+              <button type="button" className="btn btn-primary" onClick={handleEditCopy}>Edit a copy</button>
             </div>
+          )}
+          <div className="controls" hidden={viewOnly}>
+            <textarea
+              ref={textareaRef}
+              className="input-area"
+              value={inputText}
+              onChange={(e) => {
+                setInputText(e.target.value);
+                setEditNotice('');
+              }}
+              placeholder={'Enter workflow description (e.g., Start → Qualify lead? yes → Book call; no → Send email → End)\nor one step per line, indenting the branches under a decision'}
+              rows={8}
+              spellCheck={false}
+            />
+            {editNotice && <p className="edit-notice" role="status">{editNotice}</p>}
+            <DiagnosticsList diagnostics={diagnostics} onSelect={handleSelectDiagnostic} />
+            <LayoutControls
+              layout={layout}
+              onChange={handleLayoutChange}
+              onResetPositions={handleResetPositions}
+              hasManualPositions={Object.keys(parsedData.pins || {}).length > 0}
+              disabled={loading}
+            />
+            <ThemePicker
+              themeId={themeId}
+              onChange={setThemeId}
+              onReshuffle={handleReshuffle}
+              disabled={loading}
+              canReshuffle={parsedData.nodes.length > 0 && theme.roughness > 0}
+            />
+            <div className="button-group">
+              <button onClick={handleRender} className="btn btn-primary" disabled={loading}>
+                Render
+              </button>
+              <button onClick={handleAIGenerate} className="btn btn-primary" disabled={loading}>
+                {loading ? 'Generating...' : 'AI Generate'}
+              </button>
+              <button onClick={handleExample} className="btn btn-secondary" disabled={loading}>
+                Example
+              </button>
+              <button onClick={() => setShowInstructions(true)} className="btn btn-secondary" disabled={loading}>
+                Instructions
+              </button>
+
+              <div className="export-container" ref={exportRef} style={{ display: 'inline-block', position: 'relative' }}>
+                <button
+                  className="btn btn-export"
+                  onClick={() => setExportOpen(o => !o)}
+                  aria-haspopup="menu"
+                  aria-expanded={exportOpen}
+                >
+                  Export ▾
+                </button>
+                {exportOpen && (
+                  <div role="menu" className="export-dropdown" style={{
+                    position: 'absolute',
+                    right: 0,
+                    marginTop: 6,
+                    background: '#fff',
+                    border: '1px solid #ddd',
+                    borderRadius: 6,
+                    boxShadow: '0 4px 12px rgba(0,0,0,0.08)',
+                    zIndex: 40,
+                  }}>
+                    <button role="menuitem" className="btn" onClick={() => openExportDialog('png')} style={{ display: 'block', width: '100%', textAlign: 'left', padding: '8px 12px' }}>Export PNG…</button>
+                    <button role="menuitem" className="btn" onClick={() => openExportDialog('svg')} style={{ display: 'block', width: '100%', textAlign: 'left', padding: '8px 12px' }}>Export SVG…</button>
+                    <button role="menuitem" className="btn" onClick={() => openExportDialog('pdf')} style={{ display: 'block', width: '100%', textAlign: 'left', padding: '8px 12px' }}>Export PDF…</button>
+                    <button role="menuitem" className="btn" onClick={exportMermaid} style={{ display: 'block', width: '100%', textAlign: 'left', padding: '8px 12px' }}>Export Mermaid</button>
+                    <button role="menuitem" className="btn" onClick={exportDot} style={{ display: 'block', width: '100%', textAlign: 'left', padding: '8px 12px' }}>Export DOT</button>
+                    <button role="menuitem" className="btn" onClick={() => copyShareLink(false)} style={{ display: 'block', width: '100%', textAlign: 'left', padding: '8px 12px' }}>Copy link</button>
+                    <button role="menuitem" className="btn" onClick={() => copyShareLink(true)} style={{ display: 'block', width: '100%', textAlign: 'left', padding: '8px 12px' }}>Copy view-only link</button>
+                  </div>
+                )}
+              </div>
+              {linkNotice && <span className="link-notice" role="status">{linkNotice}</span>}
 
+            </div>
           </div>
-        </div>
 
-        <div className="canvas-container" style={{ marginTop: 12 }}>
-          <div className="canvas-stack">
-            <div className="preview-hint" aria-hidden="true">Pan: Click and drag | Zoom: Mouse wheel</div>
-            <div className="canvas-body">
-              {parsedData.nodes.length > 0 ? (
-                <FlowCanvas
-                  nodes={parsedData.nodes}
-                  edges={parsedData.edges}
-                  onExportReady={handleExportReady}
-                  aiTitle={lastAIPrompt || ''}
-                />
-              ) : (
-                <div className="placeholder">
-                  <p>Enter a workflow description and click "Render" or use "AI Generate" to let the AI produce one</p>
-                  <p className="hint">Tip: Use "Example" to see a sample workflow</p>
-                </div>
+          <div className="canvas-container" style={{ marginTop: 12 }}>
+            <div className="canvas-stack">
+              <div className="canvas-toolbar">
+                <div className="preview-hint" aria-hidden="true">Pan: Drag or arrow keys | Zoom: Wheel, pinch or +/− | Fit: 0 | Double-click a node to zoom to it | Enter: step through nodes</div>
+                {parsedData.nodes.length > 0 && (
+                  <button type="button" className="btn-link" aria-expanded={showOutline} onClick={() => setShowOutline(open => !open)}>
+                    {showOutline ? 'Hide outline' : 'Show outline'}
+                  </button>
+                )}
+              </div>
+              <div className="canvas-body">
+                {parsedData.nodes.length > 0 ? (
+                  <FlowCanvas
+                    nodes={parsedData.nodes}
+                    edges={parsedData.edges}
+                    groups={parsedData.groups}
+                    layout={layout}
+                    pins={parsedData.pins}
+                    theme={theme}
+                    seed={seed}
+                    onNodeMove={viewOnly ? undefined : handleNodeMove}
+                    onEdit={viewOnly ? undefined : handleCanvasEdit}
+                    onExportReady={handleExportReady}
+                    onPickedChange={setSelectedIds}
+                    aiTitle={lastAIPrompt || ''}
+                  />
+                ) : (
+                  <div className="placeholder">
+                    <p>Enter a workflow description and click "Render" or use "AI Generate" to let the AI produce one</p>
+                    <p className="hint">Tip: Use "Example" to see a sample workflow</p>
+                  </div>
+                )}
+              </div>
+              {showOutline && parsedData.nodes.length > 0 && (
+                <FlowOutline nodes={parsedData.nodes} edges={parsedData.edges} groups={parsedData.groups} />
               )}
             </div>
           </div>
@@ -324,6 +918,19 @@ function App() {
 
       {/* Footer removed; hint moved to top */}
 
+      {exportDialog && (
+        <ExportDialog
+          format={exportDialog.format}
+          options={exportOptions}
+          filename={exportDialog.filename}
+          selectedCount={selectedIds.length}
+          onChange={(change) => setExportOptions(options => ({ ...options, ...change }))}
+          onFilenameChange={(filename) => setExportDialog(dialog => ({ ...dialog, filename }))}
+          onExport={runExport}
+          onClose={() => setExportDialog(null)}
+        />
+      )}
+
       {showInstructions && (
         <div
           className="modal-overlay"
@@ -339,23 +946,41 @@ function App() {
               onClick={() => setShowInstructions(false)}
             >✕</button>
             <h2>Instructions & Syntax</h2>
-            <p className="modal-tip">Pan: Click and drag | Zoom: Mouse wheel</p>
+            <p className="modal-tip">Pan: Drag (one finger on touch screens) or arrow keys | Zoom: Mouse wheel, pinch, the +/− buttons or keys | Fit: the Fit button or 0 | Double-click a node to zoom to it. Large charts show a minimap in the corner; click or drag in it to move around.</p>
+            <p className="modal-tip">Keyboard: with the canvas focused, Enter steps through the nodes — ↓ follows a connection, ←/→ choose between a decision's branches, ↑ goes back, Home jumps to the start, Enter edits the node, Space selects it for export and Escape goes back to panning. Each step is read out by screen readers, and <strong>Show outline</strong> lists the whole flow as text.</p>
             <p>Use the following simple syntax to create flowcharts. The buttons are:</p>
             <ul>
-              <li><strong>Render</strong> — parse the text and render a flowchart locally.</li>
+              <li><strong>Render</strong> — parse the text and render a flowchart locally. Problems such as stray brackets, dangling edge labels, one-way decisions or unreachable steps are listed under the editor; click one to jump to it.</li>
               <li><strong>AI Generate</strong> — ask the AI to produce a graph from your prompt and render it. The AI will follow the same syntax below.</li>
               <li><strong>Example</strong> — loads a sample workflow.</li>
               <li><strong>Instructions</strong> — this popup (what you're viewing now).</li>
-              <li><strong>Export</strong> — download the current flowchart (PNG, SVG, PDF).</li>
+              <li><strong>Charts</strong> (sidebar) — your charts are saved in this browser as you work and the last one reopens on reload. Start a new one, switch between them, rename, duplicate or delete them, and export or import the whole library as a JSON file for backups.</li>
+              <li><strong>Copy link</strong> (Export menu) — copies a link with the chart in it, to open in any browser. <strong>Copy view-only link</strong> opens the chart without the editor, for chats and wikis; <strong>Edit a copy</strong> makes it your own.</li>
+              <li><strong>Export</strong> — download the current flowchart (PNG, SVG, PDF, Mermaid or Graphviz DOT text). SVG, PNG and PDF exports first ask for a file name (taken from the title), the padding and background, the PNG scale or PDF page setup, and whether to export the whole chart, what the canvas shows or just the nodes selected with Ctrl-click (⌘-click). PDFs are vector drawings with selectable text on A4, Letter or A3 pages; large charts are split across pages. Exported SVG and PNG files carry the chart's text, layout and theme: drag one back onto the page to open it as a new chart. Text, Mermaid and DOT files can be dropped in too.</li>
             </ul>
 
             <h3>Workflow syntax</h3>
             <ul>
               <li>Use <code>{"->"}</code> or <code>→</code> for connections (e.g., <code>Start → Step</code>).</li>
+              <li>Change the line with other connectors: <code>{"-->"}</code> dashed, <code>{"..>"}</code> dotted, <code>{"==>"}</code> thick, <code>{"<->"}</code> arrows at both ends and <code>--</code> a plain line with no arrow. Styled lines can have arrows at both ends too (<code>{"<-->"}</code>, <code>{"<..>"}</code>, <code>{"<==>"}</code>) or none (<code>---</code>, <code>-.-</code>, <code>-=-</code>). Put a space on each side of these; on a line that also has <code>{"->"}</code> arrows, <code>--</code> is read as part of a label.</li>
               <li>End node labels with <code>?</code> for decision nodes (e.g., <code>Approve?</code>).</li>
               <li>Separate alternative branches with <code>;</code> (e.g., <code>A → B; C → D</code>).</li>
               <li>Edge labels: place small labels like <code>yes</code> or <code>no</code> after a decision, or use bracketed labels like <code>[approved]</code> before a node.</li>
+              <li>For free-form edge labels use quotes, after a decision (<code>Approve? "over budget" → Escalate</code>) or right after the arrow from any node (<code>Send → "if urgent" Call</code>). Add your own label keywords with a line like <code>@labels maybe, later</code>.</li>
               <li>To have branches converge, reuse the exact same node label where they should join (e.g., both branches end with <code>Review</code>).</li>
+              <li>Longer flows can be written one statement per line. Lines starting with <code>#</code> are comments, and a line ending in an arrow continues on the next line.</li>
+              <li>Indent lines under a decision to write its branches as a block; each indented line starts from the last node of the line above it.</li>
+              <li>Give a node an id with <code>id: Label</code> (e.g., <code>rev1: Review draft</code>) and refer to it later as <code>rev1</code>. Nodes with ids never merge with other nodes that share their label.</li>
+              <li>Start a branch from any earlier node with <code>from Node: ...</code> (e.g., <code>from Qualify lead: no → Send email</code>). The node can be named by its label or its id.</li>
+              <li>Pick a shape by wrapping the label: <code>((Start))</code> terminator, <code>[/Input/]</code> input/output, <code>[[Subroutine]]</code> subprocess, <code>[(Orders)]</code> database, <code>[~Report~]</code> document.</li>
+              <li>You can also paste a Mermaid <code>flowchart TD</code> (or <code>graph LR</code>) block and press Render; shapes, edge labels and subgraphs are kept.</li>
+              <li>Put steps into swimlanes with a line like <code>@lane Sales</code>: every node first mentioned after it belongs to that lane, until the next <code>@lane</code>. Use <code>@group Name</code> … <code>@end</code> for a nested group inside a lane.</li>
+              <li>Graphviz DOT works the same way: paste a <code>digraph {"{ ... }"}</code> and press Render. Node and edge <code>label</code> and <code>shape</code> attributes and <code>cluster</code> subgraphs are read.</li>
+              <li>Change the layout with the Direction and spacing controls above the buttons, or in the text with <code>@direction LR</code> (<code>TB</code>, <code>LR</code>, <code>RL</code>, <code>BT</code>), <code>@spacing 40 80</code> (space between nodes, then between ranks) and <code>@routing curved</code> (<code>straight</code>, <code>curved</code> or <code>orthogonal</code> connectors). Connections that loop back to an earlier step are drawn around the side of the chart, and edge labels get their own space in the layout. Picking a layout in the controls updates these lines for you, and the Mermaid and DOT exports keep the same layout.</li>
+              <li>Drag a node to move it; its edges follow. The position is saved in the text as a line like <code>@pin 120 340 Book call</code> (in a comment for Mermaid and DOT) and survives edits to the rest of the text. <strong>Reset positions</strong> puts every node back where the automatic layout wants it.</li>
+              <li>Pick a look with the <strong>Theme</strong> selector: hand-drawn Sketch, Pencil (hatched), Marker (zigzag fills), Blueprint (cross-hatched), a crisp non-sketchy Clean theme or Dark. Exported SVG, PNG and PDF files use the same theme.</li>
+              <li>The hand-drawn wobble is the same every time the same text is rendered, so exports don't change unless the chart does. <strong>Reshuffle</strong> picks a new look and saves it in the text as a line like <code>@seed 4821</code> (in a comment for Mermaid and DOT).</li>
+              <li>Click a node or connection on the canvas to rename it, change its shape or line style, or delete it. Shift-drag from one node onto another to connect them. Canvas edits change only the part of the text they affect, so comments and layout are kept.</li>
             </ul>
 
             <h3>Examples</h3>
@@ -363,6 +988,12 @@ function App() {
 Start → Qualify lead? yes → Book call; no → Send email → Review → End
 
 Start → A? yes → X; no → Y → X → End
+
+# Multi-line with an indented branch block
+Start → Qualify lead?
+  yes → Book call → Review
+  no → Send email → Review
+Review → End
             </pre>
             <p>The AI is instructed to output a graph JSON that follows the same conventions so branches and merges come out as expected.</p>
           </div>
@@ -0,0 +1,87 @@
+import { useEffect, useRef, useState } from 'react';
+import { NODE_TYPES } from './parser';
+import { TYPE_LABELS } from './outline';
+
+const STYLE_LABELS = { '': 'Solid', dashed: 'Dashed', dotted: 'Dotted', thick: 'Thick' };
+
+const ARROW_LABELS = { '': 'Arrow at end', both: 'Arrows at both ends', none: 'No arrow' };
+
+/**
+ * Popover for the node or edge selected on the canvas. Changes are applied
+ * together on "Apply" (or Enter) so each edit rewrites the text once.
+ * `selection` is { kind: 'node' | 'edge', item } and `position` the popover's
+ * anchor in pixels within the canvas.
+ */
+const CanvasEditor = ({ selection, position, onApply, onDelete, onClose }) => {
+  const { kind, item } = selection;
+  // The input can't hold line breaks, so they show as spaces; a label left
+  // as shown keeps them
+  const shownLabel = (item.label || '').replace(/\n/g, ' ');
+  const [label, setLabel] = useState(shownLabel);
+  const [type, setType] = useState(item.type || 'process');
+  const [style, setStyle] = useState(item.style || '');
+  const [arrow, setArrow] = useState(item.arrow || '');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+    inputRef.current?.select();
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const edited = label === shownLabel ? item.label || '' : label.trim();
+    if (kind === 'node') {
+      onApply({ label: edited || item.label, type });
+    } else {
+      onApply({ label: edited, style, arrow });
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  return (
+    <form
+      className="canvas-editor"
+      style={{ left: position.x, top: position.y }}
+      onSubmit={handleSubmit}
+      onKeyDown={handleKeyDown}
+      aria-label={kind === 'node' ? 'Edit node' : 'Edit connection'}
+    >
+      <input
+        ref={inputRef}
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+        placeholder={kind === 'node' ? 'Label' : 'Edge label (optional)'}
+        aria-label="Label"
+      />
+      {kind === 'node' ? (
+        <select value={type} onChange={(e) => setType(e.target.value)} aria-label="Shape">
+          {NODE_TYPES.map(value => <option key={value} value={value}>{TYPE_LABELS[value] || value}</option>)}
+        </select>
+      ) : (
+        <>
+          <select value={style} onChange={(e) => setStyle(e.target.value)} aria-label="Line style">
+            {Object.entries(STYLE_LABELS).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+          </select>
+          <select value={arrow} onChange={(e) => setArrow(e.target.value)} aria-label="Arrowheads">
+            {Object.entries(ARROW_LABELS).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+          </select>
+        </>
+      )}
+      <div className="canvas-editor-actions">
+        <button type="submit" className="btn btn-primary">Apply</button>
+        <button type="button" className="btn btn-secondary" onClick={onDelete}>Delete</button>
+        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+      </div>
+      {kind === 'node' && <p className="canvas-editor-hint">Shift-drag from a node onto another to connect them.</p>}
+    </form>
+  );
+};
+
+export default CanvasEditor;
@@ -0,0 +1,38 @@
+/**
+ * List of parser diagnostics shown under the editor. Clicking an entry
+ * calls onSelect with its { line, column } so the caller can move the
+ * textarea caret there.
+ */
+const DiagnosticsList = ({ diagnostics, onSelect }) => {
+  if (!diagnostics || diagnostics.length === 0) return null;
+
+  const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+  const warningCount = diagnostics.length - errorCount;
+  const summary = [
+    errorCount > 0 ? `${errorCount} error${errorCount === 1 ? '' : 's'}` : null,
+    warningCount > 0 ? `${warningCount} warning${warningCount === 1 ? '' : 's'}` : null,
+  ].filter(Boolean).join(', ');
+
+  return (
+    <div className="diagnostics" role="region" aria-label="Problems in the workflow text">
+      <div className="diagnostics-summary">{summary}</div>
+      <ul className="diagnostics-list">
+        {diagnostics.map((d, i) => (
+          <li key={i}>
+            <button
+              type="button"
+              className={`diagnostic diagnostic-${d.severity}`}
+              onClick={() => onSelect && onSelect(d)}
+            >
+              <span className="diagnostic-position">{d.line}:{d.column}</span>
+              <span className="diagnostic-severity">{d.severity}</span>
+              <span className="diagnostic-message">{d.message}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DiagnosticsList;
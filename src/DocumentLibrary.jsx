@@ -0,0 +1,93 @@
+import { useRef, useState } from 'react';
+
+/**
+ * Sidebar list of the saved charts (see library.js), most recently changed
+ * first, with the open one marked. Each can be opened, renamed, duplicated
+ * or deleted; the whole library can be exported to and imported from a
+ * JSON file. `status` is a note on saving, such as an error.
+ */
+const DocumentLibrary = ({ documents, currentId, status, onOpen, onCreate, onRename, onDuplicate, onDelete, onExport, onImport }) => {
+  // { id, name } of the document being renamed
+  const [renaming, setRenaming] = useState(null);
+  const fileRef = useRef(null);
+
+  const finishRename = () => {
+    if (renaming.name.trim()) onRename(renaming.id, renaming.name.trim());
+    setRenaming(null);
+  };
+
+  return (
+    <aside className="library" aria-label="Saved charts">
+      <div className="library-header">
+        <h2>Charts</h2>
+        <button type="button" className="btn-link" onClick={onCreate}>+ New</button>
+      </div>
+      <ul className="library-list">
+        {documents.map(doc => (
+          <li key={doc.id} className={doc.id === currentId ? 'library-item current' : 'library-item'}>
+            {renaming?.id === doc.id ? (
+              <form onSubmit={(e) => { e.preventDefault(); finishRename(); }}>
+                <input
+                  type="text"
+                  aria-label="Chart name"
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  onBlur={finishRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Escape') {
+                      e.stopPropagation();
+                      setRenaming(null);
+                    }
+                  }}
+                  autoFocus
+                />
+              </form>
+            ) : (
+              <button
+                type="button"
+                className="library-open"
+                aria-current={doc.id === currentId ? 'true' : undefined}
+                onClick={() => onOpen(doc.id)}
+                title={`Changed ${new Date(doc.updated).toLocaleString()}`}
+              >
+                {doc.name}
+              </button>
+            )}
+            <div className="library-actions">
+              <button type="button" className="btn-link" onClick={() => setRenaming({ id: doc.id, name: doc.name })} aria-label={`Rename ${doc.name}`}>Rename</button>
+              <button type="button" className="btn-link" onClick={() => onDuplicate(doc.id)} aria-label={`Duplicate ${doc.name}`}>Duplicate</button>
+              <button
+                type="button"
+                className="btn-link"
+                onClick={() => {
+                  if (window.confirm(`Delete "${doc.name}"? This can't be undone.`)) onDelete(doc.id);
+                }}
+                aria-label={`Delete ${doc.name}`}
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      {status && <p className="library-status" role="status">{status}</p>}
+      <div className="library-footer">
+        <button type="button" className="btn-link" onClick={onExport}>Export library</button>
+        <button type="button" className="btn-link" onClick={() => fileRef.current?.click()}>Import library</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          hidden
+          onChange={(e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) onImport(file);
+          }}
+        />
+      </div>
+    </aside>
+  );
+};
+
+export default DocumentLibrary;
@@ -0,0 +1,152 @@
+import { EXPORT_AREAS, BACKGROUNDS, SCALE_RANGE, PADDING_RANGE, CSS_DPI } from './exportOptions';
+import { PAGE_SIZES, ORIENTATIONS, MARGIN_RANGE } from './pdfExport';
+
+const FORMAT_NAMES = { svg: 'SVG', png: 'PNG', pdf: 'PDF' };
+
+/**
+ * Settings for an SVG, PNG or PDF export (`format`): file name, what to
+ * export, padding and background, plus the PNG scale or the PDF page setup.
+ * `options` are as in exportOptions.js; onChange gets only the fields that
+ * changed. `selectedCount` is how many nodes are selected on the canvas.
+ */
+const ExportDialog = ({ format, options, filename, selectedCount, onChange, onFilenameChange, onExport, onClose }) => {
+  // Number fields ignore input they can't use and keep within their range
+  const numberChange = (key, range) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== '' && Number.isFinite(value)) {
+      onChange({ [key]: Math.min(range.max, Math.max(range.min, value)) });
+    }
+  };
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-label={`Export ${FORMAT_NAMES[format]}`}
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+    >
+      <form
+        className="modal-box export-dialog"
+        onSubmit={(e) => { e.preventDefault(); onExport(); }}
+      >
+        <button type="button" className="modal-close" aria-label="Close export settings" onClick={onClose}>✕</button>
+        <h2>Export {FORMAT_NAMES[format]}</h2>
+        <label>
+          File name
+          <span className="export-dialog-field">
+            <input type="text" value={filename} onChange={(e) => onFilenameChange(e.target.value)} autoFocus />
+            .{format}
+          </span>
+        </label>
+        <label>
+          Export
+          <select value={options.area} onChange={(e) => onChange({ area: e.target.value })}>
+            {Object.entries(EXPORT_AREAS).map(([value, label]) => (
+              <option key={value} value={value} disabled={value === 'selection' && selectedCount === 0}>
+                {value === 'selection' && selectedCount > 0 ? `${label} (${selectedCount})` : label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {options.area === 'selection' && selectedCount === 0 && (
+          <p className="export-dialog-note">Select nodes with Ctrl-click (⌘-click on a Mac) first.</p>
+        )}
+        <label>
+          Padding (px)
+          <input
+            type="number"
+            min={PADDING_RANGE.min}
+            max={PADDING_RANGE.max}
+            value={options.padding}
+            onChange={numberChange('padding', PADDING_RANGE)}
+          />
+        </label>
+        <label>
+          Background
+          <select value={options.background} onChange={(e) => onChange({ background: e.target.value })}>
+            {Object.entries(BACKGROUNDS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {options.background === 'custom' && (
+          <label>
+            Colour
+            <input type="color" value={options.color} onChange={(e) => onChange({ color: e.target.value })} />
+          </label>
+        )}
+
+        {format === 'png' && (
+          <label>
+            Scale
+            <span className="export-dialog-field">
+              <input
+                type="number"
+                min={SCALE_RANGE.min}
+                max={SCALE_RANGE.max}
+                step={0.5}
+                value={options.scale}
+                onChange={numberChange('scale', SCALE_RANGE)}
+              />
+              × ({Math.round(options.scale * CSS_DPI)} dpi)
+            </span>
+          </label>
+        )}
+
+        {format === 'pdf' && (
+          <>
+            <label>
+              Page size
+              <select value={options.pageSize} onChange={(e) => onChange({ pageSize: e.target.value })}>
+                {Object.entries(PAGE_SIZES).map(([value, size]) => (
+                  <option key={value} value={value}>{size.label} ({size.width} × {size.height} mm)</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Orientation
+              <select value={options.orientation} onChange={(e) => onChange({ orientation: e.target.value })}>
+                {Object.entries(ORIENTATIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Margins (mm)
+              <input
+                type="number"
+                min={MARGIN_RANGE.min}
+                max={MARGIN_RANGE.max}
+                value={options.margin}
+                onChange={numberChange('margin', MARGIN_RANGE)}
+              />
+            </label>
+            <label className="export-dialog-check">
+              <input type="checkbox" checked={options.tile} onChange={(e) => onChange({ tile: e.target.checked })} />
+              Split large charts across pages
+            </label>
+            <p className="export-dialog-note">
+              {options.tile
+                ? 'Charts are shrunk to fit one page, down to half size; bigger ones continue onto more pages, numbered by row and column.'
+                : 'The whole chart is shrunk onto one page.'}
+            </p>
+          </>
+        )}
+
+        <div className="export-dialog-actions">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={options.area === 'selection' && selectedCount === 0}
+          >
+            Export
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -1,226 +1,490 @@
-import { useEffect, useRef, useState } from 'react';
-import dagre from 'dagre';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import rough from 'roughjs';
+import { DEFAULT_LAYOUT } from './layout';
+import { DEFAULT_THEME_ID, getTheme } from './themes';
+import { measureNode, measureEdgeLabel, FONT_SIZE, LINE_HEIGHT, EDGE_LABEL_FONT_SIZE, EDGE_LABEL_LINE_HEIGHT } from './nodeSizes';
+import { DEFAULT_SEED, shapeSeed } from './seed';
+import { layoutInBackground } from './backgroundLayout';
+import { clientToView, zoomAround, zoomToBox } from './viewport';
+import { sideRoute, orthogonalRoute, straightRoute } from './edgeRoutes';
+import { describeNode, describeEdge, describeFocus, connectionsByNode, flowOrder } from './outline';
+import CanvasEditor from './CanvasEditor';
+import ZoomControls from './ZoomControls';
+import Minimap from './Minimap';
 
-const FlowCanvas = ({ nodes, edges, onExportReady, aiTitle }) => {
+// Stable defaults so the render effect doesn't re-run for graphs without groups/pins
+const NO_GROUPS = [];
+const NO_PINS = {};
+
+const DEFAULT_THEME = getTheme(DEFAULT_THEME_ID);
+
+// Pointer travel (in screen pixels) before a press on a node counts as a drag
+const DRAG_THRESHOLD = 3;
+
+// Zoom step for the buttons, keys and a mouse wheel notch
+const ZOOM_STEP = 1.2;
+
+// Share of the view an arrow key pans by (with Shift: a whole view)
+const KEY_PAN_FRACTION = 0.1;
+
+// Room kept around a node zoomed to with a double-click
+const NODE_ZOOM_MARGIN = 80;
+
+// Gap between a node and the ring marking keyboard focus
+const FOCUS_RING_GAP = 6;
+
+// Layers that go into exports; the rest only mark things on screen
+const EXPORTED_LAYERS = ['groups', 'nodes', 'edges', 'title'];
+
+// Charts with at least this many nodes get a minimap; smaller ones only when zoomed in
+const MINIMAP_MIN_NODES = 12;
+
+// Shapes up to this share of the view beyond its edges are drawn too, so a
+// short pan doesn't show them popping in
+const CULL_MARGIN = 0.25;
+
+// Milliseconds per frame spent drawing new shapes; the rest follow in later frames
+const DRAW_BUDGET_MS = 12;
+
+/**
+ * Renders the graph. `pins` maps node ids to manual { x, y } positions that
+ * override the dagre layout; when `onNodeMove(id, { x, y })` is given, nodes
+ * can be dragged and it's called with the new position on drop. When
+ * `onEdit(edit)` is given, clicking a node or edge opens an editor and
+ * shift-dragging between nodes connects them (edits: see graphEdits.js).
+ * `theme` (see themes.js) sets colours, fill style, roughness and font, and
+ * `seed` the hand-drawn jitter: the same graph and seed draw identically.
+ *
+ * The view pans with a drag (one finger on touch screens, or the arrow keys)
+ * and zooms with the wheel, a pinch, the +/- buttons or keys; "0" or the Fit
+ * button shows the whole chart and double-clicking a node zooms to it.
+ *
+ * Enter steps through the nodes with the keyboard instead: down follows the
+ * chosen connection, left/right choose between a decision's branches, up
+ * goes back the way it came and Escape returns to panning. The focused node
+ * is outlined and described in a live region for screen readers, and every
+ * drawn node, edge and lane carries an accessible name.
+ *
+ * Ctrl/Cmd-click on a node (or Space on the focused one) selects it, for
+ * exporting just those nodes; Escape clears the selection.
+ * `onPickedChange(ids)` hears about it.
+ *
+ * Layout runs in a worker (backgroundLayout.js) and the previous chart stays
+ * up until it's done. Drawn shapes are kept between renders and only redrawn
+ * when they change, and only the ones in or near the view are drawn at all,
+ * a time-boxed batch per frame. `onExportReady` receives a function that
+ * draws whatever is missing and returns a copy of the chart to export (see
+ * getExportSvg).
+ */
+const FlowCanvas = ({ nodes, edges, groups = NO_GROUPS, layout = DEFAULT_LAYOUT, pins = NO_PINS, theme = DEFAULT_THEME, seed = DEFAULT_SEED, onNodeMove, onEdit, onExportReady, onPickedChange, aiTitle }) => {
   const svgRef = useRef(null);
+  const wrapperRef = useRef(null);
+  // { kind: 'node' | 'edge', key, item, edit, position } for the open editor
+  const [selection, setSelection] = useState(null);
   const [viewBox, setViewBox] = useState({ x: 0, y: 0, width: 800, height: 600 });
+  // Where the whole chart fits, and node boxes for the minimap
+  const [overview, setOverview] = useState({ box: { x: 0, y: 0, width: 800, height: 600 }, nodes: [] });
   const [isPanning, setIsPanning] = useState(false);
-  const [panStart, setPanStart] = useState({ x: 0, y: 0 });
-  const [scale, setScale] = useState(1);
+  // Pointers down on the background: pointer id -> { x, y } last client
+  // position, plus where it went down until it has moved far enough to pan
+  const pointersRef = useRef(new Map());
+  // The chart as last laid out: { nodes, edges, groups, direction, sizes,
+  // labels, result }, where sizes come from measureNode, labels (per edge,
+  // null without one) from measureEdgeLabel and result from layoutGraph
+  // (graphLayout.js); drawing reuses these rather than measuring again
+  const [placed, setPlaced] = useState(null);
+  const [layingOut, setLayingOut] = useState(false);
+  // Layer elements, the look they were drawn with, drawn shapes by key
+  // ("node:<id>", "group:<id>", "edge:<from>-><to>:<n>") as { signature,
+  // element }, and each drawn edge's [from, to] by key
+  const drawnRef = useRef({ layers: null, style: null, shapes: new Map(), ends: new Map() });
+  // Draws the shapes a view shows (every shape, given null); set by the draw effect
+  const renderViewRef = useRef(null);
+  const viewBoxRef = useRef(viewBox);
+  viewBoxRef.current = viewBox;
+  const fitBoxRef = useRef(null);
+  // Node stepped to with the keyboard: { id, branch, trail }, where branch is
+  // the chosen outgoing connection and trail the nodes stepped through to get here
+  const [focus, setFocus] = useState(null);
+  // Ids of the nodes selected for export
+  const [picked, setPicked] = useState(() => new Set());
+  const pickedRef = useRef(picked);
+  pickedRef.current = picked;
 
+  /**
+   * A copy of the chart for export, drawn in full, as { svg, box }: box is
+   * the part to export in chart coordinates. `area` is 'chart', 'view' (what
+   * the canvas shows) or 'selection' (the selected nodes and the connections
+   * between them, without lanes or the title). Null if there's nothing to
+   * export.
+   */
+  const getExportSvg = useCallback((area = 'chart') => {
+    renderViewRef.current?.(null);
+    const svg = svgRef.current;
+    const drawn = drawnRef.current;
+    if (!svg || !drawn.layers) return null;
+
+    let keep = null;
+    if (area === 'selection') {
+      const ids = pickedRef.current;
+      keep = new Set();
+      ids.forEach(id => keep.add(drawn.shapes.get(`node:${id}`)?.element));
+      drawn.ends.forEach(([from, to], key) => {
+        if (ids.has(from) && ids.has(to)) keep.add(drawn.shapes.get(key)?.element);
+      });
+      keep.delete(undefined);
+    }
+
+    const copy = svg.cloneNode(false);
+    let bounds = null;
+    EXPORTED_LAYERS.forEach(name => {
+      const layer = drawn.layers[name];
+      const layerCopy = copy.appendChild(layer.cloneNode(false));
+      [...layer.children].forEach(child => {
+        if (keep && !keep.has(child)) return;
+        layerCopy.appendChild(child.cloneNode(true));
+        bounds = unionBox(bounds, child.getBBox());
+      });
+    });
+    const box = area === 'view' ? shownBox(viewBoxRef.current, svg.getBoundingClientRect()) : bounds;
+    return box && { svg: copy, box };
+  }, []);
+
+  // Nodes and labels are measured here (that needs a canvas), then laid out
+  // in the background
   useEffect(() => {
-    if (!svgRef.current || nodes.length === 0) return;
+    if (nodes.length === 0) return undefined;
+    let current = true;
+
+    const sizes = new Map(nodes.map(node => [node.id, measureNode(node.label, node.type, theme.font)]));
+    const labels = edges.map(edge => (edge.label ? measureEdgeLabel(edge.label, theme.font) : null));
+    const input = {
+      nodes: nodes.map(node => ({ id: node.id, group: node.group, width: sizes.get(node.id).width, height: sizes.get(node.id).height })),
+      edges: edges.map((edge, index) => ({
+        from: edge.from,
+        to: edge.to,
+        labelWidth: labels[index]?.width ?? 0,
+        labelHeight: labels[index]?.height ?? 0,
+      })),
+      groups: groups.map(group => ({ id: group.id, parent: group.parent })),
+      layout: { direction: layout.direction, nodeSpacing: layout.nodeSpacing, rankSpacing: layout.rankSpacing },
+    };
 
+    setLayingOut(true);
+    layoutInBackground(input).then(result => {
+      // null: a newer layout replaced this one before it started
+      if (!current || !result) return;
+      setPlaced({ nodes, edges, groups, direction: layout.direction, sizes, labels, result });
+      setLayingOut(false);
+    }, error => {
+      if (!current) return;
+      alert('Layout failed: ' + (error?.message || String(error)));
+      setLayingOut(false);
+    });
+    return () => {
+      current = false;
+    };
+  }, [nodes, edges, groups, layout.direction, layout.nodeSpacing, layout.rankSpacing, theme.font]);
+
+  useEffect(() => {
     const svg = svgRef.current;
+    if (!svg || !placed) return undefined;
+
+    // The chart that was laid out, which trails the props while a new layout runs
+    const { nodes, edges, groups, direction, sizes, labels, result } = placed;
     const rc = rough.svg(svg);
+    const editable = typeof onEdit === 'function';
+    const draggable = typeof onNodeMove === 'function';
+    const vertical = direction === 'TB' || direction === 'BT';
+    setSelection(null);
 
-    // Clear previous content
-    while (svg.firstChild) {
-      svg.removeChild(svg.firstChild);
+    // Popover anchor just below an element, in pixels within the wrapper
+    const anchorBelow = (element) => {
+      const box = element.getBoundingClientRect();
+      const origin = wrapperRef.current.getBoundingClientRect();
+      return { x: box.left - origin.left + box.width / 2, y: box.bottom - origin.top + 8 };
+    };
+
+    // Groups sit under nodes, which sit under edges, whichever shapes are drawn
+    const drawn = drawnRef.current;
+    if (!drawn.layers) {
+      drawn.layers = {};
+      ['groups', 'nodes', 'edges', 'title', 'picks', 'focus'].forEach(name => {
+        drawn.layers[name] = svg.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'g'));
+      });
     }
 
-    // Create dagre graph with slightly different spacing to improve branching
-    const g = new dagre.graphlib.Graph();
-    g.setGraph({ rankdir: 'TB', nodesep: 60, ranksep: 120 });
-    g.setDefaultEdgeLabel(() => ({}));
+    // A new look (or different interactions) means drawing everything afresh
+    const style = [theme, seed, layout.routing, editable, draggable];
+    if (!drawn.style || style.some((value, i) => value !== drawn.style[i])) {
+      drawn.shapes.clear();
+    }
+    drawn.style = style;
 
-    // Compute indegree to encourage spacing for merge points
-    const indegree = {};
-    edges.forEach(e => {
-      indegree[e.to] = (indegree[e.to] || 0) + 1;
-      if (!(e.from in indegree)) indegree[e.from] = indegree[e.from] || 0;
+    // Node boxes ({ x, y, width, height, lines }, centred), from the layout
+    const boxes = new Map();
+    nodes.forEach(node => {
+      boxes.set(node.id, { ...result.nodes.get(node.id), lines: sizes.get(node.id).lines });
     });
 
-    // Add nodes to graph
+    // Manual positions override the automatic layout. Dagre routed the edges
+    // of moved nodes for their old spot, so those are redrawn straight.
+    const movedBy = new Map(); // node id -> { dx, dy } from its dagre position
     nodes.forEach(node => {
-      const width = node.type === 'decision' ? 150 : 180;
-      const height = node.type === 'decision' ? 100 : 60;
-      g.setNode(node.id, { label: node.label, width, height, type: node.type });
+      const pin = pins[node.id];
+      if (!pin) return;
+      const n = boxes.get(node.id);
+      movedBy.set(node.id, { dx: pin.x - n.x, dy: pin.y - n.y });
+      n.x = pin.x;
+      n.y = pin.y;
     });
+    const edgeOffsetY = aiTitle ? 56 : 0;
+    const backEdgeLanes = new Map(result.backEdges.map((index, lane) => [index, lane]));
+    const obstacles = [...boxes.values()];
+    // Returns { points, labelAt } in canvas coordinates (labelAt is null
+    // without a label), or null for an edge the layout left out
+    const routeEdge = (edge, index) => {
+      const e = result.edges[index];
+      let route;
+      if (backEdgeLanes.has(index)) {
+        route = sideRoute(boxes.get(edge.from), boxes.get(edge.to), obstacles, backEdgeLanes.get(index), vertical);
+      } else if (!e) {
+        return null;
+      } else if (edge.from === edge.to) {
+        // Self-loops keep dagre's curve, shifted along with their node
+        const { dx, dy } = movedBy.get(edge.from) || { dx: 0, dy: 0 };
+        route = {
+          points: e.points.map(p => ({ x: p.x + dx, y: p.y + dy })),
+          labelAt: { x: e.x + dx, y: e.y + dy },
+        };
+      } else if (movedBy.has(edge.from) || movedBy.has(edge.to)) {
+        const points = straightRoute(boxes.get(edge.from), boxes.get(edge.to));
+        route = { points, labelAt: { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 } };
+      } else {
+        const points = layout.routing === 'orthogonal'
+          ? orthogonalRoute(e.points, boxes.get(edge.from), boxes.get(edge.to), vertical)
+          : e.points;
+        route = { points, labelAt: { x: e.x, y: e.y } };
+      }
+      return {
+        points: route.points.map(p => [p.x, p.y + edgeOffsetY]),
+        labelAt: labels[index] && route.labelAt ? [route.labelAt.x, route.labelAt.y + edgeOffsetY] : null,
+        label: labels[index],
+      };
+    };
 
-    // Add edges to graph with minlen bias for merges
-    edges.forEach(edge => {
-      const targetIndegree = indegree[edge.to] || 0;
-      const minlen = targetIndegree > 1 ? 2 : 1;
-      g.setEdge(edge.from, edge.to, { label: edge.label, minlen });
+    // Grow lanes/groups so they still surround members that were moved out
+    const groupById = new Map(groups.map(group => [group.id, group]));
+    const groupBoxes = new Map();
+    result.clusters.forEach((c, groupId) => {
+      groupBoxes.set(groupId, { x1: c.x - c.width / 2, y1: c.y - c.height / 2, x2: c.x + c.width / 2, y2: c.y + c.height / 2 });
+    });
+    nodes.filter(node => movedBy.has(node.id)).forEach(node => {
+      const n = boxes.get(node.id);
+      for (let groupId = node.group; groupBoxes.has(groupId); groupId = groupById.get(groupId).parent) {
+        const box = groupBoxes.get(groupId);
+        box.x1 = Math.min(box.x1, n.x - n.width / 2 - GROUP_PADDING);
+        box.y1 = Math.min(box.y1, n.y - n.height / 2 - GROUP_PADDING - GROUP_HEADER_HEIGHT);
+        box.x2 = Math.max(box.x2, n.x + n.width / 2 + GROUP_PADDING);
+        box.y2 = Math.max(box.y2, n.y + n.height / 2 + GROUP_PADDING);
+      }
     });
 
-    // Calculate layout
-    dagre.layout(g);
+    // Title area (if provided) reserved at the top
+    const TITLE_HEIGHT = aiTitle ? 72 : 0;
 
-    // Calculate bounds for viewBox
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    // Whole-chart view, filled in once every shape's bounds are known
+    const fitBox = { x: 0, y: 0, width: 800, height: 600 };
 
-    // Draw title area (if provided) reserve space at top
-  const TITLE_HEIGHT = aiTitle ? 72 : 0;
+    // Everything the chart is made of, in drawing order within each layer:
+    // { key, layer, box: { x1, y1, x2, y2 }, signature, draw() }. A shape
+    // whose signature matches the one drawn before is reused as it is.
+    const shapes = [];
 
-    // Draw nodes
-    nodes.forEach(node => {
-      const n = g.node(node.id);
+    // Lane/group boundaries. Outer groups come first in the list, so nested
+    // ones paint over them.
+    groups.filter(group => groupBoxes.has(group.id)).forEach(group => {
+      const box = groupBoxes.get(group.id);
+      const x = box.x1;
+      const y = box.y1 + TITLE_HEIGHT;
+      const width = box.x2 - box.x1;
+      const height = box.y2 - box.y1;
+      shapes.push({
+        key: `group:${group.id}`,
+        layer: 'groups',
+        box: { x1: x, y1: y, x2: x + width, y2: y + height },
+        signature: JSON.stringify([group.label, group.kind, x, y, width, height]),
+        draw: () => drawGroup(rc, group, x, y, width, height, theme, shapeSeed(seed, `group:${group.id}`)),
+      });
+    });
+
+    const renderNode = (node) => {
+      const n = boxes.get(node.id);
       const x = n.x - n.width / 2;
       const y = n.y - n.height / 2 + TITLE_HEIGHT;
+      const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      group.setAttribute('data-node-id', node.id);
+      group.setAttribute('role', 'img');
+      group.setAttribute('aria-label', describeNode(node));
 
-      minX = Math.min(minX, x);
-      minY = Math.min(minY, y);
-      maxX = Math.max(maxX, x + n.width);
-      maxY = Math.max(maxY, y + n.height);
+      group.appendChild(drawNodeShape(rc, node.type, x, y, n.width, n.height, {
+        fill: theme.node.fill,
+        fillStyle: theme.fillStyle,
+        stroke: theme.node.stroke,
+        strokeWidth: 2,
+        roughness: theme.roughness,
+        bowing: theme.bowing,
+        seed: shapeSeed(seed, `node:${node.id}`)
+      }));
 
-      const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      // Add text, nudged to sit inside the body of cylinders and documents
+      const textOffsetY = TEXT_OFFSET_Y[node.type] || 0;
+      group.appendChild(createWrappedText(n.lines, n.x, n.y + TITLE_HEIGHT + textOffsetY, theme));
 
-      if (node.type === 'decision') {
-        // diamond -> use rotated rect path
-        const cx = n.x;
-        const cy = n.y + TITLE_HEIGHT;
-        const w = n.width;
-        const h = n.height;
-        const points = [
-          [cx, cy - h / 2],
-          [cx + w / 2, cy],
-          [cx, cy + h / 2],
-          [cx - w / 2, cy],
-        ].map(p => p.join(',')).join(' ');
-        const polygon = rc.polygon(points.split(' ').map(s => s.split(',').map(Number)), {
-          fill: 'rgba(173, 216, 230, 0.5)',
-          fillStyle: 'solid',
-          stroke: '#333',
-          strokeWidth: 2,
-          roughness: 1.5,
-          bowing: 2
-        });
-        group.appendChild(polygon);
-      } else {
-        const rect = rc.rectangle(x, y, n.width, n.height, {
-          fill: 'rgba(173, 216, 230, 0.5)',
-          fillStyle: 'solid',
-          stroke: '#333',
-          strokeWidth: 2,
-          roughness: 1.5,
-          bowing: 2
-        });
-        group.appendChild(rect);
+      if (draggable || editable) {
+        group.style.cursor = draggable ? 'move' : 'pointer';
       }
+      return group;
+    };
 
-      // Add text
-      const text = createWrappedText(n.label, n.x, n.y + TITLE_HEIGHT, n.width - 20);
-      group.appendChild(text);
-
-      svg.appendChild(group);
+    const nodeById = new Map();
+    nodes.forEach(node => {
+      nodeById.set(node.id, node);
+      const n = boxes.get(node.id);
+      const x = n.x - n.width / 2;
+      const y = n.y - n.height / 2 + TITLE_HEIGHT;
+      shapes.push({
+        key: `node:${node.id}`,
+        layer: 'nodes',
+        box: { x1: x, y1: y, x2: x + n.width, y2: y + n.height },
+        signature: JSON.stringify([node.label, node.type, x, y, n.width, n.height]),
+        draw: () => renderNode(node),
+      });
     });
 
-    // Draw edges
-    edges.forEach(edge => {
-      const e = g.edge(edge.from, edge.to);
-      if (!e.points || e.points.length === 0) return;
+    // Draw an edge; on an editable canvas it gets a wide invisible hit area
+    // so the thin line is easy to click
+    const renderEdge = (edge, key, route) => {
+      const element = drawEdge(rc, edge, route, layout.routing, theme, shapeSeed(seed, key));
+      element.setAttribute('data-edge-key', key);
+      element.setAttribute('role', 'img');
+      element.setAttribute('aria-label', describeEdge(edge, nodeById));
+      if (!editable) return element;
 
-      const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      const hitArea = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+      hitArea.setAttribute('class', 'edge-hit');
+      hitArea.setAttribute('points', route.points.map(p => p.join(',')).join(' '));
+      hitArea.setAttribute('fill', 'none');
+      hitArea.setAttribute('stroke', 'transparent');
+      hitArea.setAttribute('stroke-width', 12);
+      element.insertBefore(hitArea, element.firstChild);
+      element.style.cursor = 'pointer';
+      return element;
+    };
 
-      // Adjust points for title offset
-      const points = e.points.map(p => [p.x, p.y + (aiTitle ? 56 : 0)]);
-      const line = rc.linearPath(points, {
-        stroke: '#666',
-        strokeWidth: 2,
-        roughness: 1
-      });
+    const keys = edgeKeys(edges);
+    const edgeIndexByKey = new Map();
+    drawn.ends = new Map();
+    // Node id -> shapes of the edges it touches, redrawn while it's dragged
+    const edgeShapesByNode = new Map();
+    edges.forEach((edge, index) => {
+      const route = routeEdge(edge, index);
+      if (!route || route.points.length === 0) return;
+      const key = keys[index];
+      edgeIndexByKey.set(key, index);
+      drawn.ends.set(key, [edge.from, edge.to]);
 
-      group.appendChild(line);
-
-      // Draw arrowhead at end
-      const lastPoint = points[points.length - 1];
-      const secondLastPoint = points[points.length - 2] || lastPoint;
-      const angle = Math.atan2(lastPoint[1] - secondLastPoint[1], lastPoint[0] - secondLastPoint[0]);
-
-      const arrowSize = 10;
-      const arrowPoints = [
-        [lastPoint[0], lastPoint[1]],
-        [lastPoint[0] - arrowSize * Math.cos(angle - Math.PI / 6), lastPoint[1] - arrowSize * Math.sin(angle - Math.PI / 6)],
-        [lastPoint[0] - arrowSize * Math.cos(angle + Math.PI / 6), lastPoint[1] - arrowSize * Math.sin(angle + Math.PI / 6)]
-      ];
-
-      const arrow = rc.polygon(arrowPoints, {
-        fill: '#666',
-        fillStyle: 'solid',
-        stroke: '#666',
-        strokeWidth: 1,
-        roughness: 0.5
-      });
-      group.appendChild(arrow);
-
-      // Add edge label if exists
-      if (edge.label) {
-        const midIndex = Math.floor(points.length / 2);
-        const mx = points[midIndex][0];
-        const my = points[midIndex][1] - 10;
-        const t = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        t.setAttribute('x', mx);
-        t.setAttribute('y', my);
-        t.setAttribute('text-anchor', 'middle');
-        t.setAttribute('font-size', '12');
-        t.setAttribute('fill', '#444');
-        t.textContent = edge.label;
-        group.appendChild(t);
+      // Bounds of the edge points, and the label's box around its centre
+      const extents = route.points.map(p => ({ x: p[0], y: p[1], dx: 0, dy: 0 }));
+      if (route.labelAt) {
+        const { width, height } = route.label;
+        extents.push({ x: route.labelAt[0], y: route.labelAt[1], dx: width / 2, dy: height / 2 });
       }
-
-      svg.appendChild(group);
-
-      // Update bounds with edge points
-      points.forEach(p => {
-        minX = Math.min(minX, p[0]);
-        minY = Math.min(minY, p[1]);
-        maxX = Math.max(maxX, p[0]);
-        maxY = Math.max(maxY, p[1]);
+      const shape = {
+        key,
+        layer: 'edges',
+        box: {
+          x1: Math.min(...extents.map(p => p.x - p.dx)),
+          y1: Math.min(...extents.map(p => p.y - p.dy)),
+          x2: Math.max(...extents.map(p => p.x + p.dx)),
+          y2: Math.max(...extents.map(p => p.y + p.dy)),
+        },
+        // The name covers renamed end nodes, which only change the accessible name
+        signature: JSON.stringify([describeEdge(edge, nodeById), edge.style, edge.arrow, route.points, route.labelAt]),
+        draw: () => renderEdge(edge, key, route),
+        edge,
+        index,
+      };
+      shapes.push(shape);
+      new Set([edge.from, edge.to]).forEach(id => {
+        if (!edgeShapesByNode.has(id)) edgeShapesByNode.set(id, []);
+        edgeShapesByNode.get(id).push(shape);
       });
     });
 
-    // If we have a title, draw it at the top center
+    // Calculate bounds for viewBox
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    shapes.forEach(({ box }) => {
+      minX = Math.min(minX, box.x1);
+      minY = Math.min(minY, box.y1);
+      maxX = Math.max(maxX, box.x2);
+      maxY = Math.max(maxY, box.y2);
+    });
+
+    // If we have a title, draw it at the top center. It's a single shape, so
+    // it's simply redrawn each time.
+    const titleLayer = drawn.layers.title;
+    while (titleLayer.firstChild) {
+      titleLayer.removeChild(titleLayer.firstChild);
+    }
     if (aiTitle) {
-  const titleGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-  const titleBg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-  const titlePaddingX = 18;
-  const titlePaddingY = 10;
-  // Measure text width by temporary text element
-  const measureText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-  measureText.setAttribute('x', 0);
-  measureText.setAttribute('y', 0);
-  measureText.setAttribute('font-size', '18');
-  measureText.setAttribute('font-family', 'Comic Sans MS, cursive, sans-serif');
-  measureText.textContent = aiTitle;
-  svg.appendChild(measureText);
-  const bbox = measureText.getBBox();
-  svg.removeChild(measureText);
-
-  const titleWidth = Math.max(200, bbox.width + titlePaddingX * 2);
-  const titleHeight = Math.max(36, bbox.height + titlePaddingY * 2);
-  const titleX = minX + (maxX - minX) / 2 - titleWidth / 2;
-  const titleY = minY - TITLE_HEIGHT + 8;
+      const titleGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      const titleBg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      const titlePaddingX = 18;
+      const titlePaddingY = 10;
+      // Measure text width by temporary text element
+      const measureText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      measureText.setAttribute('x', 0);
+      measureText.setAttribute('y', 0);
+      measureText.setAttribute('font-size', '18');
+      measureText.setAttribute('font-family', theme.font);
+      measureText.textContent = aiTitle;
+      svg.appendChild(measureText);
+      const bbox = measureText.getBBox();
+      svg.removeChild(measureText);
+
+      const titleWidth = Math.max(200, bbox.width + titlePaddingX * 2);
+      const titleHeight = Math.max(36, bbox.height + titlePaddingY * 2);
+      const titleX = minX + (maxX - minX) / 2 - titleWidth / 2;
+      const titleY = minY - TITLE_HEIGHT + 8;
 
       titleBg.setAttribute('x', titleX);
       titleBg.setAttribute('y', titleY);
-  titleBg.setAttribute('width', titleWidth);
-  titleBg.setAttribute('height', titleHeight);
-      titleBg.setAttribute('fill', '#fff8d6');
-      titleBg.setAttribute('stroke', '#e2c94a');
+      titleBg.setAttribute('width', titleWidth);
+      titleBg.setAttribute('height', titleHeight);
+      titleBg.setAttribute('fill', theme.title.fill);
+      titleBg.setAttribute('stroke', theme.title.stroke);
       titleBg.setAttribute('rx', 8);
       titleBg.setAttribute('ry', 8);
       titleGroup.appendChild(titleBg);
 
       const titleText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-  titleText.setAttribute('x', titleX + titleWidth / 2);
-  titleText.setAttribute('y', titleY + titleHeight / 2 + 5);
+      titleText.setAttribute('x', titleX + titleWidth / 2);
+      titleText.setAttribute('y', titleY + titleHeight / 2 + 5);
       titleText.setAttribute('text-anchor', 'middle');
-  titleText.setAttribute('font-size', '18');
-      titleText.setAttribute('fill', '#333');
-      titleText.setAttribute('font-family', 'Comic Sans MS, cursive, sans-serif');
+      titleText.setAttribute('font-size', '18');
+      titleText.setAttribute('fill', theme.title.text);
+      titleText.setAttribute('font-family', theme.font);
       titleText.textContent = aiTitle;
       titleGroup.appendChild(titleText);
 
-      svg.appendChild(titleGroup);
+      titleLayer.appendChild(titleGroup);
 
-  // Update bounds to include title and add extra spacing below title
-  minY = Math.min(minY, titleY);
-  minX = Math.min(minX, titleX);
-  maxX = Math.max(maxX, titleX + titleWidth);
-  maxY = Math.max(maxY, titleY + titleHeight + 8);
+      // Update bounds to include title and add extra spacing below title
+      minY = Math.min(minY, titleY);
+      minX = Math.min(minX, titleX);
+      maxX = Math.max(maxX, titleX + titleWidth);
+      maxY = Math.max(maxY, titleY + titleHeight + 8);
     }
 
     // Add margin
@@ -232,130 +496,909 @@ const FlowCanvas = ({ nodes, edges, onExportReady, aiTitle }) => {
 
     const vbWidth = Math.max(100, Math.ceil(maxX - minX));
     const vbHeight = Math.max(100, Math.ceil(maxY - minY));
+    Object.assign(fitBox, { x: minX, y: minY, width: vbWidth, height: vbHeight });
+
+    // Forget shapes that are no longer in the chart
+    const shapeKeys = new Set(shapes.map(shape => shape.key));
+    drawn.shapes.forEach((entry, key) => {
+      if (!shapeKeys.has(key)) drawn.shapes.delete(key);
+    });
+
+    // Put the shapes a view shows (all of them for a null view) into their
+    // layers in order, drawing the new and changed ones, and take the rest
+    // out. Drawing stops when the frame's budget is spent and carries on in
+    // the next frame with whatever is in view by then.
+    const layerShapes = { groups: [], nodes: [], edges: [] };
+    shapes.forEach(shape => layerShapes[shape.layer].push(shape));
+    let frame = null;
+    const renderView = (view) => {
+      cancelAnimationFrame(frame);
+      frame = null;
+      const area = view && visibleArea(view, svg.getBoundingClientRect());
+      const deadline = view ? performance.now() + DRAW_BUDGET_MS : Infinity;
+      let unfinished = false;
+
+      Object.entries(layerShapes).forEach(([name, list]) => {
+        const layer = drawn.layers[name];
+        let next = layer.firstChild;
+        list.forEach(shape => {
+          if (area && !intersects(shape.box, area)) return;
+          let entry = drawn.shapes.get(shape.key);
+          if (!entry || entry.signature !== shape.signature) {
+            if (performance.now() > deadline) {
+              unfinished = true;
+              return;
+            }
+            entry = { signature: shape.signature, element: shape.draw() };
+            drawn.shapes.set(shape.key, entry);
+          }
+          if (entry.element === next) {
+            next = next.nextSibling;
+          } else {
+            layer.insertBefore(entry.element, next);
+          }
+        });
+        while (next) {
+          const after = next.nextSibling;
+          layer.removeChild(next);
+          next = after;
+        }
+      });
+
+      if (unfinished) frame = requestAnimationFrame(() => renderView(viewBoxRef.current));
+    };
+
+    // Drag a node: move its drawing and redraw its edges live, then report
+    // the drop position. A press that doesn't travel selects the node.
+    const startNodeDrag = (e, node, element) => {
+      if (e.button !== 0) return;
+      // Keeps the svg's pan handler from seeing this press
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.shiftKey && editable) {
+        startConnect(e, node, element);
+        return;
+      }
+
+      const n = boxes.get(node.id);
+      const origin = { x: n.x, y: n.y };
+      const start = toSvgPoint(svg, e);
+      const startClient = { x: e.clientX, y: e.clientY };
+      let dragging = false;
+      element.setPointerCapture(e.pointerId);
+
+      const onMove = (ev) => {
+        if (!draggable) return;
+        if (!dragging && Math.hypot(ev.clientX - startClient.x, ev.clientY - startClient.y) < DRAG_THRESHOLD) return;
+        dragging = true;
+        const p = toSvgPoint(svg, ev);
+        n.x = origin.x + p.x - start.x;
+        n.y = origin.y + p.y - start.y;
+        // From here on its edges are routed straight (see routeEdge)
+        if (!movedBy.has(node.id)) movedBy.set(node.id, { dx: 0, dy: 0 });
+        element.setAttribute('transform', `translate(${n.x - origin.x} ${n.y - origin.y})`);
+
+        // Edges that were never drawn (off screen) are left for the redraw after the drop
+        (edgeShapesByNode.get(node.id) || []).forEach(shape => {
+          const entry = drawn.shapes.get(shape.key);
+          if (!entry) return;
+          if (shape.edge.from === shape.edge.to) {
+            entry.element.setAttribute('transform', `translate(${n.x - origin.x} ${n.y - origin.y})`);
+            return;
+          }
+          const replacement = renderEdge(shape.edge, shape.key, routeEdge(shape.edge, shape.index));
+          entry.element.parentNode?.replaceChild(replacement, entry.element);
+          entry.element = replacement;
+        });
+      };
+
+      const onUp = () => {
+        element.removeEventListener('pointermove', onMove);
+        element.removeEventListener('pointerup', onUp);
+        element.removeEventListener('pointercancel', onUp);
+        if (dragging) {
+          onNodeMove(node.id, { x: Math.round(n.x), y: Math.round(n.y) });
+        } else if (editable) {
+          setSelection({ kind: 'node', key: node.id, item: node, position: anchorBelow(element) });
+        }
+      };
+
+      element.addEventListener('pointermove', onMove);
+      element.addEventListener('pointerup', onUp);
+      element.addEventListener('pointercancel', onUp);
+    };
+
+    // Shift-drag from a node: rubber-band a line and connect to the node
+    // it's released over
+    const startConnect = (e, node, element) => {
+      const n = boxes.get(node.id);
+      const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      line.setAttribute('x1', n.x);
+      line.setAttribute('y1', n.y + TITLE_HEIGHT);
+      line.setAttribute('x2', n.x);
+      line.setAttribute('y2', n.y + TITLE_HEIGHT);
+      line.setAttribute('stroke', '#667eea');
+      line.setAttribute('stroke-width', 2);
+      line.setAttribute('stroke-dasharray', '6 4');
+      line.style.pointerEvents = 'none';
+      svg.appendChild(line);
+      element.setPointerCapture(e.pointerId);
+
+      const onMove = (ev) => {
+        const p = toSvgPoint(svg, ev);
+        line.setAttribute('x2', p.x);
+        line.setAttribute('y2', p.y);
+      };
+
+      const onUp = (ev) => {
+        element.removeEventListener('pointermove', onMove);
+        element.removeEventListener('pointerup', onUp);
+        element.removeEventListener('pointercancel', onUp);
+        svg.removeChild(line);
+        const target = ev.type === 'pointerup' && document.elementFromPoint(ev.clientX, ev.clientY)?.closest('[data-node-id]');
+        if (target) onEdit({ type: 'addEdge', from: node.id, to: target.getAttribute('data-node-id') });
+      };
 
-    svg.setAttribute('viewBox', `${minX} ${minY} ${vbWidth} ${vbHeight}`);
-    svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+      element.addEventListener('pointermove', onMove);
+      element.addEventListener('pointerup', onUp);
+      element.addEventListener('pointercancel', onUp);
+    };
 
-    // Update viewBox state for pan/zoom
-    setViewBox({ x: minX, y: minY, width: vbWidth, height: vbHeight });
-    setScale(1);
+    // Shapes come and go as the view moves, so their events are handled here
+    // and traced back to the node or edge by their data attributes
+    const handleNodePointerDown = (e) => {
+      const element = e.target.closest('[data-node-id]');
+      if (!element) return;
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        e.stopPropagation();
+        togglePicked(element.getAttribute('data-node-id'));
+        return;
+      }
+      if (!(draggable || editable)) return;
+      startNodeDrag(e, nodeById.get(element.getAttribute('data-node-id')), element);
+    };
+
+    const handleEdgeClick = (e) => {
+      const element = editable && e.target.closest('[data-edge-key]');
+      if (!element) return;
+      const index = edgeIndexByKey.get(element.getAttribute('data-edge-key'));
+      const anchor = element.querySelector('.edge-hit') || element;
+      setSelection({ kind: 'edge', key: index, item: edges[index], position: anchorBelow(anchor) });
+    };
+
+    const handleNodeDoubleClick = (e) => {
+      const element = e.target.closest('[data-node-id]');
+      if (!element) return;
+      const n = boxes.get(element.getAttribute('data-node-id'));
+      setSelection(null);
+      setViewBox(current => zoomToBox(current, {
+        x: n.x - n.width / 2 - NODE_ZOOM_MARGIN,
+        y: n.y - n.height / 2 + TITLE_HEIGHT - NODE_ZOOM_MARGIN,
+        width: n.width + NODE_ZOOM_MARGIN * 2,
+        height: n.height + NODE_ZOOM_MARGIN * 2,
+      }, fitBox));
+    };
+
+    svg.addEventListener('pointerdown', handleNodePointerDown);
+    svg.addEventListener('click', handleEdgeClick);
+    svg.addEventListener('dblclick', handleNodeDoubleClick);
+
+    // Follow the chart as it changes, unless the view was moved away from
+    // the whole-chart fit (and still shows some of the chart)
+    const previousFit = fitBoxRef.current;
+    const currentView = viewBoxRef.current;
+    const view = !previousFit || sameBox(currentView, previousFit) || !intersects(corners(currentView), corners(fitBox))
+      ? fitBox
+      : currentView;
+    fitBoxRef.current = fitBox;
+    renderViewRef.current = renderView;
+    renderView(view);
+    setViewBox(view);
+    setOverview({
+      box: { ...fitBox },
+      nodes: nodes.map(node => {
+        const n = boxes.get(node.id);
+        return { id: node.id, x: n.x - n.width / 2, y: n.y - n.height / 2 + TITLE_HEIGHT, width: n.width, height: n.height };
+      }),
+    });
 
     // Callback so caller can export
     if (typeof onExportReady === 'function') {
-      onExportReady(svg);
+      onExportReady(getExportSvg);
     }
-  }, [nodes, edges, onExportReady, aiTitle, svgRef]);
 
-  const handleWheel = (e) => {
-    e.preventDefault();
-    const delta = e.deltaY > 0 ? 1.1 : 0.9;
-    const newScale = scale * delta;
-    
-    // Limit zoom range
-    if (newScale < 0.1 || newScale > 10) return;
-    
-    setScale(newScale);
-    
-    // Zoom towards mouse position
+    return () => {
+      cancelAnimationFrame(frame);
+      svg.removeEventListener('pointerdown', handleNodePointerDown);
+      svg.removeEventListener('click', handleEdgeClick);
+      svg.removeEventListener('dblclick', handleNodeDoubleClick);
+    };
+  }, [placed, pins, theme, seed, layout.routing, onNodeMove, onEdit, onExportReady, getExportSvg, aiTitle]);
+
+  // Moving the view (or resizing the canvas) brings other shapes into view
+  useEffect(() => {
+    renderViewRef.current?.(viewBox);
+  }, [viewBox]);
+
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(() => renderViewRef.current?.(viewBoxRef.current));
+    observer.observe(svg);
+    return () => observer.disconnect();
+  }, []);
+
+  // Keyboard navigation follows the latest chart; node boxes come from the last drawing
+  const nodeById = useMemo(() => new Map(nodes.map(node => [node.id, node])), [nodes]);
+  const connections = useMemo(() => connectionsByNode(nodes, edges), [nodes, edges]);
+  const overviewBoxes = useMemo(() => new Map(overview.nodes.map(box => [box.id, box])), [overview]);
+  const [canvasFocused, setCanvasFocused] = useState(false);
+  const focusedNode = focus && nodeById.get(focus.id);
+  const focusedBranch = focusedNode ? Math.min(focus.branch, Math.max(0, connections.get(focus.id).outgoing.length - 1)) : 0;
+  const announcement = focusedNode
+    ? describeFocus(focusedNode, connections.get(focus.id).outgoing, connections.get(focus.id).incoming, focusedBranch, nodeById)
+      + (picked.has(focusedNode.id) ? '. Selected' : '')
+    : '';
+
+  // Select or deselect a node for export
+  const togglePicked = useCallback((id) => {
+    setPicked(current => {
+      const next = new Set(current);
+      if (!next.delete(id)) next.add(id);
+      return next;
+    });
+  }, []);
+
+  // Selected nodes that are still in the chart
+  const pickedIds = useMemo(() => [...picked].filter(id => nodeById.has(id)), [picked, nodeById]);
+  useEffect(() => {
+    if (typeof onPickedChange === 'function') onPickedChange(pickedIds);
+  }, [pickedIds, onPickedChange]);
+
+  // Shade the selected nodes; like the focus ring, this isn't exported
+  useEffect(() => {
+    const layer = drawnRef.current.layers?.picks;
+    if (!layer) return;
+    while (layer.firstChild) {
+      layer.removeChild(layer.firstChild);
+    }
+    pickedIds.forEach(id => {
+      const box = overviewBoxes.get(id);
+      if (!box) return;
+      const mark = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      mark.setAttribute('x', box.x - FOCUS_RING_GAP);
+      mark.setAttribute('y', box.y - FOCUS_RING_GAP);
+      mark.setAttribute('width', box.width + FOCUS_RING_GAP * 2);
+      mark.setAttribute('height', box.height + FOCUS_RING_GAP * 2);
+      mark.setAttribute('rx', 6);
+      mark.setAttribute('fill', 'rgba(102, 126, 234, 0.12)');
+      mark.setAttribute('stroke', '#667eea');
+      mark.setAttribute('stroke-width', 2);
+      mark.setAttribute('vector-effect', 'non-scaling-stroke');
+      mark.style.pointerEvents = 'none';
+      layer.appendChild(mark);
+    });
+  }, [pickedIds, overviewBoxes]);
+
+  // Outline the focused node while the canvas has focus (so never in exports)
+  useEffect(() => {
+    const layer = drawnRef.current.layers?.focus;
+    if (!layer) return;
+    while (layer.firstChild) {
+      layer.removeChild(layer.firstChild);
+    }
+    const box = canvasFocused && focusedNode && overviewBoxes.get(focusedNode.id);
+    if (!box) return;
+    const ring = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    ring.setAttribute('x', box.x - FOCUS_RING_GAP);
+    ring.setAttribute('y', box.y - FOCUS_RING_GAP);
+    ring.setAttribute('width', box.width + FOCUS_RING_GAP * 2);
+    ring.setAttribute('height', box.height + FOCUS_RING_GAP * 2);
+    ring.setAttribute('rx', 6);
+    ring.setAttribute('fill', 'none');
+    ring.setAttribute('stroke', '#667eea');
+    ring.setAttribute('stroke-width', 3);
+    ring.setAttribute('stroke-dasharray', '6 4');
+    ring.setAttribute('vector-effect', 'non-scaling-stroke');
+    ring.style.pointerEvents = 'none';
+    layer.appendChild(ring);
+  }, [canvasFocused, focusedNode, overviewBoxes]);
+
+  // Zoom by `factor` (>1 zooms in) around a point in client pixels, or the centre
+  const zoomBy = (factor, clientPoint) => {
     const svg = svgRef.current;
     if (!svg) return;
-    
     const rect = svg.getBoundingClientRect();
-    const mouseX = e.clientX - rect.left;
-    const mouseY = e.clientY - rect.top;
-    
-    const svgX = viewBox.x + (mouseX / rect.width) * viewBox.width;
-    const svgY = viewBox.y + (mouseY / rect.height) * viewBox.height;
-    
-    const newWidth = viewBox.width * delta;
-    const newHeight = viewBox.height * delta;
-    
-    const newX = svgX - (mouseX / rect.width) * newWidth;
-    const newY = svgY - (mouseY / rect.height) * newHeight;
-    
-    setViewBox({ x: newX, y: newY, width: newWidth, height: newHeight });
-    svg.setAttribute('viewBox', `${newX} ${newY} ${newWidth} ${newHeight}`);
+    const client = clientPoint || { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    // Keep the point under the pointer where it is
+    setViewBox(current => zoomAround(current, overview.box, factor, clientToView(current, rect, client)));
   };
 
-  const handleMouseDown = (e) => {
-    setIsPanning(true);
-    setPanStart({ x: e.clientX, y: e.clientY });
-  };
-
-  const handleMouseMove = (e) => {
-    if (!isPanning) return;
-    
+  // Pan by a distance in client pixels
+  const panBy = (dx, dy) => {
     const svg = svgRef.current;
     if (!svg) return;
-    
     const rect = svg.getBoundingClientRect();
-    const dx = (e.clientX - panStart.x) * (viewBox.width / rect.width);
-    const dy = (e.clientY - panStart.y) * (viewBox.height / rect.height);
-    
-    const newX = viewBox.x - dx;
-    const newY = viewBox.y - dy;
-    
-    setViewBox({ ...viewBox, x: newX, y: newY });
-    svg.setAttribute('viewBox', `${newX} ${newY} ${viewBox.width} ${viewBox.height}`);
-    
-    setPanStart({ x: e.clientX, y: e.clientY });
+    setViewBox(current => {
+      const unitsPerPixel = Math.max(current.width / rect.width, current.height / rect.height);
+      return { ...current, x: current.x - dx * unitsPerPixel, y: current.y - dy * unitsPerPixel };
+    });
+  };
+
+  const fitToView = () => setViewBox({ ...overview.box });
+
+  // Centre the view on a point in chart coordinates (from the minimap)
+  const centreOn = (point) => {
+    setViewBox(current => ({ ...current, x: point.x - current.width / 2, y: point.y - current.height / 2 }));
+  };
+
+  // The wheel zooms; trackpad pinches arrive as ctrl+wheel with small deltas.
+  // Registered by hand because React's wheel listener can't preventDefault.
+  const zoomByRef = useRef(zoomBy);
+  zoomByRef.current = zoomBy;
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      setSelection(null);
+      const factor = e.ctrlKey ? Math.exp(-e.deltaY * 0.01) : (e.deltaY > 0 ? 1 / ZOOM_STEP : ZOOM_STEP);
+      zoomByRef.current(factor, { x: e.clientX, y: e.clientY });
+    };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  }, []);
+
+  // One pointer on the background pans; two (a touch pinch) zoom around
+  // their midpoint and pan as it moves. The pointer is only captured once it
+  // moves, so a click still reaches the edge under it.
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    setSelection(null);
+    wrapperRef.current?.focus({ preventScroll: true });
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY, start: { x: e.clientX, y: e.clientY } });
+  };
+
+  const handlePointerMove = (e) => {
+    const pointers = pointersRef.current;
+    const previous = pointers.get(e.pointerId);
+    if (!previous) return;
+    if (previous.start) {
+      if (Math.hypot(e.clientX - previous.start.x, e.clientY - previous.start.y) < DRAG_THRESHOLD) return;
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setIsPanning(true);
+    }
+
+    if (pointers.size === 2) {
+      const [, other] = [...pointers].find(([id]) => id !== e.pointerId);
+      const current = { x: e.clientX, y: e.clientY };
+      const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+      const after = Math.hypot(current.x - other.x, current.y - other.y);
+      const midBefore = { x: (previous.x + other.x) / 2, y: (previous.y + other.y) / 2 };
+      const midAfter = { x: (current.x + other.x) / 2, y: (current.y + other.y) / 2 };
+      panBy(midAfter.x - midBefore.x, midAfter.y - midBefore.y);
+      if (before > 0) zoomBy(after / before, midAfter);
+    } else if (pointers.size === 1) {
+      panBy(e.clientX - previous.x, e.clientY - previous.y);
+    }
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  };
+
+  const handlePointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId);
+    if (pointersRef.current.size === 0) setIsPanning(false);
+  };
+
+  // A press that never started panning can leave the svg uncaptured
+  const handlePointerLeave = (e) => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId)) handlePointerUp(e);
+  };
+
+  // Popover anchor below a box in chart coordinates, in pixels within the wrapper
+  const anchorBelowBox = (box) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = box.x + box.width / 2;
+    point.y = box.y + box.height;
+    const client = point.matrixTransform(svg.getScreenCTM());
+    const origin = wrapperRef.current.getBoundingClientRect();
+    return { x: client.x - origin.left, y: client.y - origin.top + 8 };
+  };
+
+  // Move the keyboard focus to a node, bringing it into view if it's outside
+  const moveFocus = (next) => {
+    setFocus(next);
+    setSelection(null);
+    const box = overviewBoxes.get(next.id);
+    if (!box) return;
+    setViewBox(current => (containsBox(current, box) ? current : {
+      ...current,
+      x: box.x + box.width / 2 - current.width / 2,
+      y: box.y + box.height / 2 - current.height / 2,
+    }));
+  };
+
+  // Keys while a node has the keyboard focus; returns whether the key was used
+  const handleNodeKey = (e) => {
+    const { outgoing, incoming } = connections.get(focus.id);
+    switch (e.key) {
+      case 'ArrowDown': {
+        const edge = outgoing[focusedBranch];
+        if (edge) moveFocus({ id: edge.to, branch: 0, trail: [...focus.trail, focus.id] });
+        return true;
+      }
+      case 'ArrowUp': {
+        // Back along the way we came, or else up the first connection in
+        const trail = focus.trail.filter(id => nodeById.has(id));
+        const back = trail.length > 0 ? trail[trail.length - 1] : incoming[0]?.from;
+        if (back) {
+          const branch = connections.get(back).outgoing.findIndex(edge => edge.to === focus.id);
+          moveFocus({ id: back, branch: Math.max(0, branch), trail: trail.slice(0, -1) });
+        }
+        return true;
+      }
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        if (outgoing.length > 1) {
+          const step = e.key === 'ArrowRight' ? 1 : outgoing.length - 1;
+          setFocus({ ...focus, branch: (focusedBranch + step) % outgoing.length });
+        }
+        return true;
+      case 'Home':
+        moveFocus({ id: flowOrder(nodes, edges)[0].id, branch: 0, trail: [] });
+        return true;
+      case 'Enter': {
+        const box = overviewBoxes.get(focus.id);
+        if (typeof onEdit === 'function' && box) {
+          setSelection({ kind: 'node', key: focus.id, item: focusedNode, position: anchorBelowBox(box) });
+        }
+        return true;
+      }
+      case ' ':
+        togglePicked(focus.id);
+        return true;
+      case 'Escape':
+        setFocus(null);
+        return true;
+      default:
+        return false;
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    // Keys typed into the editor popover are its own
+    if (e.target.closest('.canvas-editor') || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (focusedNode && e.target === e.currentTarget && handleNodeKey(e)) {
+      e.preventDefault();
+      return;
+    }
+    if (e.key === 'Enter' && e.target === e.currentTarget) {
+      moveFocus({ id: flowOrder(nodes, edges)[0].id, branch: 0, trail: [] });
+      e.preventDefault();
+      return;
+    }
+    if (e.key === 'Escape' && pickedIds.length > 0) {
+      setPicked(new Set());
+      e.preventDefault();
+      return;
+    }
+    const rect = svgRef.current?.getBoundingClientRect();
+    const step = e.shiftKey ? 1 : KEY_PAN_FRACTION;
+    const pans = {
+      ArrowLeft: [1, 0],
+      ArrowRight: [-1, 0],
+      ArrowUp: [0, 1],
+      ArrowDown: [0, -1],
+    };
+    if (pans[e.key] && rect) {
+      panBy(pans[e.key][0] * rect.width * step, pans[e.key][1] * rect.height * step);
+    } else if (e.key === '+' || e.key === '=') {
+      zoomBy(ZOOM_STEP);
+    } else if (e.key === '-' || e.key === '_') {
+      zoomBy(1 / ZOOM_STEP);
+    } else if (e.key === '0') {
+      fitToView();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  // Keyboard users carry on from the canvas once the editor closes
+  const closeEditor = () => {
+    setSelection(null);
+    wrapperRef.current?.focus({ preventScroll: true });
+  };
+
+  const applySelection = (changes) => {
+    const edit = selection.kind === 'node'
+      ? { type: 'updateNode', id: selection.key, changes }
+      : { type: 'updateEdge', index: selection.key, changes };
+    closeEditor();
+    onEdit(edit);
   };
 
-  const handleMouseUp = () => {
-    setIsPanning(false);
+  const deleteSelection = () => {
+    const edit = selection.kind === 'node'
+      ? { type: 'deleteNode', id: selection.key }
+      : { type: 'deleteEdge', index: selection.key };
+    closeEditor();
+    onEdit(edit);
   };
 
   return (
-    <svg
-      ref={svgRef}
-      width="100%"
-      height="100%"
-      style={{
-        height: '100%',
-        cursor: isPanning ? 'grabbing' : 'grab',
-        border: '1px solid #ccc',
-        backgroundColor: '#fefefe'
+    <div
+      className="flow-canvas"
+      ref={wrapperRef}
+      tabIndex={0}
+      role="application"
+      aria-roledescription="flowchart"
+      aria-label={`Flowchart with ${nodes.length} ${nodes.length === 1 ? 'step' : 'steps'}. Enter steps through the nodes with the arrow keys and Space selects one, Escape goes back to panning; plus and minus zoom, 0 fits the chart.`}
+      onKeyDown={handleKeyDown}
+      onFocus={() => setCanvasFocused(true)}
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setCanvasFocused(false);
       }}
-      onWheel={handleWheel}
-      onMouseDown={handleMouseDown}
-      onMouseMove={handleMouseMove}
-      onMouseUp={handleMouseUp}
-      onMouseLeave={handleMouseUp}
-    />
+    >
+      <svg
+        ref={svgRef}
+        width="100%"
+        height="100%"
+        viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`}
+        preserveAspectRatio="xMidYMid meet"
+        style={{
+          height: '100%',
+          cursor: isPanning ? 'grabbing' : 'grab',
+          border: '1px solid #ccc',
+          backgroundColor: theme.background,
+          touchAction: 'none'
+        }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onPointerLeave={handlePointerLeave}
+      />
+      <ZoomControls
+        zoom={overview.box.width / viewBox.width}
+        onZoomIn={() => zoomBy(ZOOM_STEP)}
+        onZoomOut={() => zoomBy(1 / ZOOM_STEP)}
+        onFit={fitToView}
+      />
+      {(overview.nodes.length >= MINIMAP_MIN_NODES || viewBox.width < overview.box.width * 0.9) && (
+        <Minimap overview={overview} viewBox={viewBox} onNavigate={centreOn} />
+      )}
+      {layingOut && <div className="canvas-status" role="status">Laying out…</div>}
+      <div className="visually-hidden" aria-live="polite">{announcement}</div>
+      {selection && (
+        <CanvasEditor
+          key={`${selection.kind}:${selection.key}`}
+          selection={selection}
+          position={selection.position}
+          onApply={applySelection}
+          onDelete={deleteSelection}
+          onClose={closeEditor}
+        />
+      )}
+    </div>
   );
 };
 
-function createWrappedText(text, x, y, maxWidth) {
-  const CHAR_WIDTH_ESTIMATE = 8;
-  const LINE_HEIGHT = 16;
+// Line options per edge style; solid edges use the defaults
+const EDGE_STYLES = {
+  dashed: { strokeLineDash: [10, 6] },
+  dotted: { strokeLineDash: [2, 6] },
+  thick: { strokeWidth: 4 },
+};
+
+// Edges, arrowheads and lane borders are drawn smoother than the theme's
+// node roughness so the nodes stand out
+const EDGE_ROUGHNESS = 2 / 3;
+const ARROW_ROUGHNESS = 1 / 3;
+const GROUP_ROUGHNESS = 0.8;
+
+/**
+ * Key per edge (by index), naming its ends so it doesn't change when other
+ * edges are added or removed; repeated edges between the same pair are told
+ * apart by how many came before them. It keys the drawn shape and its seed.
+ */
+function edgeKeys(edges) {
+  const seen = new Map();
+  return edges.map(edge => {
+    const pair = `${edge.from}->${edge.to}`;
+    const count = seen.get(pair) || 0;
+    seen.set(pair, count + 1);
+    return `edge:${pair}:${count}`;
+  });
+}
+
+/**
+ * Draw one edge (line, arrowheads and label) along `route` ({ points,
+ * labelAt, label }, already in canvas coordinates, with the label's
+ * measureEdgeLabel box). "curved" routing draws a smooth
+ * curve through the points; otherwise they're joined with straight lines.
+ */
+function drawEdge(rc, edge, route, routing, theme, seed) {
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  const { points, labelAt } = route;
+  const stroke = edge.style === 'thick' ? theme.edge.thick : theme.edge.stroke;
+
+  const lineOptions = {
+    stroke,
+    strokeWidth: 2,
+    roughness: theme.roughness * EDGE_ROUGHNESS,
+    seed,
+    ...EDGE_STYLES[edge.style]
+  };
+  const line = routing === 'curved' && points.length > 2
+    ? rc.curve(points, lineOptions)
+    : rc.linearPath(points, lineOptions);
+  group.appendChild(line);
+
+  // Draw arrowheads: at the end by default, both ends for "both", none for "none"
+  const arrowOptions = {
+    fill: stroke,
+    fillStyle: 'solid',
+    stroke,
+    strokeWidth: 1,
+    roughness: theme.roughness * ARROW_ROUGHNESS,
+    seed
+  };
+  const arrowSize = edge.style === 'thick' ? 14 : 10;
+  if (edge.arrow !== 'none') {
+    group.appendChild(drawArrowhead(rc, points[points.length - 1], points[points.length - 2], arrowSize, arrowOptions));
+  }
+  if (edge.arrow === 'both') {
+    group.appendChild(drawArrowhead(rc, points[0], points[1], arrowSize, arrowOptions));
+  }
+
+  // Label on a patch of background at the spot the layout kept free for it
+  if (labelAt) {
+    const { width, height, lines } = route.label;
+    const patch = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    patch.setAttribute('x', labelAt[0] - width / 2);
+    patch.setAttribute('y', labelAt[1] - height / 2);
+    patch.setAttribute('width', width);
+    patch.setAttribute('height', height);
+    patch.setAttribute('rx', 4);
+    patch.setAttribute('fill', theme.background);
+    patch.setAttribute('fill-opacity', 0.85);
+    group.appendChild(patch);
+
+    const t = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    t.setAttribute('x', labelAt[0]);
+    t.setAttribute('y', labelAt[1]);
+    t.setAttribute('text-anchor', 'middle');
+    t.setAttribute('dominant-baseline', 'central');
+    t.setAttribute('font-size', String(EDGE_LABEL_FONT_SIZE));
+    t.setAttribute('fill', theme.edge.text);
+    t.setAttribute('font-family', theme.font);
+    const startY = labelAt[1] - ((lines.length - 1) * EDGE_LABEL_LINE_HEIGHT) / 2;
+    lines.forEach((line, i) => {
+      const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
+      tspan.setAttribute('x', labelAt[0]);
+      tspan.setAttribute('y', startY + i * EDGE_LABEL_LINE_HEIGHT);
+      tspan.textContent = line;
+      t.appendChild(tspan);
+    });
+    group.appendChild(t);
+  }
+
+  return group;
+}
+
+/**
+ * The chart area (as { x1, y1, x2, y2 }) worth drawing for a viewBox: what
+ * the svg shows of it, widened by CULL_MARGIN on every side.
+ */
+function visibleArea(viewBox, rect) {
+  const { x, y, width, height } = shownBox(viewBox, rect);
+  return {
+    x1: x - width * CULL_MARGIN,
+    y1: y - height * CULL_MARGIN,
+    x2: x + width * (1 + CULL_MARGIN),
+    y2: y + height * (1 + CULL_MARGIN),
+  };
+}
+
+// The part of the chart a canvas of client size `rect` shows: the view box,
+// widened to the canvas's shape as preserveAspectRatio="xMidYMid meet" does
+function shownBox(viewBox, rect) {
+  const unitsPerPixel = rect.width && rect.height ? Math.max(viewBox.width / rect.width, viewBox.height / rect.height) : 0;
+  const width = Math.max(viewBox.width, rect.width * unitsPerPixel);
+  const height = Math.max(viewBox.height, rect.height * unitsPerPixel);
+  return { x: viewBox.x - (width - viewBox.width) / 2, y: viewBox.y - (height - viewBox.height) / 2, width, height };
+}
+
+// Smallest { x, y, width, height } box holding both boxes; `a` may be null
+function unionBox(a, b) {
+  if (!a) return { x: b.x, y: b.y, width: b.width, height: b.height };
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
+}
+
+// Whether two { x1, y1, x2, y2 } boxes overlap
+function intersects(a, b) {
+  return a.x1 <= b.x2 && b.x1 <= a.x2 && a.y1 <= b.y2 && b.y1 <= a.y2;
+}
+
+// A { x, y, width, height } box as { x1, y1, x2, y2 }
+function corners(box) {
+  return { x1: box.x, y1: box.y, x2: box.x + box.width, y2: box.y + box.height };
+}
+
+// Whether { x, y, width, height } box `outer` holds all of `inner`
+function containsBox(outer, inner) {
+  return inner.x >= outer.x && inner.y >= outer.y
+    && inner.x + inner.width <= outer.x + outer.width && inner.y + inner.height <= outer.y + outer.height;
+}
+
+function sameBox(a, b) {
+  return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+}
+
+// Convert a pointer event's position into the svg's user coordinates
+function toSvgPoint(svg, event) {
+  const point = svg.createSVGPoint();
+  point.x = event.clientX;
+  point.y = event.clientY;
+  return point.matrixTransform(svg.getScreenCTM().inverse());
+}
+
+/**
+ * Draw a filled arrowhead with its point at `tip`, aimed along the segment
+ * coming from `from` (falls back to pointing nowhere if there is no segment).
+ */
+function drawArrowhead(rc, tip, from = tip, size, options) {
+  const angle = Math.atan2(tip[1] - from[1], tip[0] - from[0]);
+  return rc.polygon([
+    [tip[0], tip[1]],
+    [tip[0] - size * Math.cos(angle - Math.PI / 6), tip[1] - size * Math.sin(angle - Math.PI / 6)],
+    [tip[0] - size * Math.cos(angle + Math.PI / 6), tip[1] - size * Math.sin(angle + Math.PI / 6)]
+  ], options);
+}
+
+const GROUP_HEADER_HEIGHT = 26;
+
+// Space kept between a lane/group border and a member moved out of it
+const GROUP_PADDING = 20;
+
+/**
+ * Draw a lane or group boundary with its name in a header strip along the top.
+ */
+function drawGroup(rc, group, x, y, w, h, theme, seed) {
+  const el = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  const isLane = group.kind === 'lane';
+  el.setAttribute('role', 'img');
+  el.setAttribute('aria-label', `${isLane ? 'Lane' : 'Group'}: ${group.label}`);
+
+  // Always a solid tint: a hatched fill behind the nodes would be too busy
+  el.appendChild(rc.rectangle(x, y, w, h, {
+    fill: isLane ? theme.group.laneFill : theme.group.groupFill,
+    fillStyle: 'solid',
+    stroke: theme.group.stroke,
+    strokeWidth: 1.5,
+    roughness: theme.roughness * GROUP_ROUGHNESS,
+    bowing: theme.bowing / 2,
+    seed
+  }));
+  el.appendChild(rc.line(x, y + GROUP_HEADER_HEIGHT, x + w, y + GROUP_HEADER_HEIGHT, {
+    stroke: theme.group.stroke,
+    strokeWidth: 1,
+    roughness: theme.roughness * EDGE_ROUGHNESS,
+    seed
+  }));
+
+  const header = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+  header.setAttribute('x', x + 10);
+  header.setAttribute('y', y + GROUP_HEADER_HEIGHT / 2);
+  header.setAttribute('dominant-baseline', 'middle');
+  header.setAttribute('font-size', '13');
+  header.setAttribute('font-weight', 'bold');
+  header.setAttribute('fill', theme.group.text);
+  header.setAttribute('font-family', theme.font);
+  header.textContent = group.label;
+  el.appendChild(header);
+
+  return el;
+}
+
+const TEXT_OFFSET_Y = {
+  database: 6,
+  document: -4,
+};
+
+/**
+ * Draw the outline for a node of the given type inside the box (x, y, w, h).
+ * Returns a single SVG group so callers can treat every shape the same way.
+ */
+function drawNodeShape(rc, type, x, y, w, h, options) {
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  const cx = x + w / 2;
+  const cy = y + h / 2;
+
+  switch (type) {
+    case 'decision': {
+      group.appendChild(rc.polygon([
+        [cx, y],
+        [x + w, cy],
+        [cx, y + h],
+        [x, cy],
+      ], options));
+      break;
+    }
+    case 'terminator': {
+      // Stadium: straight top and bottom with semicircular ends
+      const r = h / 2;
+      group.appendChild(rc.path(
+        `M ${x + r} ${y} L ${x + w - r} ${y} A ${r} ${r} 0 0 1 ${x + w - r} ${y + h} ` +
+        `L ${x + r} ${y + h} A ${r} ${r} 0 0 1 ${x + r} ${y} Z`,
+        options
+      ));
+      break;
+    }
+    case 'io': {
+      const skew = Math.min(24, w / 6);
+      group.appendChild(rc.polygon([
+        [x + skew, y],
+        [x + w, y],
+        [x + w - skew, y + h],
+        [x, y + h],
+      ], options));
+      break;
+    }
+    case 'subprocess': {
+      const inset = 12;
+      group.appendChild(rc.rectangle(x, y, w, h, options));
+      group.appendChild(rc.line(x + inset, y, x + inset, y + h, options));
+      group.appendChild(rc.line(x + w - inset, y, x + w - inset, y + h, options));
+      break;
+    }
+    case 'database': {
+      // Cylinder: body with a curved bottom, then the top ellipse over it
+      const ry = Math.min(12, h / 5);
+      group.appendChild(rc.path(
+        `M ${x} ${y + ry} L ${x} ${y + h - ry} A ${w / 2} ${ry} 0 0 0 ${x + w} ${y + h - ry} ` +
+        `L ${x + w} ${y + ry} A ${w / 2} ${ry} 0 0 1 ${x} ${y + ry} Z`,
+        options
+      ));
+      group.appendChild(rc.ellipse(cx, y + ry, w, ry * 2, options));
+      break;
+    }
+    case 'document': {
+      // Rectangle whose bottom edge is a single wave
+      const wave = Math.min(10, h / 6);
+      group.appendChild(rc.path(
+        `M ${x} ${y} L ${x + w} ${y} L ${x + w} ${y + h - wave} ` +
+        `C ${x + w * 0.75} ${y + h - wave * 3} ${x + w * 0.25} ${y + h + wave} ${x} ${y + h - wave} Z`,
+        options
+      ));
+      break;
+    }
+    default:
+      group.appendChild(rc.rectangle(x, y, w, h, options));
+  }
 
+  return group;
+}
+
+// Lay out already-wrapped lines (see nodeSizes.js) centred on (x, y)
+function createWrappedText(lines, x, y, theme) {
   const textElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
   textElement.setAttribute('x', x);
   textElement.setAttribute('y', y);
   textElement.setAttribute('text-anchor', 'middle');
   textElement.setAttribute('dominant-baseline', 'middle');
-  textElement.setAttribute('font-size', '14');
-  textElement.setAttribute('fill', '#333');
-  textElement.setAttribute('font-family', 'Comic Sans MS, cursive, sans-serif');
-
-  // Simple word wrapping
-  const words = text.split(/\s+/);
-  const lines = [];
-  let currentLine = '';
-
-  words.forEach(word => {
-    const testLine = currentLine ? `${currentLine} ${word}` : word;
-    // Rough estimate based on character width
-    if (testLine.length * CHAR_WIDTH_ESTIMATE > maxWidth && currentLine) {
-      lines.push(currentLine);
-      currentLine = word;
-    } else {
-      currentLine = testLine;
-    }
-  });
-  if (currentLine) {
-    lines.push(currentLine);
-  }
+  textElement.setAttribute('font-size', String(FONT_SIZE));
+  textElement.setAttribute('fill', theme.node.text);
+  textElement.setAttribute('font-family', theme.font);
 
   // Create tspan for each line
   const startY = y - ((lines.length - 1) * LINE_HEIGHT) / 2;
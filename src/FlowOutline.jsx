@@ -0,0 +1,34 @@
+import { buildOutline } from './outline';
+
+/**
+ * The chart as a numbered list of steps in reading order, each followed by
+ * where it leads, so the flow can be read without the picture (for example
+ * with a screen reader). See outline.js.
+ */
+const FlowOutline = ({ nodes, edges, groups }) => {
+  const steps = buildOutline(nodes, edges, groups);
+
+  return (
+    <section className="flow-outline" aria-label="Flow outline">
+      <ol>
+        {steps.map(step => (
+          <li key={step.node.id}>
+            <span className="outline-step">{step.node.label}</span>{' '}
+            <span className="outline-meta">({step.type}{step.group ? `, in ${step.group}` : ''})</span>
+            <ul>
+              {step.next.length === 0 && <li className="outline-meta">End of the flow</li>}
+              {step.next.map(({ edge, target, number }, i) => (
+                <li key={i}>
+                  {edge.label && <em>{edge.label} </em>}→ {target.label}{' '}
+                  <span className="outline-meta">(step {number})</span>
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+};
+
+export default FlowOutline;
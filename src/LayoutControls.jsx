@@ -0,0 +1,83 @@
+import { SPACING_RANGE } from './layout';
+
+const DIRECTION_LABELS = {
+  TB: 'Top to bottom',
+  LR: 'Left to right',
+  RL: 'Right to left',
+  BT: 'Bottom to top',
+};
+
+const ROUTING_LABELS = {
+  straight: 'Straight',
+  curved: 'Curved',
+  orthogonal: 'Right angles',
+};
+
+/**
+ * Direction, spacing and connector pickers for the chart layout. Calls onChange with
+ * only the fields that changed; onResetPositions clears dragged positions.
+ */
+const LayoutControls = ({ layout, onChange, onResetPositions, hasManualPositions, disabled }) => (
+  <div className="layout-controls" role="group" aria-label="Layout">
+    <label>
+      Direction
+      <select
+        value={layout.direction}
+        onChange={(e) => onChange({ direction: e.target.value })}
+        disabled={disabled}
+      >
+        {Object.entries(DIRECTION_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    </label>
+    <label>
+      Connectors
+      <select
+        value={layout.routing}
+        onChange={(e) => onChange({ routing: e.target.value })}
+        disabled={disabled}
+      >
+        {Object.entries(ROUTING_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    </label>
+    <label>
+      Node spacing
+      <input
+        type="range"
+        min={SPACING_RANGE.min}
+        max={SPACING_RANGE.max}
+        step={10}
+        value={layout.nodeSpacing}
+        onChange={(e) => onChange({ nodeSpacing: Number(e.target.value) })}
+        disabled={disabled}
+      />
+      <span className="layout-value">{layout.nodeSpacing}</span>
+    </label>
+    <label>
+      Rank spacing
+      <input
+        type="range"
+        min={SPACING_RANGE.min}
+        max={SPACING_RANGE.max}
+        step={10}
+        value={layout.rankSpacing}
+        onChange={(e) => onChange({ rankSpacing: Number(e.target.value) })}
+        disabled={disabled}
+      />
+      <span className="layout-value">{layout.rankSpacing}</span>
+    </label>
+    <button
+      type="button"
+      className="btn-link"
+      onClick={onResetPositions}
+      disabled={disabled || !hasManualPositions}
+    >
+      Reset positions
+    </button>
+  </div>
+);
+
+export default LayoutControls;
@@ -0,0 +1,63 @@
+import { useMemo, useRef } from 'react';
+
+const MINIMAP_WIDTH = 160;
+const MINIMAP_MAX_HEIGHT = 120;
+
+/**
+ * Overview of the whole chart with the visible part outlined. `overview` is
+ * { box, nodes } in chart coordinates (box is the whole chart); pressing or
+ * dragging on the map calls onNavigate with the chart point to centre on.
+ */
+const Minimap = ({ overview, viewBox, onNavigate }) => {
+  const svgRef = useRef(null);
+  const { box, nodes } = overview;
+  const height = Math.min(MINIMAP_MAX_HEIGHT, MINIMAP_WIDTH * (box.height / box.width));
+  // The map redraws on every pan; big charts shouldn't rebuild thousands of rects each time
+  const nodeRects = useMemo(() => nodes.map(node => (
+    <rect key={node.id} x={node.x} y={node.y} width={node.width} height={node.height} className="minimap-node" />
+  )), [nodes]);
+
+  const navigate = (e) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    onNavigate({ x, y });
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    navigate(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) navigate(e);
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      className="minimap"
+      width={MINIMAP_WIDTH}
+      height={height}
+      viewBox={`${box.x} ${box.y} ${box.width} ${box.height}`}
+      preserveAspectRatio="xMidYMid meet"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      aria-hidden="true"
+    >
+      {nodeRects}
+      <rect
+        x={viewBox.x}
+        y={viewBox.y}
+        width={viewBox.width}
+        height={viewBox.height}
+        className="minimap-viewport"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+};
+
+export default Minimap;
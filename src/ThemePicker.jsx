@@ -0,0 +1,38 @@
+import { THEMES, getTheme } from './themes';
+
+/**
+ * Theme selector for the canvas; the chosen theme also applies to the
+ * SVG, PNG and PDF exports. Calls onChange with the theme id, and
+ * onReshuffle to redraw the hand-drawn lines with a new seed.
+ */
+const ThemePicker = ({ themeId, onChange, onReshuffle, canReshuffle, disabled }) => {
+  const theme = getTheme(themeId);
+
+  return (
+    <div className="layout-controls" role="group" aria-label="Theme">
+      <label>
+        Theme
+        <select value={themeId} onChange={(e) => onChange(e.target.value)} disabled={disabled}>
+          {Object.entries(THEMES).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {/* Small preview: a node on the theme's background */}
+      <span className="theme-swatch" aria-hidden="true" style={{ background: theme.background }}>
+        <span style={{ background: theme.node.fill, borderColor: theme.node.stroke }} />
+      </span>
+      <button
+        type="button"
+        className="btn-link"
+        onClick={onReshuffle}
+        disabled={disabled || !canReshuffle}
+        title="Redraw the hand-drawn lines with a different wobble"
+      >
+        Reshuffle
+      </button>
+    </div>
+  );
+};
+
+export default ThemePicker;
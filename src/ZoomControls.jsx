@@ -0,0 +1,14 @@
+/**
+ * Zoom in/out and fit-to-view buttons overlaid on the canvas. `zoom` is
+ * relative to the whole chart fitting the view (1 = fit).
+ */
+const ZoomControls = ({ zoom, onZoomIn, onZoomOut, onFit }) => (
+  <div className="zoom-controls" role="toolbar" aria-label="Zoom">
+    <button type="button" onClick={onZoomIn} title="Zoom in (+)" aria-label="Zoom in">+</button>
+    <button type="button" onClick={onZoomOut} title="Zoom out (-)" aria-label="Zoom out">−</button>
+    <button type="button" onClick={onFit} title="Fit chart to view (0)" aria-label="Fit chart to view">Fit</button>
+    <span className="zoom-level" aria-live="polite">{Math.round(zoom * 100)}%</span>
+  </div>
+);
+
+export default ZoomControls;
@@ -1,3 +1,5 @@
+import { NODE_TYPES } from './parser';
+
 // Simple client helper to call the Pages Function at /api/generate
 export async function generateFlowchartViaProxy(prompt, options = {}) {
   const proxyPath = options.proxyPath || '/api/generate';
@@ -23,5 +25,16 @@ export async function generateFlowchartViaProxy(prompt, options = {}) {
   }
 
   if (!data?.graph) throw new Error('Proxy did not return graph');
-  return data.graph;
-}
\ No newline at end of file
+  return normalizeGraphTypes(data.graph);
+}
+
+// Map any node type the canvas can't draw back onto process/decision
+function normalizeGraphTypes(graph) {
+  if (!Array.isArray(graph.nodes)) return graph;
+  const nodes = graph.nodes.map(node => {
+    if (NODE_TYPES.includes(node.type)) return node;
+    const isDecision = typeof node.label === 'string' && node.label.trim().endsWith('?');
+    return { ...node, type: isDecision ? 'decision' : 'process' };
+  });
+  return { ...graph, nodes };
+}
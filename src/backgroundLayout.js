@@ -0,0 +1,98 @@
+import { layoutGraph } from './graphLayout';
+
+/**
+ * Runs layoutGraph (graphLayout.js) in a Web Worker so dagre doesn't freeze
+ * the page on big charts, falling back to the page's thread where workers
+ * aren't available or the worker fails to load.
+ *
+ * A layout that fails, in the worker or here, rejects its promise with the
+ * error, so the caller can report it.
+ *
+ * Only the newest request matters: one layout runs at a time, and a request
+ * still waiting behind it is dropped (resolves to null) when a newer one
+ * arrives, so typing into a huge chart doesn't queue up stale layouts.
+ */
+
+let worker = null;
+let workerFailed = false;
+let workerReady = false; // the current worker has loaded (see layoutWorker.js)
+let running = null; // { input, resolve, reject } being laid out by the worker
+let waiting = null; // the next request to send
+
+export function layoutInBackground(input) {
+  return new Promise((resolve, reject) => {
+    const request = { input, resolve, reject };
+    if (!getWorker()) {
+      layOutHere(request);
+      return;
+    }
+    if (waiting) waiting.resolve(null);
+    waiting = request;
+    if (!running) sendNext();
+  });
+}
+
+function getWorker() {
+  if (worker || workerFailed || typeof Worker === 'undefined') return worker;
+  try {
+    worker = new Worker(new URL('./layoutWorker.js', import.meta.url), { type: 'module' });
+  } catch {
+    workerFailed = true;
+    return null;
+  }
+
+  worker.onmessage = (e) => {
+    if (e.data.ready) {
+      workerReady = true;
+      return;
+    }
+    const request = running;
+    running = null;
+    if (e.data.error) request.reject(new Error(e.data.error));
+    else request.resolve(e.data.result);
+    sendNext();
+  };
+
+  // Layout errors come back as messages, so this means the worker itself
+  // broke. One that never loaded is given up on and what was asked for is
+  // laid out here; one that crashed on a layout fails that request, and a
+  // new worker takes the next
+  worker.onerror = (e) => {
+    e.preventDefault();
+    const failed = running;
+    const loaded = workerReady;
+    worker.terminate();
+    worker = null;
+    workerReady = false;
+    running = null;
+    if (!loaded) {
+      workerFailed = true;
+      [failed, waiting].filter(Boolean).forEach(layOutHere);
+      waiting = null;
+      return;
+    }
+    if (failed) failed.reject(new Error(e.message || 'the layout worker stopped'));
+    if (!waiting) return;
+    if (getWorker()) {
+      sendNext();
+    } else {
+      layOutHere(waiting);
+      waiting = null;
+    }
+  };
+  return worker;
+}
+
+function sendNext() {
+  running = waiting;
+  waiting = null;
+  if (running) worker.postMessage(running.input);
+}
+
+function layOutHere({ input, resolve, reject }) {
+  try {
+    resolve(layoutGraph(input));
+  } catch (error) {
+    reject(error);
+  }
+}
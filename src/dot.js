@@ -0,0 +1,750 @@
+/**
+ * Read and write Graphviz DOT.
+ *
+ * parseDot turns a `digraph`/`graph` into the { nodes, edges, groups,
+ * diagnostics } shape parseWorkflow returns, so FlowCanvas can render graphs
+ * other tools generate. toDot writes any { nodes, edges } graph back out,
+ * and editDot makes a canvas edit to the text in place.
+ *
+ * Supported on import:
+ * - node and edge statements, including chains (a -> b -> c) and
+ *   { a b } endpoint lists
+ * - `label` and `shape` attributes, and node/edge defaults
+ *   (node [shape=box]) scoped to their subgraph; \n, \l and \r in a label
+ *   are line breaks
+ * - edge `style` (dashed, dotted, bold), `penwidth`, `dir` and `arrowhead`
+ * - top-level `rankdir`, `nodesep`, `ranksep` and `splines`, returned as `layout`
+ * - "// @pin x y id" comments, returned as `pins` (see pins.js), and a
+ *   "// @seed n" comment, returned as `seed` (see seed.js)
+ * - `subgraph cluster_*` blocks, kept as node groups
+ * Ports, HTML-like labels and other attributes are read but ignored.
+ */
+
+import { normalizeDirection, normalizeRouting, clampSpacing, DEFAULT_LAYOUT } from './layout';
+import { parsePin, setPinLines } from './pins';
+import { DEFAULT_SEED, parseSeed, setSeedLine } from './seed';
+import { editText, cutChains, removalOf, indentAt } from './textEdits';
+
+// Graphviz measures nodesep/ranksep in inches
+const POINTS_PER_INCH = 72;
+
+// Graphviz shape -> NapkinFlow node type. Unlisted shapes fall back to process.
+const SHAPE_TYPES = {
+  box: 'process',
+  rect: 'process',
+  rectangle: 'process',
+  square: 'process',
+  plain: 'process',
+  plaintext: 'process',
+  diamond: 'decision',
+  ellipse: 'terminator',
+  oval: 'terminator',
+  circle: 'terminator',
+  doublecircle: 'terminator',
+  mdiamond: 'terminator',
+  msquare: 'terminator',
+  parallelogram: 'io',
+  invtrapezium: 'io',
+  trapezium: 'io',
+  component: 'subprocess',
+  box3d: 'subprocess',
+  cylinder: 'database',
+  note: 'document',
+  tab: 'document',
+  folder: 'document',
+};
+
+// NapkinFlow node type -> Graphviz shape on export
+const EXPORT_SHAPES = {
+  process: 'box',
+  decision: 'diamond',
+  terminator: 'ellipse',
+  io: 'parallelogram',
+  subprocess: 'component',
+  database: 'cylinder',
+  document: 'note',
+};
+
+const EXPORT_EDGE_STYLES = {
+  dashed: 'dashed',
+  dotted: 'dotted',
+  thick: 'bold',
+};
+
+// Graphviz `splines` value per edge routing
+const EXPORT_SPLINES = {
+  straight: 'polyline',
+  curved: 'spline',
+  orthogonal: 'ortho',
+};
+
+/**
+ * True when the text opens with a DOT graph header such as `digraph G {`.
+ * Checked before Mermaid, whose `graph LR` header never has a brace.
+ */
+export function isDot(text) {
+  const body = stripComments(text || '').trimStart();
+  return /^(?:strict\s+)?(?:di)?graph\b[^{\n]*\{/i.test(body);
+}
+
+export function parseDot(text) {
+  return readDot(text).graph;
+}
+
+/**
+ * parseDot, plus where things are in the text for editDot: every node and
+ * edge statement with the offsets of its operands and attribute lists, the
+ * edges it made, and the offset of the closing "}".
+ */
+function readDot(text) {
+  const nodes = [];
+  const edges = [];
+  const groups = [];
+  const diagnostics = [];
+  const layout = {};
+  const pins = {};
+  let seed = DEFAULT_SEED;
+  const statements = [];
+  let close = null;
+
+  let tokens;
+  try {
+    tokens = tokenize(text || '');
+  } catch (err) {
+    diagnostics.push({ severity: 'error', message: err.message, line: err.line || 1, column: err.column || 1 });
+    return { graph: { nodes, edges, groups, diagnostics, layout, pins, seed }, statements, directed: true, close };
+  }
+
+  const nodeById = new Map();
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const next = () => tokens[pos++];
+  const lastEnd = () => (pos > 0 ? tokens[pos - 1].end : 0);
+  const fail = (message, token = peek()) => {
+    const err = new Error(message);
+    err.line = token ? token.line : 1;
+    err.column = token ? token.column : 1;
+    throw err;
+  };
+  const isPunct = (token, value) => token && token.kind === 'punct' && token.value === value;
+  const isKeyword = (token, value) => token && token.kind === 'id' && !token.quoted && token.value.toLowerCase() === value;
+  const expect = (value) => {
+    const token = next();
+    if (!isPunct(token, value)) fail(`Expected "${value}"`, token);
+    return token;
+  };
+  const expectId = () => {
+    const token = next();
+    if (!token || token.kind !== 'id') fail('Expected a name or quoted string', token);
+    return token.value;
+  };
+
+  const ensureNode = (id, attrs, scope) => {
+    let node = nodeById.get(id);
+    if (!node) {
+      node = { id, label: id, type: 'process' };
+      if (scope.group) node.group = scope.group;
+      nodeById.set(id, node);
+      nodes.push(node);
+      applyNodeAttrs(node, scope.nodeDefaults);
+    } else if (!node.group && scope.group) {
+      // Clusters often just list nodes defined earlier, which moves them in
+      node.group = scope.group;
+    }
+    applyNodeAttrs(node, attrs);
+    return node;
+  };
+
+  // [a=b, c=d; e=f] [g=h] ...; each list and its entries go in `lists`
+  // with their offsets
+  const parseAttrLists = (lists = []) => {
+    const attrs = {};
+    while (isPunct(peek(), '[')) {
+      const list = { start: next().start, entries: [] };
+      while (!isPunct(peek(), ']')) {
+        if (!peek()) fail('Unclosed attribute list');
+        const start = peek().start;
+        const key = expectId().toLowerCase();
+        let value = 'true';
+        if (isPunct(peek(), '=')) {
+          next();
+          value = expectId();
+        }
+        attrs[key] = value;
+        list.entries.push({ key, value, start, end: lastEnd() });
+        if (isPunct(peek(), ',') || isPunct(peek(), ';')) next();
+      }
+      list.end = next().end;
+      lists.push(list);
+    }
+    return attrs;
+  };
+
+  // A node id with an optional :port[:compass], which is skipped
+  const parseNodeId = () => {
+    const id = expectId();
+    while (isPunct(peek(), ':')) {
+      next();
+      expectId();
+    }
+    return id;
+  };
+
+  // Cluster labels name their group; layout attributes only count at the top level
+  const applyGraphAttr = (scope, key, value) => {
+    if (key === 'label' && scope.groupRef) scope.groupRef.label = cleanLabel(value);
+    if (!scope.root) return;
+    if (key === 'rankdir' && normalizeDirection(value)) layout.direction = normalizeDirection(value);
+    if (key === 'splines' && normalizeRouting(value)) layout.routing = normalizeRouting(value);
+    const inches = parseFloat(value);
+    if (key === 'nodesep' && inches >= 0) layout.nodeSpacing = clampSpacing(inches * POINTS_PER_INCH);
+    if (key === 'ranksep' && inches >= 0) layout.rankSpacing = clampSpacing(inches * POINTS_PER_INCH);
+  };
+
+  // Returns the ids a statement operand stands for: one node, or every node
+  // declared inside a { ... } / subgraph operand
+  const parseOperand = (scope) => {
+    if (isPunct(peek(), '{') || isKeyword(peek(), 'subgraph')) {
+      return parseSubgraph(scope);
+    }
+    const id = parseNodeId();
+    return [ensureNode(id, {}, scope).id];
+  };
+
+  const parseSubgraph = (scope) => {
+    let name = null;
+    if (isKeyword(peek(), 'subgraph')) {
+      next();
+      if (peek() && peek().kind === 'id') name = expectId();
+    }
+
+    const inner = {
+      nodeDefaults: { ...scope.nodeDefaults },
+      edgeDefaults: { ...scope.edgeDefaults },
+      group: scope.group,
+    };
+
+    // Only clusters are drawn as boxes by Graphviz, so only they become groups
+    let group = null;
+    if (name && /^cluster/i.test(name)) {
+      group = { id: name, label: name };
+      if (scope.group) group.parent = scope.group;
+      groups.push(group);
+      inner.group = name;
+      inner.groupRef = group;
+    }
+
+    expect('{');
+    const members = parseStatements(inner);
+    expect('}');
+    return members;
+  };
+
+  const parseStatements = (scope) => {
+    const members = new Set();
+
+    while (peek() && !isPunct(peek(), '}')) {
+      if (isPunct(peek(), ';')) {
+        next();
+        continue;
+      }
+
+      // graph/node/edge [attrs]
+      const head = peek();
+      if ((isKeyword(head, 'graph') || isKeyword(head, 'node') || isKeyword(head, 'edge')) && isPunct(peek(1), '[')) {
+        next();
+        const attrs = parseAttrLists();
+        const kind = head.value.toLowerCase();
+        if (kind === 'node') Object.assign(scope.nodeDefaults, attrs);
+        else if (kind === 'edge') Object.assign(scope.edgeDefaults, attrs);
+        else Object.entries(attrs).forEach(([key, value]) => applyGraphAttr(scope, key.toLowerCase(), value));
+        continue;
+      }
+
+      // key = value (graph attribute)
+      if (head.kind === 'id' && isPunct(peek(1), '=')) {
+        const key = expectId().toLowerCase();
+        next();
+        applyGraphAttr(scope, key, expectId());
+        continue;
+      }
+
+      // node or edge statement; operands that are plain node ids are
+      // `simple` and can be moved around by editDot
+      const startToken = peek();
+      const readOperand = () => {
+        const token = peek();
+        const ids = parseOperand(scope);
+        ids.forEach(id => members.add(id));
+        return { ids, start: token.start, end: lastEnd(), simple: token.kind === 'id' && !isKeyword(token, 'subgraph') };
+      };
+      const operands = [readOperand()];
+
+      if (isPunct(peek(), '->') || isPunct(peek(), '--')) {
+        while (isPunct(peek(), '->') || isPunct(peek(), '--')) {
+          next();
+          operands.push(readOperand());
+        }
+        const bodyEnd = lastEnd();
+        const lists = [];
+        const attrs = { ...scope.edgeDefaults, ...parseAttrLists(lists) };
+        const first = edges.length;
+        for (let i = 0; i < operands.length - 1; i++) {
+          operands[i].ids.forEach(from => operands[i + 1].ids.forEach(to => {
+            edges.push(makeEdge(from, to, attrs, directed));
+          }));
+        }
+        statements.push({
+          kind: 'edge',
+          start: startToken.start,
+          bodyEnd,
+          end: lastEnd(),
+          operands,
+          lists,
+          edges: edges.slice(first).map((_, k) => first + k),
+          flipped: (attrs.dir || '').toLowerCase() === 'back',
+          clustered: !!scope.group,
+        });
+      } else if (startToken.kind === 'id') {
+        const bodyEnd = lastEnd();
+        const lists = [];
+        const attrs = parseAttrLists(lists);
+        operands[0].ids.forEach(id => ensureNode(id, attrs, scope));
+        if (operands[0].simple) {
+          statements.push({ kind: 'node', id: operands[0].ids[0], start: startToken.start, bodyEnd, end: lastEnd(), lists });
+        }
+      }
+    }
+
+    return [...members];
+  };
+
+  // Undirected graphs draw their edges without arrowheads
+  let directed = true;
+
+  try {
+    if (isKeyword(peek(), 'strict')) next();
+    if (!isKeyword(peek(), 'digraph') && !isKeyword(peek(), 'graph')) fail('Expected "digraph" or "graph"');
+    directed = isKeyword(next(), 'digraph');
+    if (peek() && peek().kind === 'id') next();
+    expect('{');
+    parseStatements({ nodeDefaults: {}, edgeDefaults: {}, group: null, root: true });
+    close = expect('}').start;
+    if (peek()) {
+      diagnostics.push({ severity: 'warning', message: 'Text after the closing "}" was ignored', line: peek().line, column: peek().column });
+    }
+  } catch (err) {
+    // Keep whatever was read before the error so the user still sees a chart
+    diagnostics.push({ severity: 'error', message: err.message, line: err.line || 1, column: err.column || 1 });
+  }
+
+  // The tokenizer drops comments, so pins and the seed are read from the raw lines
+  (text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const comment = rawLine.match(/^\s*\/\/(.*)$/);
+    if (comment) seed = parseSeed(comment[1]) ?? seed;
+    const pin = comment && parsePin(comment[1]);
+    if (!pin) return;
+    if (nodeById.has(pin.ref)) {
+      pins[pin.ref] = { x: pin.x, y: pin.y };
+    } else {
+      const column = rawLine.length - rawLine.trimStart().length + 1;
+      diagnostics.push({ severity: 'warning', message: `@pin "${pin.ref}" does not match any node id`, line: index + 1, column });
+    }
+  });
+
+  return { graph: { nodes, edges, groups, diagnostics, layout, pins, seed }, statements, directed, close };
+}
+
+function applyNodeAttrs(node, attrs) {
+  if (attrs.label !== undefined) node.label = cleanLabel(attrs.label);
+  if (attrs.shape !== undefined) node.type = SHAPE_TYPES[attrs.shape.toLowerCase()] || 'process';
+}
+
+function makeEdge(from, to, attrs, directed) {
+  const dir = (attrs.dir || (directed ? 'forward' : 'none')).toLowerCase();
+  // dir=back draws the arrow at the tail; flip the edge so it points the same way
+  const edge = dir === 'back' ? { from: to, to: from } : { from, to };
+  const label = attrs.label || attrs.xlabel;
+  if (label) edge.label = cleanLabel(label);
+
+  const styles = (attrs.style || '').toLowerCase().split(/\s*,\s*/);
+  if (styles.includes('dashed')) edge.style = 'dashed';
+  else if (styles.includes('dotted')) edge.style = 'dotted';
+  else if (styles.includes('bold') || parseFloat(attrs.penwidth) >= 2) edge.style = 'thick';
+
+  if (dir === 'both') edge.arrow = 'both';
+  else if (dir === 'none' || (attrs.arrowhead || '').toLowerCase() === 'none') edge.arrow = 'none';
+  return edge;
+}
+
+// DOT labels use \n, \l and \r for line breaks (centred, left- and
+// right-justified; the canvas centres them all) and \\ for a backslash
+function cleanLabel(label) {
+  return label
+    .replace(/\s+/g, ' ')
+    .replace(/\\([nlr\\])/g, (_, ch) => (ch === '\\' ? '\\' : '\n'))
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .trim();
+}
+
+function stripComments(text) {
+  return text
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/^\s*#.*$/gm, '')
+    .replace(/^\s*\/\/.*$/gm, '');
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const error = (message) => {
+    const err = new Error(message);
+    err.line = line;
+    err.column = i - lineStart + 1;
+    return err;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    const column = i - lineStart + 1;
+
+    if (ch === '\n') {
+      i++;
+      line++;
+      lineStart = i;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Comments: //, /* */, and # at the start of a line
+    if (text.startsWith('//', i) || (ch === '#' && text.slice(lineStart, i).trim() === '')) {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) throw error('Unclosed comment');
+      for (; i < end + 2; i++) {
+        if (text[i] === '\n') {
+          line++;
+          lineStart = i + 1;
+        }
+      }
+      continue;
+    }
+
+    if (text.startsWith('->', i) || text.startsWith('--', i)) {
+      tokens.push({ kind: 'punct', value: text.slice(i, i + 2), line, column, start: i, end: i + 2 });
+      i += 2;
+      continue;
+    }
+    if ('{}[]=;,:+'.includes(ch)) {
+      tokens.push({ kind: 'punct', value: ch, line, column, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && text[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        } else if (text[i] === '\\' && text[i + 1] === '\\') {
+          // An escaped backslash stays escaped for cleanLabel, and can't
+          // escape the quote after it
+          value += '\\\\';
+          i += 2;
+        } else if (text[i] === '\\' && text[i + 1] === '\n') {
+          // Line continuation inside a string
+          i += 2;
+          line++;
+          lineStart = i;
+        } else {
+          if (text[i] === '\n') {
+            line++;
+            lineStart = i + 1;
+          }
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) throw error('Unclosed quoted string');
+      i++;
+      tokens.push({ kind: 'id', value, quoted: true, line, column, start, end: i });
+      continue;
+    }
+
+    if (ch === '<') {
+      // HTML-like label: balanced <...>, kept as its text content
+      let depth = 0;
+      const start = i;
+      do {
+        if (text[i] === '<') depth++;
+        else if (text[i] === '>') depth--;
+        else if (text[i] === '\n') {
+          line++;
+          lineStart = i + 1;
+        }
+        i++;
+      } while (i < text.length && depth > 0);
+      if (depth > 0) throw error('Unclosed HTML label');
+      const html = text.slice(start + 1, i - 1).replace(/<[^>]*>/g, ' ');
+      tokens.push({ kind: 'id', value: html.replace(/\s+/g, ' ').trim(), quoted: true, line, column, start, end: i });
+      continue;
+    }
+
+    const bare = text.slice(i).match(/^(?:[A-Za-z_\u0080-￿][\w\u0080-￿]*|-?(?:\.\d+|\d+(?:\.\d*)?))/);
+    if (bare) {
+      tokens.push({ kind: 'id', value: bare[0], quoted: false, line, column, start: i, end: i + bare[0].length });
+      i += bare[0].length;
+      continue;
+    }
+
+    throw error(`Unexpected character "${ch}"`);
+  }
+
+  return mergeConcatenatedStrings(tokens);
+}
+
+// "a" + "b" is a single string in DOT
+function mergeConcatenatedStrings(tokens) {
+  const merged = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const previous = merged[merged.length - 1];
+    const following = tokens[i + 1];
+    if (token.kind === 'punct' && token.value === '+' && previous?.quoted && following?.quoted) {
+      merged[merged.length - 1] = { ...previous, value: previous.value + following.value, end: following.end };
+      i++;
+      continue;
+    }
+    merged.push(token);
+  }
+  return merged;
+}
+
+/**
+ * Serialize a graph as a Graphviz digraph. Every id and label is quoted, so
+ * any NapkinFlow id or label text is safe to write out. `options.layout`
+ * becomes rankdir, nodesep, ranksep and splines; `options.pins` and `options.seed`
+ * "// @pin" and "// @seed" comments.
+ */
+export function toDot(graph, options = {}) {
+  const { nodes = [], edges = [], groups = [] } = graph || {};
+  const layout = { ...DEFAULT_LAYOUT, ...options.layout };
+  const lines = ['digraph flowchart {'];
+  lines.push(`  rankdir=${layout.direction};`);
+  lines.push(`  nodesep=${formatInches(layout.nodeSpacing)};`);
+  lines.push(`  ranksep=${formatInches(layout.rankSpacing)};`);
+  lines.push(`  splines=${EXPORT_SPLINES[layout.routing] || EXPORT_SPLINES.straight};`);
+
+  const childGroups = (parentId) => groups.filter(g => (g.parent || null) === parentId);
+  const groupNodes = (groupId) => nodes.filter(n => (n.group || null) === groupId);
+  const knownGroups = new Set(groups.map(g => g.id));
+
+  const writeGroup = (groupId, indent) => {
+    groupNodes(groupId).forEach(node => lines.push(`${indent}${formatNode(node)}`));
+    childGroups(groupId).forEach(group => {
+      // Graphviz only boxes subgraphs whose name starts with "cluster"
+      const name = /^cluster/i.test(group.id) ? group.id : `cluster_${group.id}`;
+      lines.push(`${indent}subgraph ${quote(name)} {`);
+      lines.push(`${indent}  label=${quote(group.label || group.id)};`);
+      writeGroup(group.id, indent + '  ');
+      lines.push(`${indent}}`);
+    });
+  };
+
+  nodes
+    .filter(n => n.group && !knownGroups.has(n.group))
+    .forEach(node => lines.push(`  ${formatNode(node)}`));
+  writeGroup(null, '  ');
+
+  edges.forEach(edge => {
+    const attrs = [];
+    if (edge.label) attrs.push(`label=${quote(edge.label)}`);
+    if (EXPORT_EDGE_STYLES[edge.style]) attrs.push(`style=${EXPORT_EDGE_STYLES[edge.style]}`);
+    if (edge.arrow === 'both' || edge.arrow === 'none') attrs.push(`dir=${edge.arrow}`);
+    const list = attrs.length ? ` [${attrs.join(', ')}]` : '';
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${list};`);
+  });
+
+  lines.push('}');
+
+  const pins = options.pins || {};
+  const pinLines = nodes.filter(node => pins[node.id]).map(node => ({ ...pins[node.id], ref: node.id }));
+  const text = setPinLines(lines.join('\n'), pinLines, '//');
+  return (options.seed ? setSeedLine(text, options.seed, '//') : text) + '\n';
+}
+
+function formatNode(node) {
+  const shape = EXPORT_SHAPES[node.type] || EXPORT_SHAPES.process;
+  return `${quote(node.id)} [label=${quote(node.label || node.id)}, shape=${shape}];`;
+}
+
+function formatInches(pixels) {
+  return String(Math.round((pixels / POINTS_PER_INCH) * 100) / 100);
+}
+
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+const KEYWORDS = new Set(['node', 'edge', 'graph', 'digraph', 'subgraph', 'strict']);
+
+/**
+ * Make a canvas edit (see graphEdits.js) to DOT text by changing only the
+ * text it affects: the attributes of a node's or edge's own statement, or
+ * the chains a deleted node or edge was part of. New edges, and nodes with
+ * no statement of their own, get a line before the closing "}". Returns
+ * null when the edit can't be made that way (say, a chain with a { ... }
+ * operand), so the caller can rewrite the whole text instead.
+ */
+export function editDot(text, edit) {
+  return editText(text, edit, DOT_FORMAT);
+}
+
+const DOT_FORMAT = {
+  read(text) {
+    const doc = readDot(text);
+    return doc.close === null ? null : { ...doc, chains: doc.statements.map(chainOf) };
+  },
+  updateNode(text, { graph, statements, close }, node) {
+    const before = graph.nodes.find(n => n.id === node.id);
+    const changes = {};
+    if (node.label !== before.label) changes.label = quote(node.label || node.id);
+    if (node.type !== before.type) changes.shape = EXPORT_SHAPES[node.type] || EXPORT_SHAPES.process;
+    if (Object.keys(changes).length === 0) return [];
+    const own = statements.filter(statement => statement.kind === 'node' && statement.id === node.id).pop();
+    if (own) return [setAttrs(text, own, changes)];
+    const attrs = Object.entries(changes).map(([key, value]) => `${key}=${value}`).join(', ');
+    return [insertionBefore(text, close, `${formatId(node.id)} [${attrs}];`)];
+  },
+  updateEdge(text, doc, index, edge) {
+    const { graph, statements, directed, close } = doc;
+    const statement = statements.find(s => s.kind === 'edge' && s.edges.includes(index));
+    if (!statement || statement.flipped) return null;
+    const changes = edgeAttrChanges(statement, graph.edges[index], edge, directed);
+    if (statement.edges.length === 1) return [setAttrs(text, statement, changes)];
+    // An edge that shares its statement moves to one of its own
+    const { cuts } = cutChains(doc, { dropEdge: (edgeIndex) => edgeIndex === index });
+    const written = writeDotCuts(text, cuts);
+    if (!written) return null;
+    const line = `${formatId(edge.from)} ${directed ? '->' : '--'} ${formatId(edge.to)}${setAttrs(text, statement, changes).text};`;
+    return [...written, insertionBefore(text, close, line)];
+  },
+  writeCuts: (text, doc, cuts) => writeDotCuts(text, cuts),
+  // New edges have an arrowhead, which undirected graphs only draw if asked
+  addEdge: (text, { directed, close }, from, to) => insertionBefore(text, close,
+    `${formatId(from)} ${directed ? '->' : '--'} ${formatId(to)}${directed ? '' : ' [dir=forward]'};`),
+};
+
+/**
+ * A node or edge statement as a chain of its operands (see textEdits.js).
+ * A { ... } operand is a group of every node in it; those, and the nodes
+ * of a statement in a cluster, `keep` since they can put a node in a
+ * cluster.
+ */
+function chainOf(statement) {
+  if (statement.kind === 'node') {
+    return { ...statement, groups: [[{ id: statement.id, start: statement.start, end: statement.bodyEnd, keep: true }]], links: [] };
+  }
+  const { operands } = statement;
+  let edgeCount = 0;
+  return {
+    ...statement,
+    groups: operands.map(operand => operand.ids.map(id => ({
+      id, start: operand.start, end: operand.end, keep: statement.clustered || !operand.simple,
+    }))),
+    links: operands.slice(1).map((operand, k) => {
+      const count = operands[k].ids.length * operand.ids.length;
+      edgeCount += count;
+      return { start: operands[k].end, end: operand.start, edges: statement.edges.slice(edgeCount - count, edgeCount) };
+    }),
+  };
+}
+
+/**
+ * Write the chains cutChains cut up from the original text, a statement per
+ * piece, each with the chain's attributes. Null if one has a { ... }
+ * operand, which can't be cut.
+ */
+function writeDotCuts(text, cuts) {
+  if (cuts.some(({ chain }) => chain.kind === 'edge' && !chain.operands.every(operand => operand.simple))) return null;
+  return cuts.map(({ chain, pieces }) => {
+    const attrs = text.slice(chain.bodyEnd, chain.end);
+    const written = pieces.map(piece => {
+      const refs = piece.groups.flat();
+      const body = text.slice(refs[0].start, refs[refs.length - 1].end);
+      return piece.links.length > 0 ? body + attrs : body;
+    });
+    return written.length > 0
+      ? { start: chain.start, end: chain.end, text: written.join(`;\n${indentAt(text, chain.start)}`) }
+      : removalOf(text, chain.start, chain.end);
+  });
+}
+
+// Ids that can be written bare are; anything else is quoted
+function formatId(id) {
+  return /^[A-Za-z_]\w*$/.test(id) && !KEYWORDS.has(id.toLowerCase()) ? id : quote(id);
+}
+
+// A replacement adding `line` before the closing "}" at `close`
+function insertionBefore(text, close, line) {
+  const lineStart = text.lastIndexOf('\n', close - 1) + 1;
+  return text.slice(lineStart, close).trim()
+    ? { start: close, end: close, text: `\n  ${line}\n` }
+    : { start: lineStart, end: lineStart, text: `  ${line}\n` };
+}
+
+/**
+ * A replacement giving a statement's attribute lists the `changes`
+ * ({ key: value }, or null to remove the key). Other entries are kept as
+ * written, all in one list.
+ */
+function setAttrs(text, statement, changes) {
+  const entries = [];
+  const pending = { ...changes };
+  statement.lists.flatMap(list => list.entries).forEach(entry => {
+    if (!(entry.key in changes)) {
+      entries.push(text.slice(entry.start, entry.end));
+      return;
+    }
+    if (entry.key in pending && pending[entry.key] !== null) entries.push(`${entry.key}=${pending[entry.key]}`);
+    delete pending[entry.key];
+  });
+  Object.entries(pending).forEach(([key, value]) => {
+    if (value !== null) entries.push(`${key}=${value}`);
+  });
+  return { start: statement.bodyEnd, end: statement.end, text: entries.length > 0 ? ` [${entries.join(', ')}]` : '' };
+}
+
+// The attributes to change (see setAttrs) to turn edge `before` into `edge`
+function edgeAttrChanges(statement, before, edge, directed) {
+  const changes = {};
+  if ((edge.label || '') !== (before.label || '')) {
+    changes.label = edge.label ? quote(edge.label) : null;
+    changes.xlabel = null;
+  }
+  if ((edge.style || 'solid') !== (before.style || 'solid')) {
+    changes.style = EXPORT_EDGE_STYLES[edge.style] || null;
+    const penwidth = statement.lists.flatMap(list => list.entries).find(entry => entry.key === 'penwidth');
+    if (edge.style !== 'thick' && penwidth && parseFloat(penwidth.value) >= 2) changes.penwidth = null;
+  }
+  if ((edge.arrow || 'end') !== (before.arrow || 'end')) {
+    if (edge.arrow === 'both' || edge.arrow === 'none') changes.dir = edge.arrow;
+    else changes.dir = directed ? null : 'forward';
+    changes.arrowhead = null;
+  }
+  return changes;
+}
@@ -0,0 +1,96 @@
+/**
+ * Paths for edges between laid-out nodes ({ x, y, width, height }, centred,
+ * as graphLayout.js places them). `vertical` is true for top-bottom and
+ * bottom-top layouts. Points are { x, y }.
+ */
+
+// Gap between the outermost node and a back edge's run, per back edge
+const BACK_EDGE_GAP = 28;
+
+/**
+ * Route a back edge around the side of the chart: out of the source's right
+ * side (bottom in left-right layouts), along past every node between the two
+ * ranks, and into the target's same side. Each back edge gets its own lane so
+ * parallel loops don't overlap. Nodes are dagre nodes ({ x, y, width, height }).
+ */
+export function sideRoute(from, to, obstacles, lane, vertical) {
+  const along = vertical ? 'y' : 'x';
+  const across = vertical ? 'x' : 'y';
+  const extent = vertical ? 'width' : 'height';
+  const low = Math.min(from[along], to[along]);
+  const high = Math.max(from[along], to[along]);
+  const span = vertical ? 'height' : 'width';
+
+  let outer = -Infinity;
+  obstacles.forEach(node => {
+    if (node[along] + node[span] / 2 < low || node[along] - node[span] / 2 > high) return;
+    outer = Math.max(outer, node[across] + node[extent] / 2);
+  });
+  const run = outer + BACK_EDGE_GAP * (lane + 1);
+
+  const point = (a, b) => ({ [across]: a, [along]: b });
+  const points = [
+    point(from[across] + from[extent] / 2, from[along]),
+    point(run, from[along]),
+    point(run, to[along]),
+    point(to[across] + to[extent] / 2, to[along]),
+  ];
+  return { points, labelAt: point(run, (from[along] + to[along]) / 2) };
+}
+
+/**
+ * Turn a dagre route into horizontal and vertical runs: the edge leaves the
+ * source and enters the target along the rank direction, bending halfway
+ * between consecutive points. The route still passes through every bend
+ * point dagre chose (including the label's spot).
+ */
+export function orthogonalRoute(points, from, to, vertical) {
+  if (points.length < 2) return points;
+  const along = vertical ? 'y' : 'x';
+  const across = vertical ? 'x' : 'y';
+  const extent = vertical ? 'height' : 'width';
+  const inner = points.slice(1, -1);
+  const first = inner[0] || to;
+  const last = inner[inner.length - 1] || from;
+  const leave = Math.sign(first[along] - from[along]) || 1;
+  const enter = Math.sign(to[along] - last[along]) || 1;
+
+  const point = (a, b) => ({ [across]: a, [along]: b });
+  const route = [point(from[across], from[along] + leave * from[extent] / 2)];
+  [...inner, point(to[across], to[along] - enter * to[extent] / 2)].forEach(target => {
+    const prev = route[route.length - 1];
+    if (Math.abs(prev[across] - target[across]) >= 1) {
+      const middle = (prev[along] + target[along]) / 2;
+      route.push(point(prev[across], middle), point(target[across], middle));
+    }
+    route.push(target);
+  });
+
+  // Drop points in the middle of a straight run
+  return route.filter((p, i) => {
+    if (i === 0 || i === route.length - 1) return true;
+    const a = route[i - 1];
+    const b = route[i + 1];
+    return !(Math.abs(a.x - p.x) < 1 && Math.abs(p.x - b.x) < 1) && !(Math.abs(a.y - p.y) < 1 && Math.abs(p.y - b.y) < 1);
+  });
+}
+
+/**
+ * Straight route between two dagre nodes ({ x, y, width, height }, centred),
+ * from border to border.
+ */
+export function straightRoute(from, to) {
+  return [clipToBox(from, to), clipToBox(to, from)];
+}
+
+// Point where the line from a node's centre towards `target` leaves its bounding box
+function clipToBox(node, target) {
+  const dx = target.x - node.x;
+  const dy = target.y - node.y;
+  if (dx === 0 && dy === 0) return { x: node.x, y: node.y };
+  const scale = Math.min(
+    dx === 0 ? Infinity : (node.width / 2) / Math.abs(dx),
+    dy === 0 ? Infinity : (node.height / 2) / Math.abs(dy)
+  );
+  return { x: node.x + dx * scale, y: node.y + dy * scale };
+}
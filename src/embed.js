@@ -0,0 +1,145 @@
+import { readLayout } from './layout';
+import { THEMES } from './themes';
+
+/**
+ * The chart's source, embedded in exported images so a flowchart.svg or
+ * flowchart.png can be dropped back onto the page and edited again.
+ *
+ * The embed is JSON: { app: 'napkinflow', version: 1, source, layout,
+ * theme, title }, where source is the text the chart was rendered from
+ * (NapkinFlow, Mermaid or DOT, with its pins and seed), layout is as in
+ * layout.js, theme a theme id and title the chart's heading (if any).
+ * SVGs carry it in <metadata>; PNGs in an iTXt text chunk with the keyword
+ * "napkinflow".
+ */
+
+const APP = 'napkinflow';
+const VERSION = 1;
+const SVG_NS = 'urn:napkinflow:source';
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+export function createEmbed({ source, layout, theme, title }) {
+  return { app: APP, version: VERSION, source, layout, theme, title: title || '' };
+}
+
+/**
+ * Check an embed read back from a file or a shared link (see share.js),
+ * keeping only settings this version understands. Returns null if it isn't
+ * a NapkinFlow embed.
+ */
+export function readEmbed(json) {
+  let embed;
+  try {
+    embed = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!embed || embed.app !== APP || typeof embed.source !== 'string') return null;
+
+  return {
+    source: embed.source,
+    layout: readLayout(embed.layout),
+    theme: Object.prototype.hasOwnProperty.call(THEMES, embed.theme) ? embed.theme : null,
+    title: typeof embed.title === 'string' ? embed.title : '',
+  };
+}
+
+// Add the embed to an svg element as <metadata>
+export function addSvgEmbed(svg, embed) {
+  const metadata = document.createElementNS('http://www.w3.org/2000/svg', 'metadata');
+  const source = document.createElementNS(SVG_NS, 'source');
+  source.textContent = JSON.stringify(embed);
+  metadata.appendChild(source);
+  svg.appendChild(metadata);
+}
+
+// The embed in an svg file's text, or null
+export function readSvgEmbed(text) {
+  const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+  const source = doc.getElementsByTagNameNS(SVG_NS, 'source')[0];
+  return source ? readEmbed(source.textContent) : null;
+}
+
+/**
+ * Copy of PNG file bytes (Uint8Array) with the embed added as an iTXt
+ * chunk just before the closing IEND chunk.
+ */
+export function addPngEmbed(bytes, embed) {
+  const keyword = new TextEncoder().encode(APP);
+  const text = new TextEncoder().encode(JSON.stringify(embed));
+  // keyword, NUL, not compressed, compression method, empty language tag
+  // and translated keyword (each NUL-terminated), then the UTF-8 text
+  const data = new Uint8Array(keyword.length + 5 + text.length);
+  data.set(keyword, 0);
+  data.set(text, keyword.length + 5);
+
+  const end = findPngChunks(bytes).find(chunk => chunk.type === 'IEND');
+  if (!end) throw new Error('Not a PNG file');
+  const chunk = pngChunk('iTXt', data);
+  const result = new Uint8Array(bytes.length + chunk.length);
+  result.set(bytes.subarray(0, end.offset), 0);
+  result.set(chunk, end.offset);
+  result.set(bytes.subarray(end.offset), end.offset + chunk.length);
+  return result;
+}
+
+// The embed in PNG file bytes (Uint8Array), or null
+export function readPngEmbed(bytes) {
+  for (const chunk of findPngChunks(bytes)) {
+    if (chunk.type !== 'iTXt') continue;
+    const data = bytes.subarray(chunk.offset + 8, chunk.offset + 8 + chunk.length);
+    const keywordEnd = data.indexOf(0);
+    if (new TextDecoder('latin1').decode(data.subarray(0, keywordEnd)) !== APP) continue;
+    // Compressed text is never written by addPngEmbed
+    if (data[keywordEnd + 1] !== 0) continue;
+    const languageEnd = data.indexOf(0, keywordEnd + 3);
+    const translatedEnd = data.indexOf(0, languageEnd + 1);
+    if (languageEnd < 0 || translatedEnd < 0) continue;
+    return readEmbed(new TextDecoder().decode(data.subarray(translatedEnd + 1)));
+  }
+  return null;
+}
+
+// The chunks of a PNG file as { type, offset, length } (offset of the
+// chunk's length field, length of its data); empty if it isn't a PNG
+function findPngChunks(bytes) {
+  if (bytes.length < 8 || PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) return [];
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    chunks.push({ type, offset, length });
+    if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+let crcTable = null;
+
+// CRC-32 as PNG chunks use it (over the chunk type and data)
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
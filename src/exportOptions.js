@@ -0,0 +1,54 @@
+import { DEFAULT_PDF_OPTIONS } from './pdfExport';
+
+/**
+ * Settings for SVG, PNG and PDF exports, picked in ExportDialog and shared by
+ * all three formats: which part of the chart to export, the padding around
+ * it (px on each side) and the background, plus the PNG scale and the PDF
+ * page setup (see pdfExport.js).
+ */
+
+export const EXPORT_AREAS = {
+  chart: 'Whole chart',
+  view: 'What the canvas shows',
+  selection: 'Selected nodes',
+};
+
+export const BACKGROUNDS = {
+  theme: 'Theme background',
+  transparent: 'Transparent',
+  custom: 'Custom colour',
+};
+
+export const SCALE_RANGE = { min: 1, max: 8 };
+export const PADDING_RANGE = { min: 0, max: 200 };
+
+// CSS pixels per inch, so a PNG at scale 1 is 96 dpi
+export const CSS_DPI = 96;
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  area: 'chart',
+  padding: 20,
+  background: 'theme',
+  color: '#ffffff',
+  scale: 3,
+  ...DEFAULT_PDF_OPTIONS,
+};
+
+// The colour to fill behind the chart, or null to leave it transparent
+export function exportBackground(options, theme) {
+  if (options.background === 'transparent') return null;
+  return options.background === 'custom' ? options.color : theme.background;
+}
+
+// File name (without extension) suggested for a chart's title:
+// "Plan a product launch" -> "plan-a-product-launch"
+export function defaultExportName(title) {
+  const name = (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+  return name.slice(0, 60).replace(/-+$/, '') || 'flowchart';
+}
+
+// A name typed for an export as a file name with the format's extension
+export function exportFileName(name, extension) {
+  const base = name.trim().replace(/[\\/:*?"<>|]+/g, '-').replace(new RegExp(`\\.${extension}$`, 'i'), '');
+  return `${base || 'flowchart'}.${extension}`;
+}
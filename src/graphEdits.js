@@ -0,0 +1,91 @@
+/**
+ * Edits made on the canvas, applied to a { nodes, edges, groups, pins }
+ * graph. Each returns a new graph; the caller writes it back to the text
+ * in place (see textEdits.js).
+ *
+ * Edits:
+ * - { type: 'updateNode', id, changes: { label?, type? } }
+ * - { type: 'deleteNode', id } — also drops its edges and pin
+ * - { type: 'updateEdge', index, changes: { label?, style?, arrow? } }
+ * - { type: 'deleteEdge', index }
+ * - { type: 'addEdge', from, to }
+ * Edges are addressed by their index in graph.edges.
+ */
+export function applyGraphEdit(graph, edit) {
+  const { nodes = [], edges = [], pins = {} } = graph;
+
+  switch (edit.type) {
+    case 'updateNode':
+      return {
+        ...graph,
+        nodes: nodes.map(node => (node.id === edit.id ? withoutEmpty({ ...node, ...edit.changes }) : node)),
+      };
+    case 'deleteNode': {
+      const { [edit.id]: _removed, ...remainingPins } = pins;
+      return {
+        ...graph,
+        nodes: nodes.filter(node => node.id !== edit.id),
+        edges: edges.filter(edge => edge.from !== edit.id && edge.to !== edit.id),
+        pins: remainingPins,
+      };
+    }
+    case 'updateEdge':
+      return {
+        ...graph,
+        edges: edges.map((edge, index) => (index === edit.index ? withoutEmpty({ ...edge, ...edit.changes }) : edge)),
+      };
+    case 'deleteEdge':
+      return { ...graph, edges: edges.filter((_, index) => index !== edit.index) };
+    case 'addEdge':
+      return { ...graph, edges: [...edges, { from: edit.from, to: edit.to }] };
+    default:
+      return graph;
+  }
+}
+
+// Optional fields cleared in the editor are dropped rather than kept as ''
+function withoutEmpty(item) {
+  return Object.fromEntries(Object.entries(item).filter(([, value]) => value !== '' && value != null));
+}
+
+/**
+ * Whether two graphs draw the same chart: nodes with the same labels, types
+ * and groups, the same edges and the same pins, whatever their order or
+ * node ids. Nodes are matched by id where the ids agree, otherwise by label
+ * and type.
+ */
+export function sameGraph(a, b) {
+  if (a.nodes.length !== b.nodes.length || a.edges.length !== b.edges.length) return false;
+
+  const groupLabel = (graph, id) => (graph.groups || []).find(group => group.id === id)?.label ?? null;
+  const nodeKey = (graph, node) => JSON.stringify([node.label, node.type, groupLabel(graph, node.group)]);
+  const ids = new Map(); // id in a -> id in b
+  const unmatched = new Map(b.nodes.map(node => [node.id, node]));
+  a.nodes.forEach(node => {
+    const other = unmatched.get(node.id);
+    if (other && nodeKey(b, other) === nodeKey(a, node)) {
+      ids.set(node.id, node.id);
+      unmatched.delete(node.id);
+    }
+  });
+  for (const node of a.nodes.filter(n => !ids.has(n.id))) {
+    const other = [...unmatched.values()].find(candidate => nodeKey(b, candidate) === nodeKey(a, node));
+    if (!other) return false;
+    ids.set(node.id, other.id);
+    unmatched.delete(other.id);
+  }
+
+  const edgeKeys = (edges, mapId) => edges
+    .map(edge => JSON.stringify([mapId(edge.from), mapId(edge.to), edge.label || '', edge.style || 'solid', edge.arrow || 'end']))
+    .sort();
+  const aEdges = edgeKeys(a.edges, id => ids.get(id));
+  const bEdges = edgeKeys(b.edges, id => id);
+  if (aEdges.some((key, index) => key !== bEdges[index])) return false;
+
+  const aPins = Object.entries(a.pins || {});
+  return aPins.length === Object.keys(b.pins || {}).length
+    && aPins.every(([id, pin]) => {
+      const other = (b.pins || {})[ids.get(id)];
+      return other && other.x === pin.x && other.y === pin.y;
+    });
+}
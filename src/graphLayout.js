@@ -0,0 +1,339 @@
+import dagre from 'dagre';
+
+// dagre walks the graph recursively, so a flow that runs more nodes deep
+// than this can use up the stack (sooner in a worker than on the page);
+// those get layoutLayers instead
+const MAX_DAGRE_DEPTH = 1000;
+
+// Room layoutLayers leaves around the nodes of a group
+const CLUSTER_PADDING = 20;
+
+/**
+ * Automatic layout, kept free of the DOM so it can run in a worker (see
+ * layoutWorker.js). Nodes and edge labels are measured by the caller.
+ * Flows too deep for dagre get a simpler layered layout (layoutLayers).
+ *
+ * Input: {
+ *   nodes: [{ id, group, width, height }],
+ *   edges: [{ from, to, labelWidth, labelHeight }],
+ *   groups: [{ id, parent }],
+ *   layout: { direction, nodeSpacing, rankSpacing },
+ * }
+ *
+ * Result: {
+ *   nodes: Map of node id -> { x, y, width, height } (centred),
+ *   edges: per edge index, dagre's { points, x, y } (x, y: the label's
+ *          centre), or null for back edges and edges to unknown nodes,
+ *   backEdges: indices of the edges that loop back up the flow, in the
+ *              order they were found,
+ *   clusters: Map of group id -> { x, y, width, height } for the groups
+ *             that contain a node,
+ * }
+ */
+export function layoutGraph({ nodes, edges, groups, layout }) {
+  // Edges that loop back up the flow are left out of the layout and routed
+  // around the side afterwards, so they don't cut across the chart
+  const backEdges = findBackEdges(nodes, edges);
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const forward = edges
+    .map((edge, index) => index)
+    .filter(index => !backEdges.has(index) && nodeIds.has(edges[index].from) && nodeIds.has(edges[index].to));
+
+  // Compute indegree to encourage spacing for merge points
+  const indegree = {};
+  forward.forEach(index => {
+    const e = edges[index];
+    indegree[e.to] = (indegree[e.to] || 0) + 1;
+    if (!(e.from in indegree)) indegree[e.from] = indegree[e.from] || 0;
+  });
+  const minlenOf = (index) => ((indegree[edges[index].to] || 0) > 1 ? 2 : 1);
+
+  // Only groups that actually contain a node (directly or through a nested
+  // group) are laid out
+  const groupById = new Map(groups.map(group => [group.id, group]));
+  const usedGroups = new Set();
+  nodes.forEach(node => {
+    let groupId = node.group;
+    while (groupId && groupById.has(groupId) && !usedGroups.has(groupId)) {
+      usedGroups.add(groupId);
+      groupId = groupById.get(groupId).parent;
+    }
+  });
+
+  const flow = { nodes, edges, forward, backEdges, minlenOf, groupById, usedGroups, layout };
+  const ranking = rankNodes(flow);
+  if (ranking.depth > MAX_DAGRE_DEPTH) return layoutLayers(flow, ranking);
+  try {
+    return layoutWithDagre(flow);
+  } catch (error) {
+    // Stack sizes differ, so a flow under the limit can still run out
+    if (error instanceof RangeError) return layoutLayers(flow, ranking);
+    throw error;
+  }
+}
+
+// The layout dagre makes, as layoutGraph returns it
+function layoutWithDagre({ nodes, edges, forward, backEdges, minlenOf, groupById, usedGroups, layout }) {
+  const g = new dagre.graphlib.Graph({ compound: true });
+  g.setGraph({ rankdir: layout.direction, nodesep: layout.nodeSpacing, ranksep: layout.rankSpacing });
+  g.setDefaultEdgeLabel(() => ({}));
+
+  nodes.forEach(node => {
+    g.setNode(node.id, { width: node.width, height: node.height });
+  });
+
+  // Add lanes/groups as dagre clusters
+  usedGroups.forEach(groupId => {
+    g.setNode(clusterKey(groupId), {});
+  });
+  usedGroups.forEach(groupId => {
+    const parent = groupById.get(groupId).parent;
+    if (parent && usedGroups.has(parent)) g.setParent(clusterKey(groupId), clusterKey(parent));
+  });
+  nodes.forEach(node => {
+    if (usedGroups.has(node.group)) g.setParent(node.id, clusterKey(node.group));
+  });
+
+  // Add edges to graph with minlen bias for merges. Labels get a box of
+  // their own in the layout, placed on the edge's midpoint.
+  forward.forEach(index => {
+    const edge = edges[index];
+    g.setEdge(edge.from, edge.to, { width: edge.labelWidth, height: edge.labelHeight, labelpos: 'c', minlen: minlenOf(index) });
+  });
+
+  dagre.layout(g);
+
+  const box = ({ x, y, width, height }) => ({ x, y, width, height });
+  const forwardSet = new Set(forward);
+  return {
+    nodes: new Map(nodes.map(node => [node.id, box(g.node(node.id))])),
+    edges: edges.map((edge, index) => {
+      if (!forwardSet.has(index)) return null;
+      const e = g.edge(edge.from, edge.to);
+      return { points: e.points || [], x: e.x, y: e.y };
+    }),
+    backEdges: [...backEdges],
+    clusters: new Map([...usedGroups].map(groupId => [groupId, box(g.node(clusterKey(groupId)))])),
+  };
+}
+
+/**
+ * Rank every node one past the furthest node leading to it, without
+ * recursion: { ranks: Map of node id -> rank, order: node ids in the order
+ * they were ranked, depth: the highest rank }. The forward edges have no
+ * cycles, and self-loops don't count.
+ */
+function rankNodes({ nodes, edges, forward, minlenOf }) {
+  const ranks = new Map(nodes.map(node => [node.id, 0]));
+  const waitingFor = new Map(nodes.map(node => [node.id, 0]));
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  forward.forEach(index => {
+    const { from, to } = edges[index];
+    if (from === to) return;
+    outgoing.get(from).push(index);
+    waitingFor.set(to, waitingFor.get(to) + 1);
+  });
+
+  const order = nodes.filter(node => waitingFor.get(node.id) === 0).map(node => node.id);
+  let depth = 0;
+  for (let i = 0; i < order.length; i++) {
+    const id = order[i];
+    depth = Math.max(depth, ranks.get(id));
+    outgoing.get(id).forEach(index => {
+      const { to } = edges[index];
+      ranks.set(to, Math.max(ranks.get(to), ranks.get(id) + minlenOf(index)));
+      waitingFor.set(to, waitingFor.get(to) - 1);
+      if (waitingFor.get(to) === 0) order.push(to);
+    });
+  }
+  // Only a cycle would leave nodes out; they keep the rank they got so far
+  if (order.length < nodes.length) {
+    const ranked = new Set(order);
+    nodes.forEach(node => {
+      if (!ranked.has(node.id)) order.push(node.id);
+    });
+  }
+  return { ranks, order, depth };
+}
+
+/**
+ * A plain layered layout for flows too deep for dagre, with the same result
+ * as layoutGraph. Ranks from rankNodes run down the chart (or across it,
+ * for LR and RL), each as deep as its biggest node plus the rank spacing
+ * and room for the labels of the edges leaving it. A rank's nodes sit side
+ * by side in the order the flow reaches them, sorted once by where the
+ * nodes leading to them are. Edges run straight between nodes with their
+ * label halfway, and groups are drawn around their nodes.
+ */
+function layoutLayers({ nodes, edges, forward, backEdges, groupById, usedGroups, layout }, { ranks, order }) {
+  const vertical = layout.direction === 'TB' || layout.direction === 'BT';
+  const reversed = layout.direction === 'BT' || layout.direction === 'RL';
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+  // Size along the flow and across it
+  const along = (box) => (vertical ? box.height : box.width);
+  const across = (box) => (vertical ? box.width : box.height);
+
+  const layers = [];
+  order.forEach(id => {
+    const rank = ranks.get(id);
+    while (layers.length <= rank) layers.push([]);
+    layers[rank].push(id);
+  });
+
+  // Order each rank by the average place of the nodes leading into it
+  const incoming = new Map(nodes.map(node => [node.id, []]));
+  forward.forEach(index => {
+    const { from, to } = edges[index];
+    if (from !== to) incoming.get(to).push(from);
+  });
+  const place = new Map();
+  layers.forEach(layer => {
+    const weight = (id) => {
+      const from = incoming.get(id).filter(other => place.has(other));
+      return from.length === 0 ? Infinity : from.reduce((sum, other) => sum + place.get(other), 0) / from.length;
+    };
+    const weights = new Map(layer.map(id => [id, weight(id)]));
+    layer.sort((a, b) => (weights.get(a) === weights.get(b) ? 0 : weights.get(a) < weights.get(b) ? -1 : 1));
+    layer.forEach((id, index) => place.set(id, index));
+  });
+
+  // Room for the labels on the edges leaving each rank
+  const labelRoom = layers.map(() => 0);
+  forward.forEach(index => {
+    const edge = edges[index];
+    const label = vertical ? edge.labelHeight : edge.labelWidth;
+    if (label) labelRoom[ranks.get(edge.from)] = Math.max(labelRoom[ranks.get(edge.from)], label);
+  });
+
+  const boxes = new Map();
+  let start = 0;
+  layers.forEach((layer, rank) => {
+    const depth = layer.reduce((most, id) => Math.max(most, along(nodeById.get(id))), 0);
+    const breadth = layer.reduce((sum, id) => sum + across(nodeById.get(id)), 0) + layout.nodeSpacing * (layer.length - 1);
+    let side = -breadth / 2;
+    layer.forEach(id => {
+      const node = nodeById.get(id);
+      const a = (start + depth / 2) * (reversed ? -1 : 1);
+      const b = side + across(node) / 2;
+      boxes.set(id, { x: vertical ? b : a, y: vertical ? a : b, width: node.width, height: node.height });
+      side += across(node) + layout.nodeSpacing;
+    });
+    start += depth + layout.rankSpacing + labelRoom[rank];
+  });
+
+  // Move the chart clear of the origin, as dagre lays it out
+  let left = Infinity;
+  let top = Infinity;
+  boxes.forEach(box => {
+    left = Math.min(left, box.x - box.width / 2);
+    top = Math.min(top, box.y - box.height / 2);
+  });
+  boxes.forEach(box => {
+    box.x -= left - CLUSTER_PADDING;
+    box.y -= top - CLUSTER_PADDING;
+  });
+
+  const forwardSet = new Set(forward);
+  const clusters = new Map();
+  nodes.forEach(node => {
+    const box = boxes.get(node.id);
+    for (let groupId = node.group; usedGroups.has(groupId); groupId = groupById.get(groupId).parent) {
+      const c = clusters.get(groupId) || { x1: Infinity, y1: Infinity, x2: -Infinity, y2: -Infinity };
+      c.x1 = Math.min(c.x1, box.x - box.width / 2 - CLUSTER_PADDING);
+      c.y1 = Math.min(c.y1, box.y - box.height / 2 - CLUSTER_PADDING);
+      c.x2 = Math.max(c.x2, box.x + box.width / 2 + CLUSTER_PADDING);
+      c.y2 = Math.max(c.y2, box.y + box.height / 2 + CLUSTER_PADDING);
+      clusters.set(groupId, c);
+    }
+  });
+
+  return {
+    nodes: boxes,
+    edges: edges.map((edge, index) => {
+      if (!forwardSet.has(index)) return null;
+      const from = boxes.get(edge.from);
+      const to = boxes.get(edge.to);
+      let points = selfLoop(from, vertical);
+      if (edge.from !== edge.to) {
+        const ends = [borderPoint(from, to), borderPoint(to, from)];
+        points = [ends[0], { x: (ends[0].x + ends[1].x) / 2, y: (ends[0].y + ends[1].y) / 2 }, ends[1]];
+      }
+      return { points, x: points[1].x, y: points[1].y };
+    }),
+    backEdges: [...backEdges],
+    clusters: new Map([...clusters].map(([groupId, c]) => [
+      groupId,
+      { x: (c.x1 + c.x2) / 2, y: (c.y1 + c.y2) / 2, width: c.x2 - c.x1, height: c.y2 - c.y1 },
+    ])),
+  };
+}
+
+// Where the line from a box's centre towards `target` leaves the box
+function borderPoint(box, target) {
+  const dx = target.x - box.x;
+  const dy = target.y - box.y;
+  if (dx === 0 && dy === 0) return { x: box.x, y: box.y };
+  const scale = Math.min(
+    dx === 0 ? Infinity : (box.width / 2) / Math.abs(dx),
+    dy === 0 ? Infinity : (box.height / 2) / Math.abs(dy)
+  );
+  return { x: box.x + dx * scale, y: box.y + dy * scale };
+}
+
+// A loop out of one side of a box and back in, across the flow
+function selfLoop(box, vertical) {
+  if (vertical) {
+    const side = box.x + box.width / 2;
+    return [{ x: side, y: box.y - box.height / 4 }, { x: side + 24, y: box.y }, { x: side, y: box.y + box.height / 4 }];
+  }
+  const side = box.y + box.height / 2;
+  return [{ x: box.x - box.width / 4, y: side }, { x: box.x, y: side + 24 }, { x: box.x + box.width / 4, y: side }];
+}
+
+/**
+ * Indices of edges that lead back to a node already on the current path
+ * (loops such as "Retry"), found by a depth-first walk that starts from nodes
+ * nothing points to and follows edges in the order they were written.
+ * Self-loops don't count.
+ */
+function findBackEdges(nodes, edges) {
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  const hasIncoming = new Set();
+  edges.forEach((edge, index) => {
+    if (edge.from === edge.to || !outgoing.has(edge.from) || !outgoing.has(edge.to)) return;
+    outgoing.get(edge.from).push(index);
+    hasIncoming.add(edge.to);
+  });
+
+  const backEdges = new Set();
+  const state = new Map(); // node id -> 'open' while on the path, then 'done'
+  const roots = [...nodes.filter(node => !hasIncoming.has(node.id)), ...nodes];
+  roots.forEach(root => {
+    if (state.has(root.id)) return;
+    state.set(root.id, 'open');
+    const stack = [{ id: root.id, next: 0 }];
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      const out = outgoing.get(top.id);
+      if (top.next >= out.length) {
+        state.set(top.id, 'done');
+        stack.pop();
+        continue;
+      }
+      const index = out[top.next++];
+      const seen = state.get(edges[index].to);
+      if (seen === 'open') {
+        backEdges.add(index);
+      } else if (!seen) {
+        state.set(edges[index].to, 'open');
+        stack.push({ id: edges[index].to, next: 0 });
+      }
+    }
+  });
+  return backEdges;
+}
+
+// Cluster names live alongside node ids in the dagre graph, so keep them apart
+function clusterKey(groupId) {
+  return `group:${groupId}`;
+}
@@ -0,0 +1,74 @@
+/**
+ * Layout settings shared by the canvas, the parsers and the exporters.
+ *
+ * A diagram's layout is { direction, nodeSpacing, rankSpacing, routing }
+ * with the spacings in pixels and routing how edges are drawn. Parsers return only the fields their source text sets;
+ * anything missing falls back to the current or default value.
+ */
+
+export const LAYOUT_DIRECTIONS = ['TB', 'LR', 'RL', 'BT'];
+
+// Edge shapes: straight segments through dagre's bend points, a smooth
+// curve through them, or horizontal/vertical runs with right-angle bends
+export const EDGE_ROUTINGS = ['straight', 'curved', 'orthogonal'];
+
+export const DEFAULT_LAYOUT = { direction: 'TB', nodeSpacing: 60, rankSpacing: 120, routing: 'straight' };
+
+// Other tools' names for the routings (Graphviz splines, Mermaid curves)
+const ROUTING_ALIASES = {
+  line: 'straight',
+  linear: 'straight',
+  polyline: 'straight',
+  false: 'straight',
+  curve: 'curved',
+  spline: 'curved',
+  splines: 'curved',
+  true: 'curved',
+  basis: 'curved',
+  cardinal: 'curved',
+  catmullrom: 'curved',
+  monotonex: 'curved',
+  monotoney: 'curved',
+  natural: 'curved',
+  ortho: 'orthogonal',
+  step: 'orthogonal',
+  stepafter: 'orthogonal',
+  stepbefore: 'orthogonal',
+};
+
+// Keep spacing inside a range dagre lays out sensibly
+export const SPACING_RANGE = { min: 10, max: 400 };
+
+// Map user input onto a layout direction; "TD" is Mermaid's spelling of TB
+export function normalizeDirection(value) {
+  const direction = String(value || '').toUpperCase();
+  if (direction === 'TD') return 'TB';
+  return LAYOUT_DIRECTIONS.includes(direction) ? direction : null;
+}
+
+export function normalizeRouting(value) {
+  const routing = String(value || '').toLowerCase();
+  if (EDGE_ROUTINGS.includes(routing)) return routing;
+  return ROUTING_ALIASES[routing] || null;
+}
+
+export function clampSpacing(value) {
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) return null;
+  return Math.min(SPACING_RANGE.max, Math.max(SPACING_RANGE.min, number));
+}
+
+// Layout settings stored outside the text (in exported images, the document
+// library), keeping only the fields that are valid
+export function readLayout(saved) {
+  const layout = {};
+  const direction = normalizeDirection(saved?.direction);
+  const routing = normalizeRouting(saved?.routing);
+  if (direction) layout.direction = direction;
+  if (routing) layout.routing = routing;
+  ['nodeSpacing', 'rankSpacing'].forEach(key => {
+    const spacing = typeof saved?.[key] === 'number' ? clampSpacing(saved[key]) : null;
+    if (spacing !== null) layout[key] = spacing;
+  });
+  return layout;
+}
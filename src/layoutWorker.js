@@ -0,0 +1,14 @@
+import { layoutGraph } from './graphLayout';
+
+// Lays out one graph per message (see backgroundLayout.js), off the page's thread
+self.onmessage = (e) => {
+  try {
+    self.postMessage({ result: layoutGraph(e.data) });
+  } catch (error) {
+    self.postMessage({ error: error.message || String(error) });
+  }
+};
+
+// Tells the page the worker loaded, so any error event after this is a
+// layout that crashed it rather than a worker that can't start
+self.postMessage({ ready: true });
@@ -0,0 +1,170 @@
+import { readLayout } from './layout';
+import { THEMES } from './themes';
+
+/**
+ * The document library: charts saved in the browser's IndexedDB so they
+ * survive a reload, and the id of the one last open.
+ *
+ * A document is { id, name, text, source, layout, theme, title, created,
+ * updated }: text is what's in the editor, source the text the chart was
+ * rendered from (null if nothing was rendered; AI output is saved as
+ * NapkinFlow), layout, theme and title as in embed.js, and the times are
+ * milliseconds since the epoch.
+ *
+ * The whole library can be saved to and loaded from one JSON file:
+ * { app: 'napkinflow', library: 1, documents: [...] }.
+ */
+
+const DB_NAME = 'napkinflow';
+const DB_VERSION = 1;
+const DOCUMENTS = 'documents';
+const SETTINGS = 'settings';
+const LAST_DOCUMENT = 'lastDocument';
+
+const APP = 'napkinflow';
+const LIBRARY_VERSION = 1;
+
+export const UNTITLED = 'Untitled chart';
+
+let database = null;
+
+function openDatabase() {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser has no IndexedDB'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(DOCUMENTS, { keyPath: 'id' });
+        request.result.createObjectStore(SETTINGS);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again
+    database.catch(() => {
+      database = null;
+    });
+  }
+  return database;
+}
+
+// Run `action(store)` in a transaction; resolves to the result of the
+// request it returns once the transaction has committed
+async function withStore(name, mode, action) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    const request = action(transaction.objectStore(name));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Every document, most recently changed first
+export async function listDocuments() {
+  const documents = await withStore(DOCUMENTS, 'readonly', store => store.getAll());
+  return documents.map(readDocument).filter(Boolean).sort((a, b) => b.updated - a.updated);
+}
+
+export function putDocument(doc) {
+  return withStore(DOCUMENTS, 'readwrite', store => store.put(doc));
+}
+
+export function deleteDocument(id) {
+  return withStore(DOCUMENTS, 'readwrite', store => store.delete(id));
+}
+
+export function getLastDocumentId() {
+  return withStore(SETTINGS, 'readonly', store => store.get(LAST_DOCUMENT));
+}
+
+export function setLastDocumentId(id) {
+  return withStore(SETTINGS, 'readwrite', store => store.put(id, LAST_DOCUMENT));
+}
+
+// A new (not yet saved) document; `fields` override the empty defaults but
+// not the id or times
+export function newDocument(fields = {}) {
+  const now = Date.now();
+  return {
+    name: UNTITLED,
+    text: '',
+    source: null,
+    layout: {},
+    theme: null,
+    title: '',
+    ...fields,
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+    created: now,
+    updated: now,
+  };
+}
+
+// The library file's text
+export function libraryFile(documents) {
+  return JSON.stringify({ app: APP, library: LIBRARY_VERSION, documents }, null, 2);
+}
+
+/**
+ * Documents from a library file's text, keeping only what this version
+ * understands. Throws if it isn't a NapkinFlow library.
+ */
+export function readLibraryFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    file = null;
+  }
+  if (!file || file.app !== APP || !Array.isArray(file.documents)) {
+    throw new Error('This is not a NapkinFlow library file');
+  }
+  return file.documents.map(readDocument).filter(Boolean);
+}
+
+/**
+ * Add documents from a library file. A document already in the library (same
+ * id) is only replaced by a more recently changed copy. Resolves to the
+ * number of documents added or replaced.
+ */
+export async function importDocuments(documents) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(DOCUMENTS, 'readwrite');
+    const store = transaction.objectStore(DOCUMENTS);
+    let count = 0;
+    documents.forEach(doc => {
+      const request = store.get(doc.id);
+      request.onsuccess = () => {
+        const existing = request.result;
+        if (existing && existing.updated >= doc.updated) return;
+        store.put(doc);
+        count++;
+      };
+    });
+    transaction.oncomplete = () => resolve(count);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Check a stored or imported document; null if it can't be used
+function readDocument(doc) {
+  if (!doc || typeof doc.id !== 'string' || !doc.id || typeof doc.text !== 'string') return null;
+  const time = (value) => (Number.isFinite(value) ? value : Date.now());
+  return {
+    id: doc.id,
+    name: typeof doc.name === 'string' && doc.name.trim() ? doc.name : UNTITLED,
+    text: doc.text,
+    source: typeof doc.source === 'string' ? doc.source : null,
+    layout: readLayout(doc.layout),
+    theme: Object.prototype.hasOwnProperty.call(THEMES, doc.theme) ? doc.theme : null,
+    title: typeof doc.title === 'string' ? doc.title : '',
+    created: time(doc.created),
+    updated: time(doc.updated),
+  };
+}
@@ -0,0 +1,711 @@
+/**
+ * Read and write Mermaid flowchart text.
+ *
+ * parseMermaid turns a `flowchart`/`graph` block into the same
+ * { nodes, edges, groups, diagnostics } shape parseWorkflow returns, so it
+ * can be handed straight to FlowCanvas. toMermaid goes the other way for
+ * any { nodes, edges } graph (parsed text or AI output), and editMermaid
+ * makes a canvas edit to the text in place.
+ *
+ * Supported on import:
+ * - Node shapes: [rect], (rounded), ([stadium]), ((circle)), {rhombus},
+ *   {{hexagon}}, [/lean/], [\lean\], [[subroutine]], [(cylinder)],
+ *   >asymmetric] and the newer `id@{ shape: doc, label: "..." }` form
+ * - Links: -->, ---, -.->, ==>, <-->, with |label| or "-- label -->" text
+ * - Chains (A --> B --> C) and "&" lists (A & B --> C)
+ * - subgraph ... end blocks, kept as node groups; listing a node defined
+ *   earlier inside one moves it in
+ * - the header direction and `%%{init: {"flowchart": {"nodeSpacing": ..,
+ *   "rankSpacing": .., "curve": ..}}}%%` spacing and curve style, returned
+ *   as `layout`
+ * - "%% @pin x y id" comments, returned as `pins` (see pins.js), and a
+ *   "%% @seed n" comment, returned as `seed` (see seed.js)
+ * - a `linkStyle` line giving links a stroke-dasharray, which makes them
+ *   dashed: Mermaid has no dashed link of its own, so toMermaid writes
+ *   dashed edges as dotted links listed on such a line
+ * Other styling (classDef, class, style, click, the rest of linkStyle) is
+ * skipped.
+ */
+
+import { normalizeDirection, normalizeRouting, clampSpacing, DEFAULT_LAYOUT } from './layout';
+import { parsePin, setPinLines } from './pins';
+import { DEFAULT_SEED, parseSeed, setSeedLine } from './seed';
+import { applyGraphEdit } from './graphEdits';
+import { editText, cutChains, replaceRanges, removalOf, indentAt, lineInsertion } from './textEdits';
+
+const HEADER_PATTERN = /^(?:flowchart|graph)(?:\s+(TB|TD|BT|RL|LR))?\s*;?$/i;
+
+// Openers are tried in order, so longer ones must come before their prefixes
+const SHAPE_DELIMITERS = [
+  { open: '([', close: '])', type: 'terminator' },
+  { open: '((', close: '))', type: 'terminator' },
+  { open: '[[', close: ']]', type: 'subprocess' },
+  { open: '[(', close: ')]', type: 'database' },
+  { open: '[/', close: '/]', type: 'io' },
+  { open: '[/', close: '\\]', type: 'io' },
+  { open: '[\\', close: '\\]', type: 'io' },
+  { open: '[\\', close: '/]', type: 'io' },
+  { open: '{{', close: '}}', type: 'process' },
+  { open: '[', close: ']', type: 'process' },
+  { open: '(', close: ')', type: 'process' },
+  { open: '{', close: '}', type: 'decision' },
+  { open: '>', close: ']', type: 'document' },
+];
+
+// Shape names accepted in the `@{ shape: ... }` syntax
+const SHAPE_NAMES = {
+  rect: 'process',
+  process: 'process',
+  rounded: 'process',
+  diam: 'decision',
+  diamond: 'decision',
+  decision: 'decision',
+  stadium: 'terminator',
+  terminal: 'terminator',
+  pill: 'terminator',
+  circle: 'terminator',
+  'lean-r': 'io',
+  'lean-l': 'io',
+  'in-out': 'io',
+  subproc: 'subprocess',
+  subroutine: 'subprocess',
+  'framed-rectangle': 'subprocess',
+  cyl: 'database',
+  cylinder: 'database',
+  database: 'database',
+  db: 'database',
+  doc: 'document',
+  document: 'document',
+};
+
+// Preferred Mermaid syntax per NapkinFlow node type on export
+const EXPORT_SHAPES = {
+  process: ['[', ']'],
+  decision: ['{', '}'],
+  terminator: ['([', '])'],
+  io: ['[/', '/]'],
+  subprocess: ['[[', ']]'],
+  database: ['[(', ')]'],
+};
+
+// Dashes are allowed inside ids but never doubled, so "A-->B" still splits
+const ID_PATTERN = /^[A-Za-z0-9_]+(?:-[A-Za-z0-9_]+)*/;
+
+// "-- text -->", "-. text .->", "== text ==>"
+const TEXT_LINK_PATTERN = /^\s*(<?)(--|==|-\.)\s*([^-=.<>|\s][^<>|]*?)\s*(-{2,}>|-{3,}|={2,}>|={3,}|\.-+>|\.-+)\s*/;
+// "-->", "---", "-.->", "==>", "<-->", optionally followed by |label|
+const LINK_PATTERN = /^\s*(<?)(-{2,}>|-{3,}|={2,}>|={3,}|-\.+->|-\.+-)\s*(?:\|([^|]*)\|)?\s*/;
+
+// "linkStyle 0,3 stroke:#333,stroke-dasharray: 10 6": the links it styles and how
+const LINK_STYLE_PATTERN = /^linkStyle\s+(default|\d+(?:\s*,\s*\d+)*)\s+(.*)$/i;
+
+// A dash pattern other than "none" or 0 draws a link dashed
+const DASH_PATTERN = /stroke-dasharray\s*:\s*(?!none\b|0\s*(?:[,;]|$))\S/i;
+
+// What toMermaid gives dashed links, matching the canvas's dashes
+const DASHED_LINK_STYLE = 'stroke-dasharray: 10 6';
+
+const OPENING_FENCE = /^\s*```(?:mermaid)?\s*\n/i;
+
+const RESERVED_IDS = new Set(['end', 'graph', 'flowchart', 'subgraph', 'style', 'class', 'classdef', 'click', 'linkstyle', 'direction']);
+
+/**
+ * True when the text looks like a Mermaid flowchart rather than NapkinFlow
+ * syntax: its first meaningful line is a flowchart/graph header.
+ */
+export function isMermaid(text) {
+  const firstLine = stripFences(text || '')
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .find(l => l && !l.startsWith('%%'));
+  return !!firstLine && HEADER_PATTERN.test(firstLine);
+}
+
+export function parseMermaid(text) {
+  return readMermaid(text).graph;
+}
+
+/**
+ * parseMermaid, plus where things are in the text for editMermaid: every
+ * chain statement read in full (see readChain) and the style, click and
+ * class lines, each with its offsets.
+ */
+function readMermaid(text) {
+  const nodes = [];
+  const edges = [];
+  const groups = [];
+  const diagnostics = [];
+  const layout = {};
+  const pins = {};
+  const pinRefs = [];
+  let seed = DEFAULT_SEED;
+  const nodeById = new Map();
+  const groupStack = [];
+  const chains = [];
+  const styling = [];
+
+  const lines = stripFences(text || '').split('\n');
+  let lineStart = ((text || '').match(OPENING_FENCE) || [''])[0].length;
+  let sawHeader = false;
+
+  const ensureNode = (id, shape) => {
+    let node = nodeById.get(id);
+    if (!node) {
+      node = { id, label: id, type: 'process' };
+      if (groupStack.length > 0) node.group = groupStack[groupStack.length - 1];
+      nodeById.set(id, node);
+      nodes.push(node);
+    } else if (!node.group && groupStack.length > 0) {
+      // Subgraphs often just list nodes defined earlier, which moves them in
+      node.group = groupStack[groupStack.length - 1];
+    }
+    // Later definitions win, as they do in Mermaid itself
+    if (shape) {
+      node.label = shape.label;
+      node.type = shape.type;
+    }
+    return node;
+  };
+
+  lines.forEach((fullLine, lineIndex) => {
+    const rawLine = fullLine.replace(/\r$/, '');
+    const line = lineIndex + 1;
+    const column = rawLine.length - rawLine.trimStart().length + 1;
+    const start = lineStart + column - 1;
+    lineStart += fullLine.length + 1;
+    const warn = (message) => diagnostics.push({ severity: 'warning', message, line, column });
+
+    // A trailing ";" is an optional statement terminator
+    const statement = rawLine.trim().replace(/;$/, '').trim();
+    if (statement.startsWith('%%{')) readInitLayout(statement, layout);
+    if (statement.startsWith('%%')) {
+      const pin = parsePin(statement.slice(2));
+      if (pin) pinRefs.push({ ...pin, line, column });
+      seed = parseSeed(statement.slice(2)) ?? seed;
+    }
+    if (!statement || statement.startsWith('%%')) return;
+
+    const header = !sawHeader && statement.match(HEADER_PATTERN);
+    if (header) {
+      sawHeader = true;
+      if (header[1]) layout.direction = normalizeDirection(header[1]);
+      return;
+    }
+
+    const subgraphMatch = statement.match(/^subgraph\s+(.+)$/i);
+    if (subgraphMatch) {
+      const group = parseSubgraphTitle(subgraphMatch[1].trim(), groups.length);
+      if (groupStack.length > 0) group.parent = groupStack[groupStack.length - 1];
+      groups.push(group);
+      groupStack.push(group.id);
+      return;
+    }
+
+    if (/^end$/i.test(statement)) {
+      if (groupStack.length === 0) warn('"end" without a matching subgraph');
+      groupStack.pop();
+      return;
+    }
+
+    if (/^(classDef|class|style|linkStyle|click|direction)\b/i.test(statement)) {
+      styling.push({ statement, start, end: start + statement.length });
+      return;
+    }
+
+    const chain = parseChain(statement, start, ensureNode, edges);
+    if (chain.complete) {
+      // A mention inside a subgraph can be what puts its node there
+      if (groupStack.length > 0) chain.groups.flat().forEach(ref => { ref.keep = true; });
+      chains.push({ ...chain, start, end: start + statement.length });
+    } else {
+      warn(`Could not read Mermaid statement "${statement}"`);
+    }
+  });
+
+  if (groupStack.length > 0) {
+    diagnostics.push({
+      severity: 'warning',
+      message: `subgraph "${groupStack[groupStack.length - 1]}" is missing its "end"`,
+      line: lines.length,
+      column: 1,
+    });
+  }
+
+  styling.forEach(({ statement }) => {
+    const linkStyle = readLinkStyle(statement, edges.length);
+    if (linkStyle && linkStyle.dashed) {
+      linkStyle.indices.forEach(index => {
+        if (edges[index]) edges[index].style = 'dashed';
+      });
+    }
+  });
+
+  pinRefs.forEach(({ x, y, ref, line, column }) => {
+    if (nodeById.has(ref)) {
+      pins[ref] = { x, y };
+    } else {
+      diagnostics.push({ severity: 'warning', message: `@pin "${ref}" does not match any node id`, line, column });
+    }
+  });
+
+  return { graph: { nodes, edges, groups, diagnostics, layout, pins, seed }, chains, styling };
+}
+
+/**
+ * Read a "linkStyle" line: the link indices it lists (every link for
+ * "default"), where the list is in the line and whether it draws them
+ * dashed. Null for any other line.
+ */
+function readLinkStyle(statement, linkCount) {
+  const match = statement.match(LINK_STYLE_PATTERN);
+  if (!match) return null;
+  const all = /^default$/i.test(match[1]);
+  const listStart = statement.indexOf(match[1], 'linkStyle'.length);
+  return {
+    all,
+    indices: all ? Array.from({ length: linkCount }, (_, index) => index) : match[1].split(',').map(Number),
+    listStart,
+    listEnd: listStart + match[1].length,
+    dashed: DASH_PATTERN.test(match[2]),
+  };
+}
+
+// Pick nodeSpacing, rankSpacing and curve out of a %%{init: ...}%% directive
+function readInitLayout(statement, layout) {
+  const nodeSpacing = statement.match(/["']?nodeSpacing["']?\s*:\s*(\d+)/);
+  const rankSpacing = statement.match(/["']?rankSpacing["']?\s*:\s*(\d+)/);
+  const curve = statement.match(/["']?curve["']?\s*:\s*["'](\w+)["']/);
+  if (nodeSpacing) layout.nodeSpacing = clampSpacing(nodeSpacing[1]);
+  if (rankSpacing) layout.rankSpacing = clampSpacing(rankSpacing[1]);
+  if (curve && normalizeRouting(curve[1])) layout.routing = normalizeRouting(curve[1]);
+}
+
+// Mermaid curve names for the edge routings
+const EXPORT_CURVES = { straight: 'linear', curved: 'basis', orthogonal: 'step' };
+
+/**
+ * Point a Mermaid document's header at a new direction, leaving the rest of
+ * the text alone.
+ */
+export function setMermaidDirection(text, direction) {
+  const lines = text.split('\n');
+  const index = lines.findIndex(line => HEADER_PATTERN.test(line.trim()));
+  if (index === -1) return text;
+  lines[index] = lines[index].replace(/^(\s*(?:flowchart|graph))(?:\s+(?:TB|TD|BT|RL|LR))?/i, `$1 ${direction}`);
+  return lines.join('\n');
+}
+
+function stripFences(text) {
+  return text.replace(OPENING_FENCE, '').replace(/\n\s*```\s*$/, '');
+}
+
+function parseSubgraphTitle(title, index) {
+  // subgraph id [Label] / subgraph id["Label"]
+  const withLabel = title.match(/^([\w-]+)\s*\[(.+)\]$/);
+  if (withLabel) {
+    return { id: withLabel[1], label: unquote(withLabel[2].trim()) };
+  }
+  // subgraph SingleWord, or subgraph "Free text title"
+  if (/^[\w-]+$/.test(title)) {
+    return { id: title, label: title };
+  }
+  return { id: `group_${index}`, label: unquote(title) };
+}
+
+/**
+ * Parse "A --> B -->|x| C & D" into nodes and edges. Returns the chain read
+ * by readChain, with the indices of the edges each link made; `complete`
+ * is false if the statement doesn't fit the grammar so the caller can
+ * report it.
+ */
+function parseChain(statement, start, ensureNode, edges) {
+  const chain = readChain(statement, start);
+  let previous = null;
+
+  chain.groups.forEach((refs, index) => {
+    const ids = refs.map(ref => ensureNode(ref.id, ref.shape).id);
+    const pending = chain.links[index - 1];
+    if (previous && pending) {
+      previous.forEach(from => ids.forEach(to => {
+        const edge = { from, to };
+        if (pending.label) edge.label = pending.label;
+        if (pending.style) edge.style = pending.style;
+        if (pending.arrow) edge.arrow = pending.arrow;
+        pending.edges.push(edges.length);
+        edges.push(edge);
+      }));
+    }
+    previous = ids;
+  });
+
+  return chain;
+}
+
+/**
+ * Read a chain statement into its "&" lists of node references (`groups`)
+ * and the links between them, each with its offsets in the text given the
+ * statement starts at `start` (a chain as textEdits.js has them; a
+ * reference with a shape `keep`s; readMermaid keeps those in a subgraph
+ * too). Reading stops at the first thing that
+ * doesn't fit, including a trailing link with no target.
+ */
+function readChain(statement, start) {
+  const groups = [];
+  const links = [];
+  let rest = statement;
+  const offset = () => start + statement.length - rest.length;
+
+  while (rest.length > 0) {
+    const refs = [];
+    for (;;) {
+      rest = rest.trimStart();
+      const refStart = offset();
+      const ref = readNodeRef(rest);
+      if (!ref) return { groups, links, complete: false };
+      rest = ref.rest;
+      refs.push({ id: ref.id, shape: ref.shape, start: refStart, end: offset(), keep: !!ref.shape });
+
+      const amp = rest.match(/^\s*&\s*/);
+      if (!amp) break;
+      rest = rest.slice(amp[0].length);
+    }
+    groups.push(refs);
+
+    if (!rest.trim()) return { groups, links, complete: true };
+
+    const linkStart = offset();
+    const link = readLink(rest);
+    if (!link) return { groups, links, complete: false };
+    rest = link.rest;
+    const { rest: _rest, ...attrs } = link;
+    links.push({ ...attrs, start: linkStart, end: offset(), edges: [] });
+  }
+
+  return { groups, links, complete: false };
+}
+
+function readNodeRef(text) {
+  const trimmed = text.trimStart();
+  const idMatch = trimmed.match(ID_PATTERN);
+  if (!idMatch) return null;
+
+  const id = idMatch[0];
+  let rest = trimmed.slice(id.length);
+
+  // id@{ shape: doc, label: "Text" }
+  if (rest.startsWith('@{')) {
+    const close = rest.indexOf('}');
+    if (close === -1) return null;
+    const shape = parseShapeAttributes(rest.slice(2, close), id);
+    return { id, shape, rest: rest.slice(close + 1) };
+  }
+
+  for (const { open, close, type } of SHAPE_DELIMITERS) {
+    if (!rest.startsWith(open)) continue;
+    const end = findClose(rest, open.length, close);
+    if (end === -1) continue;
+    const label = unquote(rest.slice(open.length, end).trim());
+    return { id, shape: { label, type }, rest: rest.slice(end + close.length) };
+  }
+
+  return { id, shape: null, rest };
+}
+
+// Find the closing delimiter, skipping over a quoted label
+function findClose(text, start, close) {
+  let i = start;
+  if (text[i] === '"') {
+    const endQuote = text.indexOf('"', i + 1);
+    if (endQuote === -1) return -1;
+    i = endQuote + 1;
+  }
+  return text.indexOf(close, i);
+}
+
+function parseShapeAttributes(body, id) {
+  const attrs = {};
+  body.split(',').forEach(pair => {
+    const match = pair.match(/^\s*(\w+)\s*:\s*(.+?)\s*$/);
+    if (match) attrs[match[1].toLowerCase()] = unquote(match[2]);
+  });
+  return {
+    label: attrs.label || id,
+    type: SHAPE_NAMES[(attrs.shape || '').toLowerCase()] || 'process',
+  };
+}
+
+function readLink(text) {
+  const textLink = text.match(TEXT_LINK_PATTERN);
+  if (textLink) {
+    return {
+      label: unquote(textLink[3].trim()),
+      ...linkStyle(textLink[1], textLink[2] + textLink[4]),
+      rest: text.slice(textLink[0].length),
+    };
+  }
+  const link = text.match(LINK_PATTERN);
+  if (link) {
+    const label = link[3] !== undefined ? unquote(link[3].trim()) : '';
+    return { label, ...linkStyle(link[1], link[2]), rest: text.slice(link[0].length) };
+  }
+  return null;
+}
+
+/**
+ * Map a link token onto our edge attributes: "-.-" is dotted, "===" thick,
+ * no ">" means no arrowhead and a leading "<" means arrowheads on both ends.
+ */
+function linkStyle(start, body) {
+  const attrs = {};
+  if (body.includes('.')) attrs.style = 'dotted';
+  else if (body.includes('=')) attrs.style = 'thick';
+  if (!body.endsWith('>')) attrs.arrow = 'none';
+  else if (start === '<') attrs.arrow = 'both';
+  return attrs;
+}
+
+function unquote(text) {
+  const quoted = text.match(/^"(.*)"$/s);
+  const inner = quoted ? quoted[1] : text;
+  return inner.replace(/#quot;/g, '"').replace(/<br\s*\/?>/gi, '\n');
+}
+
+/**
+ * Serialize a graph as a Mermaid flowchart. Ids that Mermaid can't take
+ * as-is are rewritten consistently; group membership becomes subgraphs.
+ * `options.layout` sets the direction and, when not the default, spacing
+ * and curve style;
+ * `options.pins` and `options.seed` are kept as "%% @pin" / "%% @seed" comments.
+ */
+export function toMermaid(graph, options = {}) {
+  const { nodes = [], edges = [], groups = [] } = graph || {};
+  const layout = { ...DEFAULT_LAYOUT, ...options.layout };
+  const ids = makeIdMap(nodes.map(n => n.id));
+  const lines = [];
+  const init = [];
+  if (layout.nodeSpacing !== DEFAULT_LAYOUT.nodeSpacing || layout.rankSpacing !== DEFAULT_LAYOUT.rankSpacing) {
+    init.push(`"nodeSpacing": ${layout.nodeSpacing}`, `"rankSpacing": ${layout.rankSpacing}`);
+  }
+  if (layout.routing !== DEFAULT_LAYOUT.routing && EXPORT_CURVES[layout.routing]) {
+    init.push(`"curve": "${EXPORT_CURVES[layout.routing]}"`);
+  }
+  if (init.length > 0) lines.push(`%%{init: {"flowchart": {${init.join(', ')}}}}%%`);
+  lines.push(`flowchart ${layout.direction === 'TB' ? 'TD' : layout.direction}`);
+
+  const groupIds = makeIdMap(groups.map(g => g.id));
+  const childGroups = (parentId) => groups.filter(g => (g.parent || null) === parentId);
+  const groupNodes = (groupId) => nodes.filter(n => (n.group || null) === groupId);
+
+  const writeGroup = (groupId, indent) => {
+    groupNodes(groupId).forEach(node => lines.push(`${indent}${formatNode(node, ids.get(node.id))}`));
+    childGroups(groupId).forEach(group => {
+      lines.push(`${indent}subgraph ${groupIds.get(group.id)}[${quoteLabel(group.label || group.id)}]`);
+      writeGroup(group.id, indent + '  ');
+      lines.push(`${indent}end`);
+    });
+  };
+
+  // Nodes whose group isn't declared are written at the top level
+  const knownGroups = new Set(groups.map(g => g.id));
+  nodes
+    .filter(n => n.group && !knownGroups.has(n.group))
+    .forEach(node => lines.push(`  ${formatNode(node, ids.get(node.id))}`));
+  writeGroup(null, '  ');
+
+  const dashed = [];
+  edges.filter(edge => ids.has(edge.from) && ids.has(edge.to)).forEach((edge, index) => {
+    const label = edge.label ? `|${quoteLabel(edge.label)}|` : '';
+    lines.push(`  ${ids.get(edge.from)} ${formatLink(edge)}${label} ${ids.get(edge.to)}`);
+    if (edge.style === 'dashed') dashed.push(index);
+  });
+  if (dashed.length > 0) lines.push(`  linkStyle ${dashed.join(',')} ${DASHED_LINK_STYLE}`);
+
+  const pins = options.pins || {};
+  const pinLines = nodes.filter(node => pins[node.id]).map(node => ({ ...pins[node.id], ref: ids.get(node.id) }));
+  const text = setPinLines(lines.join('\n'), pinLines, '%%');
+  return (options.seed ? setSeedLine(text, options.seed, '%%') : text) + '\n';
+}
+
+function formatNode(node, id) {
+  const label = quoteLabel(node.label || node.id);
+  if (node.type === 'document') {
+    return `${id}@{ shape: doc, label: "${label.replace(/^"|"$/g, '')}" }`;
+  }
+  const [open, close] = EXPORT_SHAPES[node.type] || EXPORT_SHAPES.process;
+  return `${id}${open}${label}${close}`;
+}
+
+// Mermaid has no separate dashed line, so dashed edges export as dotted
+// ones that a linkStyle line gives longer dashes
+const EXPORT_LINKS = {
+  solid: { none: '---', end: '-->', both: '<-->' },
+  dotted: { none: '-.-', end: '-.->', both: '<-.->' },
+  thick: { none: '===', end: '==>', both: '<==>' },
+};
+
+function formatLink(edge) {
+  const line = edge.style === 'thick' ? 'thick' : edge.style ? 'dotted' : 'solid';
+  return EXPORT_LINKS[line][edge.arrow || 'end'] || EXPORT_LINKS[line].end;
+}
+
+// Quote labels containing characters Mermaid would treat as syntax; line
+// breaks are written as <br>
+function quoteLabel(label) {
+  const text = String(label).replace(/"/g, '#quot;').replace(/\n/g, '<br>');
+  return /^[\w .,?!'’:-]*$/.test(text) && !/^\s|\s$/.test(text) ? text : `"${text}"`;
+}
+
+// Mermaid ids for graph ids. Single dashes between other characters are
+// kept; a run of them ("a--b") would read as a link, and one at either end
+// as part of the next arrow, so those become one dash and "_".
+function makeIdMap(ids) {
+  const map = new Map();
+  const used = new Set();
+  ids.forEach(original => {
+    let id = String(original).replace(/[^\w-]/g, '_').replace(/-+/g, '-').replace(/^-|-$/g, '_');
+    if (!/^[A-Za-z_]/.test(id) || RESERVED_IDS.has(id.toLowerCase())) id = `n_${id}`;
+    let candidate = id;
+    for (let i = 2; used.has(candidate); i++) candidate = `${id}_${i}`;
+    used.add(candidate);
+    map.set(original, candidate);
+  });
+  return map;
+}
+
+// Lines kept at the end of the text when lines are added: pin and seed
+// comments, a closing fence and blank lines
+const CLOSING_LINE_PATTERN = /^\s*(%%\s*@(pin|seed)\b.*|```\s*)?$/i;
+
+/**
+ * Make a canvas edit (see graphEdits.js) to Mermaid text by changing only
+ * the text it affects: a node's shape and label where it's defined, one
+ * link, or the chains a deleted node or edge was part of (plus its style,
+ * click and class lines). A new edge goes on a line of its own at the end,
+ * and linkStyle lines are renumbered to suit (see relistLinkStyles).
+ * Returns null when the edit can't be made that way, so the caller can
+ * rewrite the whole text instead.
+ */
+export function editMermaid(text, edit) {
+  const edited = editText(text, edit, MERMAID_FORMAT);
+  return edited === null ? null : relistLinkStyles(text, edited, edit);
+}
+
+/**
+ * linkStyle lines pick links by their place in the text, which an edit can
+ * change. Point each line at the links it styled before, dropping deleted
+ * ones, and have the lines that draw links dashed list exactly the dashed
+ * edges, adding one when there's none. Null when the links of the edited
+ * text can't be matched up with the edited graph's edges.
+ */
+function relistLinkStyles(text, edited, edit) {
+  const before = readMermaid(text);
+  const next = applyGraphEdit(before.graph, edit);
+  const linkStyled = before.styling.some(({ statement }) => LINK_STYLE_PATTERN.test(statement));
+  if (!linkStyled && !next.edges.some(edge => edge.style === 'dashed')) return edited;
+
+  // Where each edge of the edited graph ended up among the edited links,
+  // matched in order; a link's style may be stale until this is done
+  const after = readMermaid(edited);
+  const keyOf = (edge) => [edge.from, edge.to, edge.label || '', edge.arrow || ''].join('\n');
+  const places = new Map();
+  after.graph.edges.forEach((edge, index) => places.set(keyOf(edge), [...(places.get(keyOf(edge)) || []), index]));
+  const placeOf = next.edges.map(edge => (places.get(keyOf(edge)) || []).shift() ?? -1);
+  if (placeOf.includes(-1)) return null;
+
+  // Old link index -> its place in the edited text, -1 once deleted
+  const nextIndexOf = new Map(next.edges.map((edge, index) => [edge, index]));
+  if (edit.type === 'updateEdge') nextIndexOf.set(before.graph.edges[edit.index], edit.index);
+  const moved = (index) => {
+    const nextIndex = nextIndexOf.get(before.graph.edges[index]);
+    return nextIndex === undefined ? -1 : placeOf[nextIndex];
+  };
+
+  const dashed = new Set(next.edges.flatMap((edge, index) => (edge.style === 'dashed' ? [placeOf[index]] : [])));
+  const lines = after.styling
+    .map(line => ({ ...line, linkStyle: readLinkStyle(line.statement, after.graph.edges.length) }))
+    .filter(line => line.linkStyle && !line.linkStyle.all);
+  const listed = lines.map(({ linkStyle }) => linkStyle.indices.map(moved)
+    .filter(index => index !== -1 && (!linkStyle.dashed || dashed.has(index))));
+  const missing = [...dashed].filter(index => !lines.some((line, k) => line.linkStyle.dashed && listed[k].includes(index)));
+
+  const replacements = [];
+  let added = false;
+  lines.forEach((line, k) => {
+    let indices = listed[k];
+    if (line.linkStyle.dashed && !added) {
+      indices = [...indices, ...missing];
+      added = true;
+    }
+    if (indices.length === 0) {
+      replacements.push(removalOf(edited, line.start, line.end));
+    } else {
+      const list = [...new Set(indices)].sort((a, b) => a - b).join(',');
+      replacements.push({ start: line.start + line.linkStyle.listStart, end: line.start + line.linkStyle.listEnd, text: list });
+    }
+  });
+  if (!added && missing.length > 0) {
+    const list = missing.sort((a, b) => a - b).join(',');
+    replacements.push(lineInsertion(edited, `  linkStyle ${list} ${DASHED_LINK_STYLE}`, CLOSING_LINE_PATTERN));
+  }
+  return replaceRanges(edited, replacements);
+}
+
+const MERMAID_FORMAT = {
+  read: readMermaid,
+  updateNode(text, { chains }, node) {
+    const refs = chains.flatMap(chain => chain.groups.flat()).filter(ref => ref.id === node.id);
+    if (refs.length === 0) return null;
+    // Later definitions win, so every one is rewritten; a node that only
+    // appears bare gets its definition at its first mention
+    const shaped = refs.filter(ref => ref.shape);
+    return (shaped.length > 0 ? shaped : refs.slice(0, 1))
+      .map(ref => ({ start: ref.start, end: ref.end, text: formatNode(node, node.id) }));
+  },
+  updateEdge(text, doc, index, edge) {
+    const link = doc.chains.flatMap(chain => chain.links).find(l => l.edges.includes(index));
+    if (!link) return null;
+    const written = `${formatLink(edge)}${edge.label ? `|${quoteLabel(edge.label)}|` : ''}`;
+    if (link.edges.length === 1) return [{ start: link.start, end: link.end, text: ` ${written} ` }];
+    // A link shared by several edges ("A & B --> C") is split up first
+    const { cuts } = cutChains(doc, { breaks: (l) => l === link });
+    return writeMermaidCuts(text, cuts, (edgeIndex) => (edgeIndex === index ? written : null));
+  },
+  writeCuts: (text, doc, cuts) => writeMermaidCuts(text, cuts, () => null),
+  // Its style and click lines go, and it leaves any class lists
+  dropNode(text, { styling }, id) {
+    return styling.flatMap(({ statement, start, end }) => {
+      const target = statement.match(/^(?:style|click)\s+([\w-]+)/i);
+      if (target) return target[1] === id ? [removalOf(text, start, end)] : [];
+      const classes = statement.match(/^class\s+(\S+)/i);
+      const ids = classes ? classes[1].split(',') : [];
+      if (!ids.includes(id)) return [];
+      if (ids.length === 1) return [removalOf(text, start, end)];
+      const listStart = start + statement.indexOf(classes[1]);
+      return [{ start: listStart, end: listStart + classes[1].length, text: ids.filter(other => other !== id).join(',') }];
+    });
+  },
+  addEdge: (text, doc, from, to) => lineInsertion(text, `  ${from} --> ${to}`, CLOSING_LINE_PATTERN),
+};
+
+/**
+ * Write the chains cutChains cut up from the original text, a line per
+ * piece and per edge left over from a broken link, written by `writeLink`
+ * if it returns anything.
+ */
+function writeMermaidCuts(text, cuts, writeLink) {
+  const slice = (item) => text.slice(item.start, item.end).trim();
+  return cuts.map(({ chain, pieces, lines }) => {
+    const written = pieces.map(piece => {
+      const first = piece.groups[0][0];
+      const last = piece.groups[piece.groups.length - 1].slice(-1)[0];
+      const index = chain.groups.findIndex(refs => refs.includes(first));
+      const intact = piece.groups.every((refs, k) => refs.length === chain.groups[index + k].length);
+      if (intact) return text.slice(first.start, last.end);
+      return piece.groups.map((refs, k) => (k > 0 ? `${slice(piece.links[k - 1])} ` : '') + refs.map(slice).join(' & ')).join(' ');
+    });
+    const segments = [...written, ...lines.map(({ from, to, link, edge }) => `${from.id} ${writeLink(edge) || slice(link)} ${to.id}`)];
+    return segments.length > 0
+      ? { start: chain.start, end: chain.end, text: segments.join(`\n${indentAt(text, chain.start)}`) }
+      : removalOf(text, chain.start, chain.end);
+  });
+}
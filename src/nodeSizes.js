@@ -0,0 +1,145 @@
+/**
+ * Node sizes computed from their labels.
+ *
+ * Labels are measured with a canvas 2D context in the theme's font and
+ * wrapped to a maximum width per shape. The box is then grown around the
+ * text block so the text stays inside the outline: diamonds are sized so the
+ * whole block fits within the rhombus, stadiums leave room for their round
+ * ends, cylinders and documents for their curved top/bottom, and so on.
+ */
+
+export const FONT_SIZE = 14;
+export const LINE_HEIGHT = 18;
+export const EDGE_LABEL_FONT_SIZE = 12;
+export const EDGE_LABEL_LINE_HEIGHT = EDGE_LABEL_FONT_SIZE + 4;
+
+// Room around an edge label's text, so lines laid out next to it keep clear
+const EDGE_LABEL_PADDING = 4;
+
+// Used when no canvas is available to measure with
+const FALLBACK_CHAR_WIDTH = 8;
+
+// Per shape: smallest box, widest a line of text may get before it wraps,
+// padding around the text block and room taken by the outline's details
+const SHAPES = {
+  process: { minWidth: 120, minHeight: 48, maxTextWidth: 180, padX: 16, padY: 12 },
+  decision: { minWidth: 110, minHeight: 70, maxTextWidth: 140, padX: 10, padY: 6 },
+  terminator: { minWidth: 110, minHeight: 44, maxTextWidth: 170, padX: 12, padY: 10 },
+  io: { minWidth: 130, minHeight: 48, maxTextWidth: 180, padX: 16, padY: 12, extraWidth: 32 },
+  subprocess: { minWidth: 140, minHeight: 48, maxTextWidth: 170, padX: 16, padY: 12, extraWidth: 24 },
+  database: { minWidth: 110, minHeight: 64, maxTextWidth: 150, padX: 14, padY: 10, extraHeight: 32 },
+  document: { minWidth: 130, minHeight: 56, maxTextWidth: 180, padX: 16, padY: 10, extraHeight: 16 },
+};
+
+// Preferred width:height of a diamond; it only grows taller than this needs
+const DIAMOND_ASPECT = 1.5;
+
+let measureContext;
+const sizeCache = new Map();
+const labelCache = new Map();
+
+/**
+ * Size the box for a node: returns { width, height, lines } where `lines`
+ * is the label wrapped to fit. `font` is a CSS font-family list.
+ */
+export function measureNode(label, type, font) {
+  const key = `${font}\n${type}\n${label}`;
+  if (sizeCache.has(key)) return sizeCache.get(key);
+
+  const shape = SHAPES[type] || SHAPES.process;
+  const measure = textMeasurer(font);
+  const lines = wrapText(String(label ?? ''), shape.maxTextWidth, measure);
+  const textWidth = Math.max(0, ...lines.map(measure));
+  const textHeight = lines.length * LINE_HEIGHT;
+
+  // Text block plus padding that must fit inside the outline
+  const innerWidth = textWidth + shape.padX * 2;
+  const innerHeight = textHeight + shape.padY * 2;
+  let width;
+  let height;
+  if (type === 'decision') {
+    // A w×h block centred in a rhombus W×H fits when w/W + h/H <= 1
+    height = Math.max(shape.minHeight, innerHeight + innerWidth / DIAMOND_ASPECT);
+    width = Math.max(shape.minWidth, innerWidth / (1 - innerHeight / height));
+  } else {
+    height = Math.max(shape.minHeight, innerHeight + (shape.extraHeight || 0));
+    // Stadium ends are half-circles of the box height
+    const ends = type === 'terminator' ? height / 2 : 0;
+    width = Math.max(shape.minWidth, innerWidth + (shape.extraWidth || 0) + ends);
+  }
+
+  const size = { width: Math.ceil(width), height: Math.ceil(height), lines };
+  sizeCache.set(key, size);
+  return size;
+}
+
+/**
+ * Box an edge label takes up: its text, a line per line break in the label,
+ * plus padding; returns { width, height, lines }. Dagre reserves this space
+ * so labels don't overlap nodes or other edges.
+ */
+export function measureEdgeLabel(label, font) {
+  const key = `${font}\n${label}`;
+  if (labelCache.has(key)) return labelCache.get(key);
+
+  const measure = textMeasurer(font, EDGE_LABEL_FONT_SIZE);
+  const lines = String(label).split('\n');
+  const size = {
+    width: Math.ceil(Math.max(...lines.map(measure)) + EDGE_LABEL_PADDING * 2),
+    height: lines.length * EDGE_LABEL_LINE_HEIGHT + EDGE_LABEL_PADDING * 2,
+    lines,
+  };
+  labelCache.set(key, size);
+  return size;
+}
+
+// Returns text => width in pixels for the given font
+function textMeasurer(font, size = FONT_SIZE) {
+  if (measureContext === undefined) {
+    measureContext = typeof document !== 'undefined'
+      ? document.createElement('canvas').getContext('2d')
+      : null;
+  }
+  if (!measureContext) return text => text.length * FALLBACK_CHAR_WIDTH * size / FONT_SIZE;
+  return (text) => {
+    measureContext.font = `${size}px ${font}`;
+    return measureContext.measureText(text).width;
+  };
+}
+
+// Greedy word wrap that keeps the label's own line breaks; a word wider
+// than a whole line is broken between characters
+function wrapText(text, maxWidth, measure) {
+  const lines = text.split('\n').flatMap(paragraph => wrapLine(paragraph, maxWidth, measure));
+  return lines.length > 0 ? lines : [''];
+}
+
+function wrapLine(text, maxWidth, measure) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  words.forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measure(candidate) <= maxWidth) {
+      current = candidate;
+      return;
+    }
+    if (current) lines.push(current);
+    current = '';
+    // Break an over-long word into chunks that fit
+    let chunk = '';
+    for (const char of word) {
+      if (chunk && measure(chunk + char) > maxWidth) {
+        lines.push(chunk);
+        chunk = char;
+      } else {
+        chunk += char;
+      }
+    }
+    current = chunk;
+  });
+  if (current) lines.push(current);
+
+  return lines.length > 0 ? lines : [''];
+}
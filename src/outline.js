@@ -0,0 +1,133 @@
+/**
+ * Plain-language descriptions of a chart, for people who can't see it: the
+ * accessible names of drawn nodes and edges, what keyboard navigation on the
+ * canvas announces, the outline view, and the <desc> of exported SVGs.
+ */
+
+export const TYPE_LABELS = {
+  process: 'Process',
+  decision: 'Decision',
+  terminator: 'Start / end',
+  io: 'Input / output',
+  subprocess: 'Subprocess',
+  database: 'Database',
+  document: 'Document',
+};
+
+// "Qualify lead? (decision)"
+export function describeNode(node) {
+  return `${node.label} (${typeName(node.type)})`;
+}
+
+// "Connection from Qualify lead? to Book call, labelled yes"
+export function describeEdge(edge, nodeById) {
+  const from = nodeById.get(edge.from)?.label ?? edge.from;
+  const to = nodeById.get(edge.to)?.label ?? edge.to;
+  return `Connection from ${from} to ${to}${edge.label ? `, labelled ${edge.label}` : ''}`;
+}
+
+/**
+ * What to announce for the node focused with the keyboard: the node, then
+ * where the chosen connection leads ("Branch 1 of 2: yes, to Book call") or
+ * that the flow ends there, then how many connections lead into it.
+ */
+export function describeFocus(node, outgoing, incoming, branch, nodeById) {
+  const parts = [describeNode(node)];
+  const step = (edge) => `${edge.label ? `${edge.label}, ` : ''}to ${nodeById.get(edge.to).label}`;
+  if (outgoing.length === 0) {
+    parts.push('End of the flow');
+  } else if (outgoing.length === 1) {
+    parts.push(`Next: ${step(outgoing[0])}`);
+  } else {
+    parts.push(`Branch ${branch + 1} of ${outgoing.length}: ${step(outgoing[branch])}`);
+  }
+  if (incoming.length > 1) parts.push(`${incoming.length} connections lead here`);
+  return parts.join('. ');
+}
+
+/**
+ * Each node's connections, in the order they were written, leaving out
+ * edges to nodes that don't exist: Map of node id -> { outgoing, incoming }.
+ */
+export function connectionsByNode(nodes, edges) {
+  const connections = new Map(nodes.map(node => [node.id, { outgoing: [], incoming: [] }]));
+  edges.forEach(edge => {
+    if (!connections.has(edge.from) || !connections.has(edge.to)) return;
+    connections.get(edge.from).outgoing.push(edge);
+    connections.get(edge.to).incoming.push(edge);
+  });
+  return connections;
+}
+
+/**
+ * Nodes in reading order: depth first from the nodes nothing leads to
+ * (then any left over, such as a loop with no way in), following each
+ * node's connections in the order they were written.
+ */
+export function flowOrder(nodes, edges) {
+  const connections = connectionsByNode(nodes, edges);
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+  const order = [];
+  const seen = new Set();
+  const roots = [...nodes.filter(node => connections.get(node.id).incoming.length === 0), ...nodes];
+  roots.forEach(root => {
+    const stack = [root.id];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      order.push(nodeById.get(id));
+      const outgoing = connections.get(id).outgoing;
+      for (let i = outgoing.length - 1; i >= 0; i--) {
+        if (!seen.has(outgoing[i].to)) stack.push(outgoing[i].to);
+      }
+    }
+  });
+  return order;
+}
+
+/**
+ * The chart as numbered steps in reading order: [{ number, node, type,
+ * group, next: [{ edge, target, number }] }], where type is the shape's
+ * name and group the label of the lane or group the node is in (if any).
+ */
+export function buildOutline(nodes, edges, groups = []) {
+  const order = flowOrder(nodes, edges);
+  const connections = connectionsByNode(nodes, edges);
+  const numbers = new Map(order.map((node, i) => [node.id, i + 1]));
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+  const groupById = new Map(groups.map(group => [group.id, group]));
+  return order.map(node => ({
+    number: numbers.get(node.id),
+    node,
+    type: typeName(node.type),
+    group: groupById.get(node.group)?.label || null,
+    next: connections.get(node.id).outgoing.map(edge => ({
+      edge,
+      target: nodeById.get(edge.to),
+      number: numbers.get(edge.to),
+    })),
+  }));
+}
+
+/**
+ * The outline as plain text, one step per line with where it leads
+ * indented under it:
+ *
+ *   2. Qualify lead? (decision)
+ *      yes → Book call (step 3)
+ */
+export function outlineText(nodes, edges, groups) {
+  return buildOutline(nodes, edges, groups).map(step => {
+    const lines = [`${step.number}. ${step.node.label} (${step.type}${step.group ? `, in ${step.group}` : ''})`];
+    if (step.next.length === 0) lines.push('   End of the flow');
+    step.next.forEach(({ edge, target, number }) => {
+      lines.push(`   ${edge.label ? `${edge.label} ` : ''}→ ${target.label} (step ${number})`);
+    });
+    return lines.join('\n');
+  }).join('\n');
+}
+
+function typeName(type) {
+  return (TYPE_LABELS[type] || TYPE_LABELS.process).toLowerCase();
+}
@@ -1,135 +1,1358 @@
 /**
- * Parse plain-text workflow description into nodes and edges.
- * 
+ * Parse plain-text workflow description into nodes and edges, write a
+ * graph back out as that text (toWorkflow) and make canvas edits to the
+ * text in place (editWorkflow).
+ *
  * Supports:
  * - Both arrow forms: -> and →
- * - Edge labels: "yes -> Next" or "[yes] -> Next"
+ * - Edge labels: "yes -> Next", "[yes] -> Next" or a quoted phrase,
+ *   'Approve? "over budget" -> Escalate' after a decision, and after any
+ *   node right behind the arrow: 'Send -> "if urgent" Call' (see
+ *   tokenizeBranch)
  * - Branches separated by semicolons ";"
  * - Decision nodes with trailing '?'
+ * - One statement per line, with '#' comment lines and blank lines ignored
+ * - A line ending in an arrow continues on the next line
+ * - Indented lines form a branch block that starts from the last node of the
+ *   less-indented line above it (usually a decision)
+ * - Explicit node ids: "rev1: Review draft" declares a node that other
+ *   statements can refer to as "rev1"; nodes without an id merge by label.
+ *   Text like "Time: 10:30" that's never used as an id stays a label (see
+ *   collectDeclarations)
+ * - "from <node>: ..." starts a branch at any existing node, referenced by
+ *   label or id, e.g. "from Qualify lead: no -> Send email"
+ * - Shape markers: ((Start)) terminator, [/Input/] input/output,
+ *   [[Subroutine]] subprocess, [(Orders)] database, [~Report~] document
+ * - Connector styles: "-->" dashed, "..>" dotted, "==>" thick,
+ *   "<->" arrowheads at both ends, "--" no arrowhead; a leading "<" adds a
+ *   start arrowhead to the styled ones ("<-->", "<..>", "<==>") and "---",
+ *   "-.-", "-=-" are dashed, dotted and thick lines without arrowheads.
+ *   These need spaces around them, and "--" is part of a label on a line
+ *   with plain arrows ("A -- B -> C" has a node "A -- B", as it always had)
+ * - Directive lines starting with '@': "@lane Sales" puts the nodes created
+ *   after it into the Sales lane, "@group Name" ... "@end" nests a group,
+ *   and "@labels maybe, later" adds words to the edge label keywords. Only
+ *   these and the directives below count; "@home -> office" is a statement
+ * - Layout directives: "@direction LR" (TB, LR, RL or BT),
+ *   "@spacing 40 80" (node spacing, then optional rank spacing, in pixels)
+ *   and "@routing curved" (straight, curved or orthogonal edges)
+ * - "@pin 120 340 Book call" fixes a node's position (see pins.js)
+ * - "@seed 4821" picks the hand-drawn jitter (see seed.js)
+ *
+ * The result also carries a `layout` object with whatever the layout
+ * directives set, `pins` mapping node ids to their pinned { x, y }, and the
+ * document `seed`.
+ *
+ * Problems in the text are reported as diagnostics
+ * ({ severity: 'error' | 'warning', message, line, column }, 1-based)
+ * rather than thrown, so a partly broken document still renders.
  */
 
+import { normalizeDirection, normalizeRouting, clampSpacing, DEFAULT_LAYOUT } from './layout';
+import { parsePin, setPinLines } from './pins';
+import { DEFAULT_SEED, parseSeed, setSeedLine } from './seed';
+import { editText, removalOf, indentAt, lineInsertion } from './textEdits';
+
+// Words read as edge labels without brackets or quotes; "@labels" adds more per document
 const EDGE_LABEL_KEYWORDS = ['yes', 'no', 'true', 'false', 'ok', 'cancel'];
 
+// Every node type the canvas knows how to draw
+export const NODE_TYPES = ['process', 'decision', 'terminator', 'io', 'subprocess', 'database', 'document'];
+
+// Text markers that wrap a label to pick a shape other than process/decision
+const SHAPE_MARKERS = [
+  { type: 'terminator', pattern: /^\(\((.+)\)\)$/ },
+  { type: 'io', pattern: /^\[\/(.+)\/\]$/ },
+  { type: 'subprocess', pattern: /^\[\[(.+)\]\]$/ },
+  { type: 'database', pattern: /^\[\((.+)\)\]$/ },
+  { type: 'document', pattern: /^\[~(.+)~\]$/ },
+];
+
+// "id: Label" — the id is a single word so labels like "Step 1: Call" stay labels
+const NODE_DECLARATION_PATTERN = /^([A-Za-z_][\w-]*):\s+(.+)$/;
+
+// "from Qualify lead: no -> Send email" — the node reference runs up to the first colon
+const FROM_PREFIX_PATTERN = /^from\s+([^:]+?)\s*:\s*(.*)$/i;
+
+// Edge style and arrowheads per connector; plain "->" / "→" is a solid arrow
+const CONNECTOR_STYLES = {
+  '-->': { style: 'dashed' },
+  '..>': { style: 'dotted' },
+  '==>': { style: 'thick' },
+  '<->': { arrow: 'both' },
+  '<-->': { style: 'dashed', arrow: 'both' },
+  '<..>': { style: 'dotted', arrow: 'both' },
+  '<==>': { style: 'thick', arrow: 'both' },
+  '--': { arrow: 'none' },
+  '---': { style: 'dashed', arrow: 'none' },
+  '-.-': { style: 'dotted', arrow: 'none' },
+  '-=-': { style: 'thick', arrow: 'none' },
+};
+
+// Plain arrows link nodes wherever they appear, as they always have. The
+// styled connectors only count with spaces on both sides, so labels such
+// as "a..>b" or "pre--post" read as they did before connectors had styles;
+// longest first so "-->" isn't read as "--" followed by ">"
+const ARROW_PATTERN = connectorPattern(Object.keys(CONNECTOR_STYLES));
+
+// "A -- B -> C" used to be a node "A -- B", so on a line that also has
+// plain arrows "--" stays part of the label (see mixesLinks)
+const ARROW_PATTERN_WITHOUT_LINE = connectorPattern(Object.keys(CONNECTOR_STYLES).filter(c => c !== '--'));
+
+// Connector text a node label kept: a styled connector without spaces
+// around it, or "--" on a line with plain arrows
+const LOOSE_CONNECTOR_PATTERN = /<?-->|---|-\.-|-=-|<?==>|<?\.\.>|(?<=^|\s)--(?=\s|$)/;
+
+// The connector toWorkflow writes for each line style and arrowhead setting
+const EXPORT_CONNECTORS = {
+  solid: { end: '→', both: '<->', none: '--' },
+  dashed: { end: '-->', both: '<-->', none: '---' },
+  dotted: { end: '..>', both: '<..>', none: '-.-' },
+  thick: { end: '==>', both: '<==>', none: '-=-' },
+};
+
+const TAB_WIDTH = 4;
+
+const DIRECTIVE_PATTERN = /^@(\w+)\b\s*(.*)$/;
+
+// "@name" lines read as directives; any other line starting with "@", such
+// as "@home -> office", is an ordinary statement
+const DIRECTIVES = ['lane', 'group', 'end', 'labels', 'direction', 'spacing', 'routing', 'pin', 'seed'];
+
 export function parseWorkflow(text) {
+  return readWorkflow(text).graph;
+}
+
+/**
+ * parseWorkflow, plus where each branch came from in the text (see
+ * parseStatement) and the "id: Label" declarations, for editWorkflow.
+ */
+function readWorkflow(text) {
   const nodes = [];
   const edges = [];
+  const groups = [];
+  const diagnostics = [];
+  const layout = {};
+  const pins = {};
   const nodeMap = new Map(); // Track nodes by label to avoid duplicates
 
   if (!text || !text.trim()) {
-    return { nodes, edges };
+    return { graph: { nodes, edges, groups, diagnostics, layout, pins, seed: DEFAULT_SEED }, chains: [], declarations: new Map() };
   }
 
-  // Normalize arrows to ->
-  const normalized = text.replace(/→/g, '->');
+  const statements = splitStatements(text);
+  const edgeLabelKeywords = collectLabelKeywords(statements);
+  const state = {
+    nodes,
+    edges,
+    nodeMap,
+    diagnostics,
+    declarations: collectDeclarations(statements, edgeLabelKeywords, diagnostics),
+    nodePositions: new Map(), // node id -> where it first appears in the text
+    lastDecisionNode: null,
+    edgeLabelKeywords,
+    groups,
+    groupStack: [], // open lane/group ids, innermost last; new nodes join the innermost
+    layout,
+    pinRefs: [], // "@pin" lines, resolved once every node exists
+    seed: DEFAULT_SEED,
+    chains: [], // where each branch's nodes and edges were written
+  };
 
-  // Split by semicolons to get separate branches
-  const branches = normalized.split(';').map(b => b.trim()).filter(b => b);
+  // Stack of open blocks: each entry is the indent of a line and the node
+  // its indented children branch from
+  const blocks = [];
 
-  // Track the last decision node across branches for connecting alternative paths
-  let lastDecisionNode = null;
+  statements.forEach(statement => {
+    // Directives don't take part in indentation, so a lane can change mid-block
+    if (statement.directive) {
+      applyDirective(state, statement);
+      return;
+    }
 
-  branches.forEach((branch, branchIndex) => {
-    // Split by arrows to get tokens
-    let tokens = branch.split(/\s*->\s*/).map(t => t.trim()).filter(t => t);
-
-    // Pre-process tokens to separate decision nodes from following edge labels and bracketed labels
-    const processedTokens = [];
-    tokens.forEach((token, i) => {
-      // Check if token ends with ? followed by a bracketed label like "Check? [approved]"
-      const decisionBracketMatch = token.match(/^(.+\?)\s+\[([^\]]+)\]$/);
-      if (decisionBracketMatch) {
-        processedTokens.push(decisionBracketMatch[1].trim());
-        processedTokens.push(`[${decisionBracketMatch[2].trim()}]`);
-        return;
-      }
-      
-      // Check if token ends with ? followed by an edge label like "Check? yes"
-      const edgeKeywordsPattern = EDGE_LABEL_KEYWORDS.join('|');
-      const decisionMatch = token.match(new RegExp(`^(.+\\?)\\s+(${edgeKeywordsPattern})$`, 'i'));
-      if (decisionMatch) {
-        // Split into decision node and edge label
-        processedTokens.push(decisionMatch[1].trim());
-        processedTokens.push(decisionMatch[2].trim());
-      } else {
-        processedTokens.push(token);
-      }
+    while (blocks.length > 0 && blocks[blocks.length - 1].indent >= statement.indent) {
+      blocks.pop();
+    }
+
+    // An "@word" line with no arrow is more likely a mistyped directive
+    if (/^@\w/.test(statement.text) && !ARROW_PATTERN.test(statement.text)) {
+      report(diagnostics, 'warning', `Unknown directive "${statement.text.split(/\s/)[0]}"; the line was read as a node`, statement);
+    }
+
+    const parent = blocks[blocks.length - 1];
+    const anchorNodeId = parent ? parent.tailNodeId : null;
+    // Edits mustn't take away the mention a block hangs off
+    if (parent && parent.tail) parent.tail.keep = true;
+    const tailNodeId = parseStatement(state, statement, anchorNodeId);
+
+    const last = state.chains[state.chains.length - 1];
+    const tail = last && last.statement === statement ? last.items[last.items.length - 1] : null;
+    blocks.push({ indent: statement.indent, tailNodeId, tail });
+  });
+
+  state.pinRefs.forEach(({ x, y, ref, statement }) => {
+    const node = findNode(state, ref);
+    if (node) {
+      pins[node.id] = { x, y };
+    } else {
+      report(diagnostics, 'warning', `@pin "${ref}" does not match any node`, statement);
+    }
+  });
+
+  checkGraph(state);
+
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  return {
+    graph: { nodes, edges, groups, diagnostics, layout, pins, seed: state.seed },
+    chains: state.chains,
+    declarations: state.declarations,
+  };
+}
+
+/**
+ * Split source text into logical statements with their indentation.
+ * Comment lines and blank lines are dropped, and a line ending in an arrow
+ * is joined with the line that follows it.
+ *
+ * Each statement is a "tracked" string: its text plus the source
+ * { line, column, offset } of every character, so diagnostics can point
+ * back at the original text after splitting and trimming, and edits can
+ * change it in place.
+ */
+function splitStatements(text) {
+  const statements = [];
+  let current = null;
+  let lineStart = 0;
+
+  text.split('\n').forEach((line, lineIndex) => {
+    const rawLine = line.replace(/\r$/, '');
+    const offset = lineStart;
+    lineStart += line.length + 1;
+    const trimmed = rawLine.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const lead = rawLine.length - rawLine.trimStart().length;
+    const positions = Array.from({ length: trimmed.length }, (_, i) => ({
+      line: lineIndex + 1,
+      column: lead + i + 1,
+      offset: offset + lead + i,
+    }));
+
+    if (isDirective(trimmed)) {
+      current = null;
+      statements.push({ directive: true, indent: 0, text: trimmed, positions });
+      return;
+    }
+
+    if (current && endsWithArrow(current.text)) {
+      current.text = `${current.text} ${trimmed}`;
+      current.positions = [...current.positions, positions[0], ...positions];
+      return;
+    }
+
+    current = { indent: measureIndent(rawLine), text: trimmed, positions };
+    statements.push(current);
+  });
+
+  return statements;
+}
+
+function isDirective(text) {
+  const match = text.match(DIRECTIVE_PATTERN);
+  return !!match && DIRECTIVES.includes(match[1].toLowerCase());
+}
+
+function endsWithArrow(text) {
+  return /(->|→)$|(^|\s)(--|---|-\.-|-=-|<?\.\.>|<?==>)$/.test(text);
+}
+
+/**
+ * Whether a line links nodes with both "--" and plain arrows. Before "--"
+ * was a connector, "A -- B -> C" was a node "A -- B", so such a line
+ * still reads "--" as part of a label.
+ */
+function mixesLinks(text) {
+  const connectors = (text.match(new RegExp(ARROW_PATTERN.source, 'g')) || []).map(c => c.trim());
+  return connectors.includes('--') && connectors.some(c => c === '->' || c === '→');
+}
+
+function measureIndent(line) {
+  let width = 0;
+  for (const ch of line) {
+    if (ch === ' ') width += 1;
+    else if (ch === '\t') width += TAB_WIDTH;
+    else break;
+  }
+  return width;
+}
+
+function sliceTracked(source, start, end = source.text.length) {
+  return { text: source.text.slice(start, end), positions: source.positions.slice(start, end) };
+}
+
+function trimTracked(source) {
+  const lead = source.text.length - source.text.trimStart().length;
+  const text = source.text.trim();
+  return { text, positions: source.positions.slice(lead, lead + text.length) };
+}
+
+// Split a tracked string on a separator, dropping empty pieces. Each piece
+// records the (trimmed) separator text that came before it, if any.
+// Separators inside a "quoted label" don't count.
+function splitTracked(source, separator) {
+  const pattern = new RegExp(separator.source, 'g');
+  const quoted = [...source.text.matchAll(/"[^"]*"/g)].map(m => [m.index, m.index + m[0].length]);
+  const parts = [];
+  let start = 0;
+  let previousSeparator = null;
+  let match;
+
+  const pushPart = (end) => {
+    const part = trimTracked(sliceTracked(source, start, end));
+    if (part.text) {
+      part.separator = previousSeparator;
+      parts.push(part);
+    }
+  };
+
+  while ((match = pattern.exec(source.text)) !== null) {
+    const end = match.index + match[0].length;
+    const quote = quoted.find(([from, to]) => match.index < to && end > from);
+    if (quote) {
+      pattern.lastIndex = quote[1];
+      continue;
+    }
+    pushPart(match.index);
+    start = match.index + match[0].length;
+    previousSeparator = match[0].trim();
+  }
+  pushPart(source.text.length);
+
+  return parts;
+}
+
+function positionOf(source) {
+  return source.positions[0] || { line: 1, column: 1 };
+}
+
+// Offsets in the source text where a (non-empty) tracked string starts and ends
+function startOffset(source) {
+  return source.positions[0].offset;
+}
+
+function endOffset(source) {
+  return source.positions[source.positions.length - 1].offset + 1;
+}
+
+function report(diagnostics, severity, message, source) {
+  const { line, column } = positionOf(source);
+  diagnostics.push({ severity, message, line, column });
+}
+
+/**
+ * Gather the edge label keywords for the whole document: the built-in ones
+ * plus every word listed on an "@labels" line, wherever it appears.
+ */
+function collectLabelKeywords(statements) {
+  const keywords = [...EDGE_LABEL_KEYWORDS];
+  statements.forEach(statement => {
+    const match = statement.directive && statement.text.match(DIRECTIVE_PATTERN);
+    if (!match || match[1].toLowerCase() !== 'labels') return;
+    splitLabelKeywords(match[2]).forEach(word => {
+      if (!keywords.includes(word)) keywords.push(word);
     });
+  });
+  return keywords;
+}
+
+function splitLabelKeywords(args) {
+  return args.split(',').map(word => word.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Collect every "id: Label" declaration up front so statements can refer to
+ * an id before the line that declares it. The first declaration of an id wins.
+ *
+ * "Time: 10:30" reads just as well as a label, which is what it was before
+ * ids existed, so a word and colon only declare an id when the document
+ * needs one: the id is referred to somewhere else, or the label is written
+ * more than once or can't be written bare. Otherwise the whole text stays
+ * the node's label.
+ */
+function collectDeclarations(statements, keywords, diagnostics) {
+  const candidates = [];
+  const references = new Set(); // "from" references, pinned nodes and bare tokens
+  const labels = new Map(); // label -> the ids it's declared under ('' when written plainly)
 
-    let previousNodeId = branchIndex > 0 ? lastDecisionNode : null;
-    let pendingEdgeLabel = null;
-
-    processedTokens.forEach((token, index) => {
-      const tokenLower = token.toLowerCase();
-      const isEdgeLabel = EDGE_LABEL_KEYWORDS.includes(tokenLower);
-      
-      // Check if token is a bracketed label like "[yes]" or "[approved]"
-      const bracketOnlyMatch = token.match(/^\[([^\]]+)\]$/);
-      if (bracketOnlyMatch) {
-        pendingEdgeLabel = bracketOnlyMatch[1].trim();
-        if (branchIndex > 0 && index === 0) {
-          previousNodeId = lastDecisionNode;
+  const addLabel = (label, id) => labels.set(label, new Set([...(labels.get(label) || []), id]));
+
+  statements.forEach(statement => {
+    if (statement.directive) {
+      const pin = parsePin(statement.text);
+      if (pin) references.add(pin.ref);
+      return;
+    }
+    splitTracked(statement, /;/).forEach(branch => {
+      const { fromRef, body } = splitFromPrefix(branch);
+      if (fromRef) references.add(fromRef.text);
+      tokenizeBranch(body, keywords, statement).forEach(token => {
+        const bracketMatch = token.text.match(/^\[([^\]]+)\]\s+(.+)$/) || token.text.match(/^"([^"]+)"\s+(.+)$/);
+        const nodeToken = bracketMatch ? sliceTracked(token, token.text.length - bracketMatch[2].length) : token;
+        const nodeText = nodeTextOf(nodeToken);
+        const declaration = parseNodeDeclaration(nodeText);
+        if (declaration) {
+          candidates.push({ ...declaration, position: positionOf(nodeToken), token: nodeToken });
+          addLabel(declaration.label, declaration.id);
+        } else {
+          references.add(nodeText);
+          addLabel(parseNodeLabel(nodeText).label, '');
         }
+      });
+    });
+  });
+
+  const needsId = (candidate) => references.has(candidate.id)
+    || [...labels.get(candidate.label)].some(id => id !== candidate.id)
+    || !isSafeLabel(candidate.label)
+    || keywords.includes(candidate.label.toLowerCase());
+  const declaredIds = new Set(candidates.filter(needsId).map(candidate => candidate.id));
+
+  const declarations = new Map();
+  candidates.filter(candidate => declaredIds.has(candidate.id)).forEach(({ token, ...declaration }) => {
+    const existing = declarations.get(declaration.id);
+    if (!existing) {
+      declarations.set(declaration.id, declaration);
+    } else if (existing.label !== declaration.label || existing.type !== declaration.type) {
+      report(diagnostics, 'warning',
+        `Node id "${declaration.id}" is already declared as "${existing.label}" on line ${existing.position.line}; this declaration is ignored`,
+        token);
+    }
+  });
+
+  return declarations;
+}
+
+/**
+ * Handle an "@name args" line. "@lane X" switches the top-level lane,
+ * "@group X" opens a group inside the current one and "@end" closes the
+ * innermost. Reusing a name reopens the same lane or group. "@labels a, b"
+ * adds edge label keywords for the whole document (see collectLabelKeywords).
+ * "@direction", "@spacing" and "@routing" set the layout; the last one in
+ * the text wins.
+ * "@pin" lines are collected here and matched to nodes after parsing.
+ * "@seed" sets the document seed; again the last one wins.
+ */
+function applyDirective(state, statement) {
+  const match = statement.text.match(DIRECTIVE_PATTERN);
+  const name = match ? match[1].toLowerCase() : '';
+  const args = match ? match[2].trim() : '';
+
+  switch (name) {
+    case 'lane':
+    case 'group': {
+      if (!args) {
+        report(state.diagnostics, 'warning', `@${name} needs a name, e.g. "@${name} Sales"`, statement);
         return;
       }
-
-      // If this token is an edge label, store it and skip creating a node
-      if (isEdgeLabel && (previousNodeId !== null || (branchIndex > 0 && index === 0))) {
-        pendingEdgeLabel = token;
-        if (branchIndex > 0 && index === 0) {
-          previousNodeId = lastDecisionNode;
-        }
+      if (name === 'lane') state.groupStack = [];
+      const parent = state.groupStack[state.groupStack.length - 1] || null;
+      const group = getOrCreateGroup(state, args, name, parent);
+      state.groupStack.push(group.id);
+      return;
+    }
+    case 'end':
+      if (state.groupStack.length === 0) {
+        report(state.diagnostics, 'warning', '@end without an open @lane or @group', statement);
+      }
+      state.groupStack.pop();
+      return;
+    case 'direction': {
+      const direction = normalizeDirection(args);
+      if (!direction) {
+        report(state.diagnostics, 'warning', '@direction takes TB, LR, RL or BT', statement);
+        return;
+      }
+      state.layout.direction = direction;
+      return;
+    }
+    case 'spacing': {
+      const values = args.split(/[\s,]+/).filter(Boolean).map(clampSpacing);
+      if (values.length === 0 || values.length > 2 || values.includes(null)) {
+        report(state.diagnostics, 'warning', '@spacing takes a node spacing and an optional rank spacing, e.g. "@spacing 40 80"', statement);
+        return;
+      }
+      state.layout.nodeSpacing = values[0];
+      if (values.length > 1) state.layout.rankSpacing = values[1];
+      return;
+    }
+    case 'routing': {
+      const routing = normalizeRouting(args);
+      if (!routing) {
+        report(state.diagnostics, 'warning', '@routing takes straight, curved or orthogonal', statement);
+        return;
+      }
+      state.layout.routing = routing;
+      return;
+    }
+    case 'pin': {
+      const pin = parsePin(statement.text);
+      if (!pin) {
+        report(state.diagnostics, 'warning', '@pin takes x, y and a node, e.g. "@pin 120 340 Book call"', statement);
+        return;
+      }
+      state.pinRefs.push({ ...pin, statement });
+      return;
+    }
+    case 'seed': {
+      const seed = parseSeed(statement.text);
+      if (seed === null) {
+        report(state.diagnostics, 'warning', '@seed takes a positive whole number, e.g. "@seed 4821"', statement);
         return;
       }
+      state.seed = seed;
+      return;
+    }
+    case 'labels':
+      // The keywords themselves were collected before parsing
+      if (splitLabelKeywords(args).length === 0) {
+        report(state.diagnostics, 'warning', '@labels needs a comma-separated list, e.g. "@labels maybe, later"', statement);
+      }
+      return;
+  }
+}
 
-      // Check if this token starts with a bracketed label followed by content like "[yes] Node"
-      const bracketMatch = token.match(/^\[([^\]]+)\]\s+(.+)$/);
-      let edgeLabel = pendingEdgeLabel;
-      let nodeLabel = token;
+function getOrCreateGroup(state, label, kind, parent) {
+  const existing = state.groups.find(g => g.label === label && (g.parent || null) === parent);
+  if (existing) return existing;
 
-      if (bracketMatch) {
-        edgeLabel = bracketMatch[1].trim();
-        nodeLabel = bracketMatch[2].trim();
+  const group = { id: `${kind}_${state.groups.length}`, label, kind };
+  if (parent) group.parent = parent;
+  state.groups.push(group);
+  return group;
+}
+
+// Put a newly created node into the innermost open lane/group, if any
+function assignGroup(state, node) {
+  const group = state.groupStack[state.groupStack.length - 1];
+  if (group) node.group = group;
+}
+
+// The declaration a token makes, if it's one collectDeclarations kept
+function readDeclaration(state, text) {
+  const declaration = parseNodeDeclaration(text);
+  return declaration && state.declarations.has(declaration.id) ? declaration : null;
+}
+
+function parseNodeDeclaration(token) {
+  const match = token.match(NODE_DECLARATION_PATTERN);
+  if (!match) return null;
+  return { id: match[1], ...parseNodeLabel(match[2].trim()) };
+}
+
+function parseNodeLabel(text) {
+  const shape = matchShapeMarker(text);
+  if (shape) return shape;
+
+  const isDecision = text.endsWith('?');
+  return {
+    label: isDecision ? text.slice(0, -1).trim() : text,
+    type: isDecision ? 'decision' : 'process',
+  };
+}
+
+function matchShapeMarker(text) {
+  for (const { type, pattern } of SHAPE_MARKERS) {
+    const match = text.match(pattern);
+    if (match) return { label: match[1].trim(), type };
+  }
+  return null;
+}
+
+function hasUnbalancedBrackets(text) {
+  const pairs = { ']': '[', ')': '(' };
+  const open = [];
+  for (const ch of text) {
+    if (ch === '[' || ch === '(') {
+      open.push(ch);
+    } else if (ch in pairs) {
+      if (open.pop() !== pairs[ch]) return true;
+    }
+  }
+  return open.length > 0;
+}
+
+/**
+ * Parse one statement (which may still contain ";" branches).
+ * The first branch starts at anchorNodeId; later branches continue from the
+ * most recent decision node. A "from <node>:" prefix overrides either and
+ * starts that branch at the named node. Returns the id of the last node of
+ * the final branch so indented blocks can hang off it.
+ *
+ * Each branch is also recorded in state.chains as a chain of its "from"
+ * reference and nodes (see textEdits.js), with the offsets of its text, so
+ * editWorkflow can change one part of the text and leave the rest alone.
+ */
+function parseStatement(state, statement, anchorNodeId) {
+  // Split by semicolons to get separate branches
+  const branches = splitTracked(statement, /;/);
+
+  let tailNodeId = anchorNodeId;
+
+  branches.forEach((branch, branchIndex) => {
+    const { fromRef, body } = splitFromPrefix(branch);
+    let startNodeId = branchIndex > 0 ? state.lastDecisionNode : anchorNodeId;
+    const source = {
+      statement,
+      anchorNodeId,
+      start: startOffset(branch),
+      end: endOffset(branch),
+      bodyStart: body.text ? startOffset(body) : endOffset(branch),
+      fromRef: null,
+      items: [],
+    };
+
+    if (fromRef) {
+      if (!findNode(state, fromRef.text)) {
+        report(state.diagnostics, 'warning',
+          `"from ${fromRef.text}" does not match any earlier node; a new node was created`, fromRef);
       }
+      const fromNode = resolveNode(state, fromRef);
+      startNodeId = fromNode.id;
+      source.fromRef = { id: fromNode.id, text: fromRef.text, start: startOffset(fromRef), end: endOffset(fromRef), lead: true };
+      // Further ";" branches keep hanging off the named decision
+      if (fromNode.type === 'decision') {
+        state.lastDecisionNode = fromNode.id;
+      }
+    }
 
-      // Clear pending edge label after use
-      pendingEdgeLabel = null;
+    tailNodeId = parseBranch(state, body, startNodeId, source);
+    state.chains.push(chainOf(source, state.edges));
+  });
 
-      // Determine node type
-      const isDecision = nodeLabel.endsWith('?');
-      const cleanLabel = isDecision ? nodeLabel.slice(0, -1).trim() : nodeLabel;
+  return tailNodeId;
+}
 
-      // Create stable node ID
-      const nodeId = getOrCreateNode(nodes, nodeMap, cleanLabel, isDecision ? 'decision' : 'process');
+/**
+ * A parsed branch as a chain: its nodes, after the "from" reference or the
+ * node the first one is linked from (a block's node or the last decision,
+ * which has no text of its own in the branch).
+ */
+function chainOf(source, edges) {
+  const { items, fromRef } = source;
+  const first = items[0];
+  const implicit = first && first.edge !== null
+    ? { id: edges[first.edge].from, start: source.start, end: source.start, lead: true, implicit: true }
+    : null;
+  const lead = fromRef || implicit;
+  return {
+    ...source,
+    groups: [...(lead ? [lead] : []), ...items].map(ref => [ref]),
+    links: items.flatMap((item, k) => (k > 0 || lead ? [{ start: item.linkStart, end: item.start, edges: [item.edge] }] : [])),
+  };
+}
+
+function splitFromPrefix(branch) {
+  const match = branch.text.match(FROM_PREFIX_PATTERN);
+  if (!match) return { fromRef: null, body: branch };
+
+  const refStart = branch.text.match(/^from\s+/i)[0].length;
+  return {
+    fromRef: trimTracked(sliceTracked(branch, refStart, refStart + match[1].length)),
+    body: trimTracked(sliceTracked(branch, branch.text.length - match[2].length)),
+  };
+}
+
+/**
+ * Split a branch on arrows, separating nodes from edge labels. A label sits
+ * next to an arrow: between two ('Send -> "if urgent" -> Call'), right after
+ * one in front of a node ("Send -> [if urgent] Call"), or after a decision
+ * in front of one ('Check? "over budget" ->', "Check? yes ->"). Anywhere
+ * else brackets and quotes belong to the node, so "Submit [form] -> Review"
+ * has a node "Submit [form]", and a quoted last node ('-> "Ship it"') is
+ * named by what's in the quotes, marked `quoted`. `statement` is the line
+ * the branch is part of (see mixesLinks).
+ */
+function tokenizeBranch(branch, keywords, statement) {
+  // Split by arrows to get tokens; each token remembers the connector before it
+  const pattern = mixesLinks(statement.text) ? ARROW_PATTERN_WITHOUT_LINE : ARROW_PATTERN;
+  const tokens = splitTracked(branch, pattern).map(token => ({ ...token, connector: token.separator }));
+  const keywordPattern = new RegExp(`^(.+\\?)\\s+(${keywords.map(escapeRegExp).join('|')})$`, 'i');
 
-      // Create edge from previous node
-      if (previousNodeId !== null) {
-        edges.push({
-          from: previousNodeId,
-          to: nodeId,
-          label: edgeLabel
-        });
+  // Pre-process tokens to separate nodes from following edge labels
+  const processedTokens = [];
+  tokens.forEach(token => {
+    const quotedMatch = token.text.match(/^(.+\?)\s+("[^"]+")$/);
+    const bracketMatch = token.text.match(/^(.+\?)\s+(\[[^\]]+\])$/);
+    const match = quotedMatch
+      || (bracketMatch && !matchShapeMarker(bracketMatch[2]) ? bracketMatch : null)
+      || token.text.match(keywordPattern);
+
+    if (match) {
+      processedTokens.push({ ...trimTracked(sliceTracked(token, 0, match[1].length)), connector: token.connector });
+      processedTokens.push(sliceTracked(token, token.text.length - match[2].length));
+    } else {
+      processedTokens.push(token);
+    }
+  });
+
+  // With no arrow after it, a quoted text on its own has no edge to label
+  const last = processedTokens[processedTokens.length - 1];
+  if (last && (last.connector || processedTokens.length === 1) && /^"[^"]+"$/.test(last.text)) last.quoted = true;
+
+  return processedTokens;
+}
+
+// What a node token names: the text, or what's in the quotes of a `quoted` one
+function nodeTextOf(token) {
+  return token.quoted ? token.text.slice(1, -1).trim() : token.text;
+}
+
+// Plain arrows wherever they are, and `connectors` with spaces on both sides
+function connectorPattern(connectors) {
+  const styled = [...connectors].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  return new RegExp(`\\s*(?:->|→)\\s*|(?<=^|\\s)(?:${styled})(?=\\s|$)\\s*`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse the nodes and edges of one branch, starting from startNodeId.
+ * Every node token is added to source.items with its offsets, the offset
+ * its link (edge label and connector) starts at and the index of the edge
+ * leading to it, if any; a declaration `keep`s (see textEdits.js).
+ */
+function parseBranch(state, branch, startNodeId, source) {
+  const { edges, diagnostics } = state;
+  const processedTokens = tokenizeBranch(branch, state.edgeLabelKeywords, source.statement);
+
+  let previousNodeId = startNodeId;
+  let pendingEdgeLabel = null;
+  let pendingEdgeToken = null;
+
+  processedTokens.forEach((token, index) => {
+    const tokenLower = token.text.toLowerCase();
+    const isEdgeLabel = state.edgeLabelKeywords.includes(tokenLower);
+
+    // A statement that opens with an edge label continues from the last decision
+    const isLeadingLabel = index === 0 && previousNodeId === null && state.lastDecisionNode !== null;
+
+    // Check if token is a label on its own: "[approved]" or "over budget"
+    // in quotes (but not a bracket-style shape marker such as "[/Input/]",
+    // or a quoted node at the end)
+    const labelOnlyMatch = !token.quoted && (token.text.match(/^"([^"]+)"$/)
+      || (!matchShapeMarker(token.text) && token.text.match(/^\[([^\]]+)\]$/)));
+    if (labelOnlyMatch) {
+      pendingEdgeLabel = labelOnlyMatch[1].trim();
+      pendingEdgeToken = token;
+      if (isLeadingLabel) {
+        previousNodeId = state.lastDecisionNode;
+      } else if (index === 0 && previousNodeId === null) {
+        report(diagnostics, 'warning', `Edge label "${pendingEdgeLabel}" has no node before it`, token);
       }
+      return;
+    }
 
-      previousNodeId = nodeId;
-      
-      // Track last decision node for branch continuation
-      if (isDecision) {
-        lastDecisionNode = nodeId;
+    // If this token is an edge label, store it and skip creating a node
+    if (isEdgeLabel && (previousNodeId !== null || isLeadingLabel)) {
+      pendingEdgeLabel = token.text;
+      pendingEdgeToken = token;
+      if (isLeadingLabel) {
+        previousNodeId = state.lastDecisionNode;
       }
+      return;
+    }
+
+    // Check if this token starts with a label followed by content like "[yes] Node" or '"maybe" Node'
+    const bracketMatch = token.text.match(/^\[([^\]]+)\]\s+(.+)$/) || token.text.match(/^"([^"]+)"\s+(.+)$/);
+    let edgeLabel = pendingEdgeLabel;
+    let nodeToken = token;
+
+    if (bracketMatch) {
+      edgeLabel = bracketMatch[1].trim();
+      nodeToken = sliceTracked(token, token.text.length - bracketMatch[2].length);
+      if (isLeadingLabel) {
+        previousNodeId = state.lastDecisionNode;
+      }
+    }
+
+    // Clear pending edge label after use
+    pendingEdgeLabel = null;
+    pendingEdgeToken = null;
+
+    const nodeText = nodeTextOf(nodeToken);
+    if (hasUnbalancedBrackets(nodeText)) {
+      report(diagnostics, 'error', `Unbalanced brackets in "${nodeText}"`, nodeToken);
+    }
+    const loose = !nodeToken.quoted && nodeText.match(LOOSE_CONNECTOR_PATTERN);
+    if (loose) {
+      report(diagnostics, 'warning', loose[0] === '--'
+        ? `"${nodeToken.text}" is read as one node: "--" only links nodes on lines without "->" arrows`
+        : `"${nodeToken.text}" is read as one node: put spaces around "${loose[0]}" to link nodes with it`,
+      nodeToken);
+    }
+
+    // Resolve to a declared/referenced id or a label-merged node
+    const node = resolveNode(state, { ...nodeToken, text: nodeText });
+    const nodeId = node.id;
+
+    const previousItem = source.items[source.items.length - 1];
+    const declared = readDeclaration(state, nodeText) !== null;
+    source.items.push({
+      id: nodeId,
+      text: nodeText,
+      start: startOffset(nodeToken),
+      end: endOffset(nodeToken),
+      linkStart: previousItem ? previousItem.end : source.bodyStart,
+      edge: previousNodeId !== null ? edges.length : null,
+      declared,
+      keep: declared,
     });
+
+    // Create edge from previous node, styled by the connector that led here
+    if (previousNodeId !== null) {
+      edges.push({
+        from: previousNodeId,
+        to: nodeId,
+        label: edgeLabel,
+        ...CONNECTOR_STYLES[token.connector]
+      });
+    }
+
+    previousNodeId = nodeId;
+
+    // Track last decision node for branch continuation
+    if (node.type === 'decision') {
+      state.lastDecisionNode = nodeId;
+    }
   });
 
-  return { nodes, edges };
+  if (pendingEdgeToken) {
+    report(diagnostics, 'warning', `Edge label "${pendingEdgeLabel}" has no node after it`, pendingEdgeToken);
+  }
+
+  return previousNodeId;
+}
+
+// Look up the node a reference names without creating it
+function findNode(state, text) {
+  const declaration = readDeclaration(state, text);
+  const id = declaration ? declaration.id : text;
+  if (state.declarations.has(id)) return state.declarations.get(id);
+  return state.nodeMap.get(parseNodeLabel(text).label) || null;
 }
 
-function getOrCreateNode(nodes, nodeMap, label, type) {
+/**
+ * Find or create the node a token stands for. Declarations ("rev1: Review")
+ * and bare references to a declared id ("rev1") map to that id; any other
+ * token is a label and merges with earlier nodes of the same label.
+ */
+function resolveNode(state, token) {
+  const declaration = readDeclaration(state, token.text);
+  const id = declaration ? declaration.id : token.text;
+
+  if (state.declarations.has(id)) {
+    return getOrCreateDeclaredNode(state, state.declarations.get(id));
+  }
+
+  const { label, type } = parseNodeLabel(token.text);
+  return getOrCreateNode(state, label, type, positionOf(token));
+}
+
+function getOrCreateDeclaredNode(state, declaration) {
+  const existing = state.nodes.find(n => n.id === declaration.id);
+  if (existing) return existing;
+
+  const node = { id: declaration.id, label: declaration.label, type: declaration.type };
+  assignGroup(state, node);
+  state.nodes.push(node);
+  state.nodePositions.set(node.id, declaration.position);
+  return node;
+}
+
+function getOrCreateNode(state, label, type, position) {
+  const { nodes, nodeMap, declarations } = state;
+
   // Use label as the basis for the ID, but handle duplicates
   if (nodeMap.has(label)) {
-    return nodeMap.get(label);
+    const existing = nodeMap.get(label);
+    // A later shape marker ("((End))") upgrades a node first written plainly ("End")
+    if (existing.type === 'process' && type !== 'process') {
+      existing.type = type;
+    }
+    return existing;
+  }
+
+  // Skip generated ids that collide with an explicitly declared one
+  let index = nodes.length;
+  while (declarations.has(`node_${index}`)) index++;
+
+  const node = { id: `node_${index}`, label, type };
+  assignGroup(state, node);
+  nodeMap.set(label, node);
+  nodes.push(node);
+  state.nodePositions.set(node.id, position);
+  return node;
+}
+
+/**
+ * Whole-graph checks that only make sense once every statement is parsed:
+ * decisions that don't actually branch, and nodes the start can't reach.
+ */
+function checkGraph(state) {
+  const { nodes, edges, diagnostics, nodePositions } = state;
+  if (nodes.length === 0) return;
+
+  const outgoing = new Map(nodes.map(n => [n.id, []]));
+  edges.forEach(e => outgoing.get(e.from)?.push(e.to));
+
+  const at = (node) => ({ positions: [nodePositions.get(node.id)].filter(Boolean) });
+
+  nodes.forEach(node => {
+    const count = outgoing.get(node.id).length;
+    if (node.type === 'decision' && count < 2) {
+      report(diagnostics, 'warning', `Decision "${node.label}" has ${count === 0 ? 'no outgoing edges' : 'only one outgoing edge'}`, at(node));
+    }
+  });
+
+  // Everything should be reachable from the first node written. Report each
+  // unreachable region once, at the first of its nodes to appear in the text.
+  const start = nodes[0];
+  const reached = collectReachable(outgoing, start.id, new Set());
+
+  nodes.forEach(node => {
+    if (reached.has(node.id)) return;
+    const before = reached.size;
+    collectReachable(outgoing, node.id, reached);
+    const others = reached.size - before - 1;
+    const suffix = others > 0 ? ` (nor can ${others} node${others === 1 ? '' : 's'} after it)` : '';
+    report(diagnostics, 'warning', `"${node.label}" can't be reached from "${start.label}"${suffix}`, at(node));
+  });
+}
+
+function collectReachable(outgoing, fromId, reached) {
+  const queue = [fromId];
+  reached.add(fromId);
+  while (queue.length > 0) {
+    outgoing.get(queue.shift()).forEach(next => {
+      if (!reached.has(next)) {
+        reached.add(next);
+        queue.push(next);
+      }
+    });
+  }
+  return reached;
+}
+
+/**
+ * Rewrite the layout directives at the top of a document to match `layout`,
+ * so a layout picked in the UI is saved in the text itself. Settings equal
+ * to the defaults are left out.
+ */
+export function setLayoutDirectives(text, layout) {
+  const lines = text.split('\n').filter(line => !/^\s*@(direction|spacing|routing)\b/i.test(line));
+  const directives = [];
+  if (layout.direction !== DEFAULT_LAYOUT.direction) {
+    directives.push(`@direction ${layout.direction}`);
+  }
+  if (layout.nodeSpacing !== DEFAULT_LAYOUT.nodeSpacing || layout.rankSpacing !== DEFAULT_LAYOUT.rankSpacing) {
+    directives.push(`@spacing ${layout.nodeSpacing} ${layout.rankSpacing}`);
+  }
+  if (layout.routing && layout.routing !== DEFAULT_LAYOUT.routing) {
+    directives.push(`@routing ${layout.routing}`);
+  }
+  return [...directives, ...lines].join('\n');
+}
+
+/**
+ * How a "@pin" line (or any other reference) should name a node: generated
+ * ids shift as the text is edited, so those nodes are named by label.
+ */
+export function nodeReference(node) {
+  return /^node_\d+$/.test(node.id) ? node.label : node.id;
+}
+
+// Text markers toWorkflow wraps labels in, per node type
+const SHAPE_WRAPPERS = {
+  terminator: ['((', '))'],
+  io: ['[/', '/]'],
+  subprocess: ['[[', ']]'],
+  database: ['[(', ')]'],
+  document: ['[~', '~]'],
+};
+
+// Labels that would be read as something other than a plain node label
+const UNSAFE_LABEL_PATTERN = /->|→|--|-\.-|-=-|==>|\.\.>|<->|[;"[\]\n]|^[@#(]|^from\s|\?$/i;
+
+/**
+ * Serialize a graph as NapkinFlow text that parses back to the same graph:
+ * nodes are first mentioned in graph order (so the first node stays the
+ * start), with "@lane"/"@group" ... "@end" lines around each run of nodes
+ * in the same lane or group, edges are written as chains, and
+ * `options.layout` / `options.pins` / `options.seed` become layout
+ * directives, "@pin" and "@seed" lines. Nodes whose label can't stand
+ * alone (duplicates, keywords, arrows...) get an "id: Label" declaration.
+ */
+export function toWorkflow(graph, options = {}) {
+  const { nodes = [], edges = [], groups = [] } = graph || {};
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+  const refs = makeNodeRefs(nodes);
+  const lines = [];
+
+  // The first mention of a declared node carries its declaration
+  const mentioned = new Set();
+  const mention = (node) => {
+    const ref = refs.get(node.id);
+    if (mentioned.has(node.id)) return ref.token;
+    mentioned.add(node.id);
+    return ref.declaration;
+  };
+
+  // A node joins whatever group is open when it's first mentioned, so the
+  // open groups follow the nodes as they come up
+  const groupById = new Map(groups.map(group => [group.id, group]));
+  const pathOf = (groupId) => {
+    const path = [];
+    for (let group = groupById.get(groupId); group && !path.includes(group.id); group = groupById.get(group.parent)) {
+      path.unshift(group.id);
+    }
+    return path;
+  };
+  const groupOf = (node) => (groupById.has(node.group) ? node.group : null);
+  const open = [];
+  const opened = new Set();
+  const enterGroups = (path) => {
+    let common = 0;
+    while (common < open.length && open[common] === path[common]) common++;
+    while (open.length > common) {
+      lines.push('@end');
+      open.pop();
+    }
+    path.slice(common).forEach(id => {
+      const group = groupById.get(id);
+      const label = sanitizeLabel(group.label || group.id);
+      lines.push(open.length === 0 && group.kind === 'lane' ? `@lane ${label}` : `@group ${label}`);
+      open.push(id);
+      opened.add(id);
+    });
+  };
+
+  // Unused edges by the node they leave and the node they reach
+  const validEdges = edges.filter(edge => nodeById.has(edge.from) && nodeById.has(edge.to));
+  const outgoing = new Map(nodes.map(node => [node.id, { edges: [], index: 0 }]));
+  const incoming = new Map(nodes.map(node => [node.id, []]));
+  validEdges.forEach(edge => {
+    outgoing.get(edge.from).edges.push(edge);
+    incoming.get(edge.to).push(edge);
+  });
+  const used = new Set();
+  const nextOutgoing = (node) => {
+    const list = outgoing.get(node.id);
+    while (list.index < list.edges.length && used.has(list.edges[list.index])) list.index++;
+    return list.edges[list.index];
+  };
+
+  let cursor = 0;
+  const nextNewNode = () => {
+    while (cursor < nodes.length && mentioned.has(nodes[cursor].id)) cursor++;
+    return nodes[cursor];
+  };
+
+  // Follow unused edges from node to node so simple flows read as one
+  // line, as long as each node the line reaches is either already
+  // mentioned or the next one due in the open group
+  const writeChain = (start, first) => {
+    let line = mention(start);
+    let edge = first || nextOutgoing(start);
+    while (edge) {
+      const target = nodeById.get(edge.to);
+      const due = target === nextNewNode() && groupOf(target) === (open[open.length - 1] ?? null);
+      if (!mentioned.has(target.id) && !due) break;
+      const link = formatLink(line, edge);
+      // "--" and plain arrows go on separate lines (see mixesLinks)
+      if (mixesLinks(line + link)) break;
+      used.add(edge);
+      line += `${link}${mention(target)}`;
+      edge = nextOutgoing(target);
+    }
+    lines.push(line);
+  };
+
+  for (let node = nextNewNode(); node; node = nextNewNode()) {
+    enterGroups(pathOf(groupOf(node)));
+    // Start from a node already written when one leads here
+    const into = incoming.get(node.id).find(edge => !used.has(edge) && mentioned.has(edge.from));
+    if (into) writeChain(nodeById.get(into.from), into);
+    else writeChain(node);
+  }
+  // Groups without nodes of their own still get their block
+  groups.filter(group => !opened.has(group.id)).forEach(group => enterGroups(pathOf(group.id)));
+  enterGroups([]);
+
+  validEdges.forEach(edge => {
+    if (!used.has(edge)) writeChain(nodeById.get(edge.from), edge);
+  });
+
+  let text = lines.join('\n');
+  if (options.layout) text = setLayoutDirectives(text, { ...DEFAULT_LAYOUT, ...options.layout });
+  const pins = options.pins || {};
+  const pinLines = nodes
+    .filter(node => pins[node.id])
+    .map(node => ({ ...pins[node.id], ref: refs.get(node.id).name }));
+  if (pinLines.length > 0) text = setPinLines(text, pinLines);
+  if (options.seed) text = setSeedLine(text, options.seed);
+  return text + '\n';
+}
+
+/**
+ * Decide how toWorkflow names each node: its marked-up label when that
+ * reads back unambiguously, otherwise an "id: Label" declaration plus the
+ * bare id for later mentions. `name` is what an "@pin" line uses.
+ */
+function makeNodeRefs(nodes) {
+  const plainLabels = new Map(); // node id -> the label written bare for it
+  const written = new Set();
+  nodes.forEach(node => {
+    const label = labelOf(node);
+    // A label that reads back as itself once its arrows are taken out is
+    // written that way: a declaration's id has to be used to stay an id
+    // (see collectDeclarations), and a node mentioned once never uses it
+    const plain = isSafeLabel(label) ? label : sanitizeLabel(label);
+    if (isSafeLabel(plain) && !written.has(plain)) {
+      plainLabels.set(node.id, plain);
+      written.add(plain);
+    }
+  });
+
+  const usedIds = new Set(written);
+  const refs = new Map();
+  let counter = 1;
+  nodes.forEach(node => {
+    const label = labelOf(node);
+    if (plainLabels.has(node.id)) {
+      const token = formatNodeToken(plainLabels.get(node.id), node.type);
+      refs.set(node.id, { name: plainLabels.get(node.id), token, declaration: token });
+      return;
+    }
+    let id = /^[A-Za-z_][\w-]*$/.test(node.id) && !/^node_\d+$/.test(node.id) ? node.id : null;
+    while (!id || usedIds.has(id)) id = `n${counter++}`;
+    usedIds.add(id);
+    const token = formatNodeToken(sanitizeLabel(label) || id, node.type);
+    refs.set(node.id, { name: id, token: id, declaration: `${id}: ${token}` });
+  });
+  return refs;
+}
+
+// Decisions from other sources may already end in "?"
+function labelOf(node) {
+  const label = String(node.label ?? node.id);
+  return node.type === 'decision' ? label.replace(/\s*\?+$/, '') : label;
+}
+
+// Whether a label reads back as itself when written bare between arrows
+function isSafeLabel(label) {
+  return label.trim() === label && label !== ''
+    && !UNSAFE_LABEL_PATTERN.test(label)
+    && !hasUnbalancedBrackets(label)
+    && !NODE_DECLARATION_PATTERN.test(label)
+    && !EDGE_LABEL_KEYWORDS.includes(label.toLowerCase());
+}
+
+function formatNodeToken(label, type) {
+  if (type === 'decision') return `${label}?`;
+  const wrapper = SHAPE_WRAPPERS[type];
+  return wrapper ? `${wrapper[0]}${label}${wrapper[1]}` : label;
+}
+
+// Labels end up on one line between arrows, so strip what would split them
+function sanitizeLabel(label) {
+  return String(label)
+    .replace(/\s+/g, ' ')
+    .replace(/<->|->|→|-->|==>|\.\.>|--|-\.-|-=-/g, '-')
+    .replace(/;/g, ',')
+    .replace(/"/g, "'")
+    .trim();
+}
+
+/**
+ * The text between a node and the next: the connector and the edge's label.
+ * After a decision the label goes in front of the connector, as-is for a
+ * keyword; after any other node it goes after it, in front of the next
+ * node. Labels other than keywords are quoted, which protects arrows and
+ * ";" inside them.
+ */
+function formatLink(precedingText, edge) {
+  const connector = formatConnector(edge);
+  if (!edge.label) return ` ${connector} `;
+  const label = String(edge.label).replace(/\s+/g, ' ').replace(/"/g, "'").trim();
+  if (!precedingText.endsWith('?')) return ` ${connector} "${label}" `;
+  return EDGE_LABEL_KEYWORDS.includes(label.toLowerCase()) ? ` ${label} ${connector} ` : ` "${label}" ${connector} `;
+}
+
+function formatConnector(edge) {
+  const connectors = EXPORT_CONNECTORS[edge.style] || EXPORT_CONNECTORS.solid;
+  return connectors[edge.arrow] || connectors.end;
+}
+
+// Lines kept at the end of the text when lines are added: pins, the seed
+// and blank lines
+const CLOSING_LINE_PATTERN = /^\s*(@(pin|seed)\b.*)?$/i;
+
+// A link that's just an arrow, which a "from" branch can do without
+const PLAIN_LINK_PATTERN = /^\s*(->|→)\s*$/;
+
+/**
+ * Make a canvas edit (see graphEdits.js) to NapkinFlow text by changing only
+ * the text it affects: a node's mentions or its "id: Label" declaration, the
+ * link in front of an edge, or the branches a deleted node or edge was part
+ * of. A new edge goes on a line of its own at the end. Comments, blocks and
+ * every other line stay as written. Returns null when the edit can't be
+ * made that way, so the caller can rewrite the whole text instead.
+ */
+export function editWorkflow(text, edit) {
+  return editText(text, edit, WORKFLOW_FORMAT);
+}
+
+const WORKFLOW_FORMAT = {
+  read: readWorkflow,
+  updateNode: renameWorkflowNode,
+  updateEdge: restyleWorkflowEdge,
+  writeCuts: writeWorkflowCuts,
+  addEdge(text, { graph, declarations }, fromId, toId) {
+    const ref = (id) => {
+      const node = graph.nodes.find(n => n.id === id);
+      if (declarations.has(id)) return id;
+      return isSafeLabel(labelOf(node)) ? formatNodeToken(labelOf(node), node.type) : null;
+    };
+    const from = ref(fromId);
+    const to = ref(toId);
+    return from && to ? lineInsertion(text, `${from} → ${to}`, CLOSING_LINE_PATTERN) : null;
+  },
+};
+
+// Rewrite a declared node's declarations, or every mention of any other node
+function renameWorkflowNode(text, { graph, chains, declarations }, node) {
+  const previous = graph.nodes.find(n => n.id === node.id);
+  const label = labelOf(node);
+  const replacements = [];
+  const rewritten = new Map(); // item -> its new text
+
+  if (declarations.has(node.id)) {
+    const declaration = `${node.id}: ${formatNodeToken(sanitizeLabel(label) || node.id, node.type)}`;
+    chains.forEach(chain => chain.items
+      .filter(item => item.id === node.id && item.declared)
+      .forEach(item => rewritten.set(item, declaration)));
+  } else {
+    if (!isSafeLabel(label)) return null;
+    const token = formatNodeToken(label, node.type);
+    chains.forEach(chain => {
+      chain.items.filter(item => item.id === node.id).forEach(item => rewritten.set(item, token));
+      if (chain.fromRef && chain.fromRef.id === node.id) {
+        replacements.push({ start: chain.fromRef.start, end: chain.fromRef.end, text: token });
+      }
+    });
+  }
+  rewritten.forEach((newText, item) => replacements.push({ start: item.start, end: item.end, text: newText }));
+
+  // "Check? yes -> ..." only reads "yes" as a label after a decision, so
+  // labels after a node that stops being one are rewritten to suit
+  if (previous.type === 'decision' && node.type !== 'decision') {
+    chains.forEach(chain => chain.items.forEach((item, k) => {
+      const before = chain.items[k - 1];
+      const edge = graph.edges[item.edge];
+      if (!before || !rewritten.has(before) || !edge || !edge.label) return;
+      replacements.push({
+        start: item.linkStart,
+        end: item.start,
+        text: formatLink(rewritten.get(before), edge),
+      });
+    }));
+  }
+
+  return replacements;
+}
+
+// Rewrite the label and connector in front of the edge's target; null when
+// that puts "--" on a line with plain arrows, where it wouldn't link
+function restyleWorkflowEdge(text, { chains }, index, edge) {
+  for (const chain of chains) {
+    const k = chain.items.findIndex(item => item.edge === index);
+    if (k === -1) continue;
+
+    const item = chain.items[k];
+    let link;
+    if (k > 0) {
+      link = formatLink(chain.items[k - 1].text, edge);
+    } else {
+      // The first node of a branch hangs off its block, "from" node or
+      // decision, so a plain link needs no connector at all; a label goes
+      // in front of it as it would after a decision
+      link = edge.label || formatConnector(edge) !== '→' ? formatLink('?', edge).trimStart() : '';
+    }
+    const { statement } = chain;
+    const line = text.slice(startOffset(statement), item.linkStart) + link + text.slice(item.start, endOffset(statement));
+    return mixesLinks(line) ? null : [{ start: item.linkStart, end: item.start, text: link }];
+  }
+  return null;
+}
+
+/**
+ * Write the branches cutChains cut up, a statement at a time. A piece still
+ * at the start of its branch keeps the branch's text up to its last node.
+ * Any other piece no longer hangs off what the branch started from: outside
+ * a block it becomes a line of its own, and inside one (where a line would
+ * hang off the block's node) a "from <node>:" branch, which needs a node
+ * the text already has before it. Null when neither works.
+ */
+function writeWorkflowCuts(text, { chains }, cuts, mentions) {
+  const cutOf = new Map(cuts.map(cut => [cut.chain, cut]));
+  const statements = [...new Set(cuts.map(cut => cut.chain.statement))];
+  const replacements = [];
+
+  for (const statement of statements) {
+    const own = chains.filter(chain => chain.statement === statement);
+    const inBlock = own[0].anchorNodeId !== null;
+    const parts = [];
+    const lines = [];
+    let tailOnOwnLine = false;
+
+    for (const chain of own) {
+      const cut = cutOf.get(chain);
+      if (!cut) {
+        parts.push(text.slice(chain.start, chain.end));
+        continue;
+      }
+      for (const piece of cut.pieces) {
+        const refs = piece.groups.flat();
+        const first = refs[0];
+        const last = refs[refs.length - 1];
+        if (first === chain.groups[0][0]) {
+          parts.push(text.slice(chain.start, last.end));
+        } else if (!inBlock) {
+          lines.push(text.slice(first.start, last.end));
+          // Blocks hang off the statement's last node, which has to stay last
+          tailOnOwnLine = chain === own[own.length - 1] && piece === cut.pieces[cut.pieces.length - 1];
+        } else {
+          const known = (mentions.get(first.id) || []).some(offset => offset < first.start);
+          if (!known || first.declared) return null;
+          const [link] = piece.links;
+          const rest = !link ? '' : PLAIN_LINK_PATTERN.test(text.slice(link.start, link.end))
+            ? text.slice(refs[1].start, last.end)
+            : text.slice(first.end, last.end).trim();
+          parts.push(rest ? `from ${first.text}: ${rest}` : `from ${first.text}:`);
+        }
+      }
+    }
+
+    const start = startOffset(statement);
+    const end = endOffset(statement);
+    const main = parts.length > 0 ? [parts.join('; ')] : [];
+    const segments = tailOnOwnLine ? [...main, ...lines] : [...lines, ...main];
+    replacements.push(segments.length > 0
+      ? { start, end, text: segments.join(`\n${indentAt(text, start)}`) }
+      : removalOf(text, start, end));
   }
 
-  const id = `node_${nodes.length}`;
-  nodeMap.set(label, id);
-  nodes.push({ id, label, type });
-  return id;
+  return replacements;
 }
@@ -0,0 +1,139 @@
+/**
+ * Vector PDF export: the exported SVG is drawn into the PDF with svg2pdf, so
+ * shapes stay paths and labels stay selectable text. The chart is placed on
+ * standard pages (sizes in mm, portrait) and, if it is too big to read when
+ * shrunk onto one page, split across several.
+ *
+ * jsPDF and svg2pdf are only loaded once a PDF is made, which keeps them out
+ * of the page's first download; svg2pdf also needs a DOM to load at all.
+ */
+
+export const PAGE_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  letter: { label: 'Letter', width: 215.9, height: 279.4 },
+  a3: { label: 'A3', width: 297, height: 420 },
+};
+
+export const ORIENTATIONS = {
+  auto: 'Match the chart',
+  portrait: 'Portrait',
+  landscape: 'Landscape',
+};
+
+export const MARGIN_RANGE = { min: 0, max: 40 };
+
+export const DEFAULT_PDF_OPTIONS = { pageSize: 'a4', orientation: 'auto', margin: 10, tile: true };
+
+// CSS pixels are 1/96 inch
+const MM_PER_PX = 25.4 / 96;
+// Smallest size a chart is shrunk to before it's split across pages instead
+const MIN_TILED_SCALE = 0.5;
+// Page labels ("Page 2 of 4") only go in margins at least this wide (mm)
+const LABEL_MIN_MARGIN = 5;
+
+/**
+ * How a chart of width x height px goes onto pages: { pageWidth,
+ * pageHeight, orientation, scale, rows, columns, tileWidth, tileHeight },
+ * page sizes in mm and tile sizes in chart px. scale is the size on paper
+ * relative to the chart at 96 dpi; charts are never enlarged.
+ */
+export function planPages(width, height, options) {
+  const page = PAGE_SIZES[options.pageSize] || PAGE_SIZES[DEFAULT_PDF_OPTIONS.pageSize];
+  const orientation = options.orientation === 'auto'
+    ? (width > height ? 'landscape' : 'portrait')
+    : options.orientation;
+  const pageWidth = orientation === 'landscape' ? page.height : page.width;
+  const pageHeight = orientation === 'landscape' ? page.width : page.height;
+
+  // Keep at least a 10mm wide drawing area whatever the margin
+  const margin = Math.min(options.margin, (Math.min(pageWidth, pageHeight) - 10) / 2);
+  const areaWidth = pageWidth - 2 * margin;
+  const areaHeight = pageHeight - 2 * margin;
+  const fit = Math.min(1, areaWidth / (width * MM_PER_PX), areaHeight / (height * MM_PER_PX));
+  const scale = options.tile ? Math.max(fit, MIN_TILED_SCALE) : fit;
+
+  const tileWidth = areaWidth / (scale * MM_PER_PX);
+  const tileHeight = areaHeight / (scale * MM_PER_PX);
+  // Allow for rounding so a chart that just fits doesn't get an empty page
+  const columns = Math.max(1, Math.ceil(width / tileWidth - 1e-6));
+  const rows = Math.max(1, Math.ceil(height / tileHeight - 1e-6));
+
+  return { pageWidth, pageHeight, orientation, margin, scale, rows, columns, tileWidth, tileHeight };
+}
+
+/**
+ * A jsPDF document of the exported svg element (width x height px) laid out
+ * by planPages. The svg itself is left untouched.
+ */
+export async function createPdf(svg, width, height, options, title) {
+  // svg2pdf adds pdf.svg() to jsPDF when it loads
+  const [{ jsPDF }] = await Promise.all([import('jspdf'), import('svg2pdf.js')]);
+  const plan = planPages(width, height, options);
+  const pdf = new jsPDF({
+    unit: 'mm',
+    format: [plan.pageWidth, plan.pageHeight],
+    orientation: plan.orientation,
+  });
+  pdf.setProperties({ title, creator: 'NapkinFlow' });
+
+  const chart = printableCopy(svg);
+  const pages = plan.rows * plan.columns;
+  for (let row = 0; row < plan.rows; row++) {
+    for (let column = 0; column < plan.columns; column++) {
+      const index = row * plan.columns + column;
+      if (index > 0) pdf.addPage([plan.pageWidth, plan.pageHeight], plan.orientation);
+
+      // The part of the chart on this page, in chart px
+      const x = column * plan.tileWidth;
+      const y = row * plan.tileHeight;
+      const tileWidth = Math.min(plan.tileWidth, width - x);
+      const tileHeight = Math.min(plan.tileHeight, height - y);
+      const drawWidth = tileWidth * plan.scale * MM_PER_PX;
+      const drawHeight = tileHeight * plan.scale * MM_PER_PX;
+      // A chart that fits on one page is centred on it
+      const left = pages === 1 ? (plan.pageWidth - drawWidth) / 2 : plan.margin;
+      const top = pages === 1 ? (plan.pageHeight - drawHeight) / 2 : plan.margin;
+
+      chart.setAttribute('viewBox', `${x} ${y} ${tileWidth} ${tileHeight}`);
+      pdf.saveGraphicsState();
+      pdf.rect(left, top, drawWidth, drawHeight, null);
+      pdf.clip();
+      pdf.discardPath();
+      await pdf.svg(chart, { x: left, y: top, width: drawWidth, height: drawHeight });
+      pdf.restoreGraphicsState();
+
+      if (pages > 1 && plan.margin >= LABEL_MIN_MARGIN) {
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(8);
+        pdf.setTextColor(120);
+        pdf.text(
+          `Page ${index + 1} of ${pages} (row ${row + 1}, column ${column + 1})`,
+          plan.margin,
+          plan.pageHeight - plan.margin / 2,
+          { baseline: 'middle' }
+        );
+      }
+    }
+  }
+  return pdf;
+}
+
+/**
+ * Copy of the svg adjusted for what svg2pdf understands: it only has the
+ * PDF's built-in fonts (anything it doesn't know, such as the hand-drawn
+ * themes' cursive fonts, becomes Times) and reads alignment-baseline
+ * rather than dominant-baseline.
+ */
+function printableCopy(svg) {
+  const copy = svg.cloneNode(true);
+  copy.querySelectorAll('[font-family]').forEach(element => {
+    const monospace = /monospace|courier/i.test(element.getAttribute('font-family'));
+    element.setAttribute('font-family', monospace ? 'courier' : 'helvetica');
+  });
+  copy.querySelectorAll('[dominant-baseline]').forEach(element => {
+    element.setAttribute('alignment-baseline', element.getAttribute('dominant-baseline'));
+  });
+  copy.removeAttribute('width');
+  copy.removeAttribute('height');
+  return copy;
+}
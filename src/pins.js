@@ -0,0 +1,34 @@
+/**
+ * Manual node positions ("pins") saved in the source text.
+ *
+ * A pin is a line "@pin <x> <y> <node>" where the node is named by its id
+ * or, for NapkinFlow text, its label. NapkinFlow reads it as a directive;
+ * Mermaid and DOT keep it in a comment ("%% @pin ..." / "// @pin ...") so
+ * other tools still accept the file. Coordinates are the node centre in
+ * layout space and override where dagre would have put it.
+ */
+
+const PIN_PATTERN = /^@pin\s+(-?\d+(?:\.\d+)?)[\s,]+(-?\d+(?:\.\d+)?)\s+(.+)$/i;
+
+// Any line holding a pin, with or without a comment marker in front
+const PIN_LINE_PATTERN = /^\s*(?:%%|\/\/)?\s*@pin\b/i;
+
+export function parsePin(text) {
+  const match = text.trim().match(PIN_PATTERN);
+  if (!match) return null;
+  return { x: Number(match[1]), y: Number(match[2]), ref: match[3].trim() };
+}
+
+/**
+ * Replace every pin line in `text` with one line per entry of `pins`
+ * ([{ ref, x, y }]), appended at the end. `commentPrefix` is put in front
+ * of each line for formats where "@pin" would be a syntax error.
+ */
+export function setPinLines(text, pins, commentPrefix = '') {
+  const lines = text.replace(/\s+$/, '').split('\n').filter(line => !PIN_LINE_PATTERN.test(line));
+  const prefix = commentPrefix ? `${commentPrefix} ` : '';
+  pins.forEach(({ ref, x, y }) => {
+    lines.push(`${prefix}@pin ${Math.round(x)} ${Math.round(y)} ${ref}`);
+  });
+  return lines.join('\n');
+}
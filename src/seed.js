@@ -0,0 +1,62 @@
+/**
+ * Seeds for the hand-drawn randomness.
+ *
+ * RoughJS jitters every stroke, but given a seed it jitters the same way
+ * each time. Every node, edge and lane gets its own seed derived from the
+ * document seed and its key (e.g. "node:<id>"), so the same text always
+ * draws the same picture and adding a node leaves the others as they were.
+ *
+ * The document seed lives in the text as "@seed <n>" ("%% @seed" / "// @seed"
+ * in Mermaid and DOT, like pins) and is only written when it isn't the default.
+ */
+
+export const DEFAULT_SEED = 1;
+
+// New seeds stay short so the "@seed" line is easy to read
+const MAX_RANDOM_SEED = 99999;
+
+const SEED_PATTERN = /^@seed\s+(\d+)$/i;
+
+// Any line holding a seed, with or without a comment marker in front
+const SEED_LINE_PATTERN = /^\s*(?:%%|\/\/)?\s*@seed\b/i;
+
+// Read "@seed <n>"; returns null unless n is a positive 31-bit integer
+export function parseSeed(text) {
+  const match = text.trim().match(SEED_PATTERN);
+  if (!match) return null;
+  const seed = Number(match[1]);
+  return seed > 0 && seed < 2 ** 31 ? seed : null;
+}
+
+/**
+ * Replace any seed line in `text` with one for `seed`, appended at the end,
+ * or none if it's the default. `commentPrefix` works as in setPinLines.
+ */
+export function setSeedLine(text, seed, commentPrefix = '') {
+  const lines = text.replace(/\s+$/, '').split('\n').filter(line => !SEED_LINE_PATTERN.test(line));
+  if (seed !== DEFAULT_SEED) {
+    lines.push(`${commentPrefix ? `${commentPrefix} ` : ''}@seed ${seed}`);
+  }
+  return lines.join('\n');
+}
+
+// A fresh document seed, never the same as `current`
+export function randomSeed(current) {
+  let seed;
+  do {
+    seed = 1 + Math.floor(Math.random() * MAX_RANDOM_SEED);
+  } while (seed === current);
+  return seed;
+}
+
+// Seed for one shape: FNV-1a hash of the document seed and the shape's key.
+// RoughJS treats 0 as "unseeded", so that is mapped to 1.
+export function shapeSeed(documentSeed, key) {
+  const text = `${documentSeed}:${key}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 1) || 1;
+}
@@ -0,0 +1,76 @@
+import { readEmbed } from './embed';
+
+/**
+ * Links that carry a whole chart in the URL fragment, so a chart can be
+ * shared without a server: #chart=<data>, or #view&chart=<data> for a
+ * read-only view. The data is the same JSON exported images embed (see
+ * embed.js), deflated and base64url-encoded after a letter saying how it
+ * was packed: "z" deflate-raw, "u" plain UTF-8 (for browsers without
+ * CompressionStream). The fragment never reaches a server.
+ */
+
+const PARAM = 'chart';
+const VIEW = 'view';
+
+// The link to the page with `embed` in the fragment
+export async function createShareLink(embed, { view = false } = {}) {
+  const bytes = new TextEncoder().encode(JSON.stringify(embed));
+  const data = typeof CompressionStream === 'function'
+    ? `z${toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')))}`
+    : `u${toBase64Url(bytes)}`;
+  const url = new URL(window.location.href);
+  url.hash = `${view ? `${VIEW}&` : ''}${PARAM}=${data}`;
+  return url.toString();
+}
+
+/**
+ * The chart in a location hash as { embed, view } (embed as embed.js reads
+ * it, view whether the link is read-only), or null if the hash holds no
+ * chart. Throws if it holds one that can't be read.
+ */
+export async function readShareLink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const data = params.get(PARAM);
+  if (!data) return null;
+
+  let bytes;
+  try {
+    bytes = fromBase64Url(data.slice(1));
+  } catch {
+    throw new Error('The link is incomplete or damaged');
+  }
+  if (data[0] === 'z') {
+    if (typeof DecompressionStream !== 'function') throw new Error('This browser can\'t unpack shared links');
+    try {
+      bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+    } catch {
+      throw new Error('The link is incomplete or damaged');
+    }
+  } else if (data[0] !== 'u') {
+    throw new Error('The link was made by a newer version of NapkinFlow');
+  }
+
+  const embed = readEmbed(new TextDecoder().decode(bytes));
+  if (!embed) throw new Error('The link is incomplete or damaged');
+  return { embed, view: params.has(VIEW) };
+}
+
+// Run bytes through a (de)compression stream
+async function transform(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  // In chunks, so long charts don't overflow the argument list
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
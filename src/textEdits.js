@@ -0,0 +1,199 @@
+/**
+ * Make canvas edits (see graphEdits.js) to source text in place, so every
+ * character an edit doesn't touch stays as written.
+ *
+ * Each format (parser.js, mermaid.js, dot.js) hands editText an adapter
+ * that reads its text into chains and writes the few things only it knows
+ * how to write; cutting chains apart for deletes is shared.
+ *
+ * A chain is one statement's run of node references joined by links:
+ *   { start, end, groups: [[ref]], links: [{ start, end, edges }] }
+ * links[k] joins groups[k] and groups[k + 1] and made `edges` (indices in
+ * graph.edges, one per from/to pair in group order). A ref is
+ *   { id, start, end, keep?, lead?, implicit? }
+ * where `keep` marks a reference that defines the node (a shape, a
+ * declaration) and stays even with nothing linked to it, and `lead` one
+ * the chain only hangs off ("from X:", or the `implicit` block node a
+ * NapkinFlow branch starts from, which has no text of its own).
+ *
+ * A replacement is { start, end, text }: offsets into the original text and
+ * what goes in their place.
+ */
+
+import { applyGraphEdit } from './graphEdits';
+
+/**
+ * Make `edit` to `text` by changing only the text it affects. `format`:
+ * - read(text): { graph, chains, ... } for the text, or null
+ * - updateNode(text, doc, node) and updateEdge(text, doc, index, edge): the
+ *   replacements that give the node or edge its edited label and style
+ * - writeCuts(text, doc, cuts, mentions): the replacements for the chains
+ *   cutChains cut up
+ * - addEdge(text, doc, from, to): a replacement adding the new edge
+ * - dropNode(text, doc, id), optional: replacements for other lines naming
+ *   a deleted node
+ * Any of these may return null when the edit can't be made in place; so
+ * does editText then, and the caller rewrites the whole text instead.
+ */
+export function editText(text, edit, format) {
+  const doc = format.read(text);
+  if (!doc) return null;
+  const { graph } = doc;
+  const next = applyGraphEdit(graph, edit);
+
+  let replacements = null;
+  switch (edit.type) {
+    case 'updateNode': {
+      const node = next.nodes.find(n => n.id === edit.id);
+      if (node) replacements = format.updateNode(text, doc, node);
+      break;
+    }
+    case 'updateEdge': {
+      const edge = next.edges[edit.index];
+      if (edge) replacements = format.updateEdge(text, doc, edit.index, edge);
+      break;
+    }
+    case 'deleteEdge': {
+      const { cuts, mentions } = cutChains(doc, { dropEdge: (index) => index === edit.index });
+      replacements = format.writeCuts(text, doc, cuts, mentions);
+      break;
+    }
+    case 'deleteNode': {
+      if (!graph.nodes.some(n => n.id === edit.id)) break;
+      const { cuts, mentions } = cutChains(doc, { dropRef: (ref) => ref.id === edit.id });
+      const written = format.writeCuts(text, doc, cuts, mentions);
+      if (written) replacements = [...written, ...(format.dropNode ? format.dropNode(text, doc, edit.id) : [])];
+      break;
+    }
+    case 'addEdge': {
+      if (!graph.nodes.some(n => n.id === edit.from) || !graph.nodes.some(n => n.id === edit.to)) break;
+      const insertion = format.addEdge(text, doc, edit.from, edit.to);
+      if (insertion) replacements = [insertion];
+      break;
+    }
+    default:
+      break;
+  }
+  return replacements ? replaceRanges(text, replacements) : null;
+}
+
+/**
+ * Cut references (`dropRef`) and edges (`dropEdge`) out of a document's
+ * chains, and split links `breaks` picks into their edges. Returns the
+ * affected chains as { chain, pieces, lines }: `pieces` are the runs of
+ * groups still linked together ({ groups, links }), and `lines` the
+ * { from, to, link, edge } pairs left over from broken links that joined
+ * more than one edge. A reference left on its own stays only if it `keep`s,
+ * is the node's first mention (which can put it in a lane or subgraph) or
+ * nothing else mentions the node. `mentions` maps each node id to the
+ * offsets of the references to it that stay.
+ */
+export function cutChains({ chains }, { dropRef = () => false, dropEdge = () => false, breaks = () => false }) {
+  const isAffected = (chain) => chain.groups.some(refs => refs.some(dropRef))
+    || chain.links.some(link => breaks(link) || link.edges.some(dropEdge));
+  const mentions = new Map();
+  const mention = (ref) => {
+    if (!ref.implicit) mentions.set(ref.id, [...(mentions.get(ref.id) || []), ref.start]);
+  };
+
+  const firstRefs = new Set();
+  const seen = new Set();
+  chains.flatMap(chain => chain.groups.flat())
+    .filter(ref => !ref.implicit)
+    .sort((a, b) => a.start - b.start)
+    .forEach(ref => {
+      if (!seen.has(ref.id)) firstRefs.add(ref);
+      seen.add(ref.id);
+    });
+  chains.filter(chain => !isAffected(chain)).forEach(chain => chain.groups.flat().forEach(mention));
+
+  const cuts = chains.filter(isAffected).map(chain => {
+    const groups = chain.groups.map(refs => refs.filter(ref => !dropRef(ref)));
+    const pieces = [];
+    const lines = [];
+    let piece = null;
+
+    groups.forEach((refs, index) => {
+      const link = chain.links[index - 1];
+      const broken = link && (breaks(link) || link.edges.some(dropEdge) || refs.length === 0 || groups[index - 1].length === 0);
+      if (broken) {
+        const pairs = chain.groups[index - 1].flatMap(from => chain.groups[index].map(to => [from, to]));
+        pairs.forEach(([from, to], k) => {
+          const edge = link.edges[k];
+          if (dropRef(from) || dropRef(to) || dropEdge(edge)) return;
+          lines.push({ from, to, link, edge });
+          mention(from);
+          mention(to);
+        });
+      }
+      if (refs.length === 0) {
+        piece = null;
+      } else if (!link || broken || !piece) {
+        piece = { groups: [refs], links: [] };
+        pieces.push(piece);
+      } else {
+        piece.groups.push(refs);
+        piece.links.push(link);
+      }
+    });
+    pieces.filter(p => p.links.length > 0).forEach(p => p.groups.flat().forEach(mention));
+    return { chain, pieces, lines };
+  });
+
+  cuts.forEach(cut => {
+    cut.pieces = cut.pieces.flatMap(piece => {
+      if (piece.links.length > 0) return [piece];
+      const refs = piece.groups[0].filter(ref => !ref.lead && (ref.keep || firstRefs.has(ref) || !mentions.has(ref.id)));
+      refs.forEach(mention);
+      return refs.length > 0 ? [{ groups: [refs], links: [] }] : [];
+    });
+  });
+
+  return { cuts, mentions };
+}
+
+// Apply replacements that don't overlap, all against the original offsets
+export function replaceRanges(text, replacements) {
+  return [...replacements]
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce((result, { start, end, text: insert }) => result.slice(0, start) + insert + result.slice(end), text);
+}
+
+/**
+ * A replacement removing text[start, end). When nothing else is on its
+ * line(s) the lines go too; otherwise a ";" right after it and the spaces
+ * around that are taken along.
+ */
+export function removalOf(text, start, end) {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const newline = text.indexOf('\n', end);
+  const lineEnd = newline === -1 ? text.length : newline;
+  const trailing = text.slice(end, lineEnd).match(/^\s*;?\s*/)[0].length;
+
+  if (text.slice(lineStart, start).trim() || text.slice(end + trailing, lineEnd).trim()) {
+    return { start, end: end + trailing, text: '' };
+  }
+  // The last line has no newline of its own, so take the one before it
+  if (newline === -1) return { start: Math.max(0, lineStart - 1), end: lineEnd, text: '' };
+  return { start: lineStart, end: newline + 1, text: '' };
+}
+
+// The spaces and tabs a line starts with, for the line holding `offset`
+export function indentAt(text, offset) {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * A replacement adding `line` after the last line of `text` that doesn't
+ * match `trailing`, so it goes in before closing lines such as pins and the
+ * seed.
+ */
+export function lineInsertion(text, line, trailing) {
+  const lines = text.split('\n');
+  let index = lines.length;
+  while (index > 0 && trailing.test(lines[index - 1])) index--;
+  if (index === lines.length) return { start: text.length, end: text.length, text: `\n${line}` };
+  const offset = lines.slice(0, index).reduce((sum, l) => sum + l.length + 1, 0);
+  return { start: offset, end: offset, text: `${line}\n` };
+}
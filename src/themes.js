@@ -0,0 +1,96 @@
+/**
+ * Visual themes for the canvas and the image exports.
+ *
+ * A theme sets the palette, the RoughJS fill style ('solid', 'hachure',
+ * 'zigzag' or 'cross-hatch'), how rough the strokes are and the font.
+ * `roughness` and `bowing` are the values used for node outlines; edges,
+ * arrowheads and lane borders are drawn proportionally smoother. A roughness
+ * of 0 gives straight, clean lines.
+ */
+
+const HAND_FONT = 'Comic Sans MS, cursive, sans-serif';
+const PENCIL_FONT = "'Segoe Print', 'Bradley Hand', 'Comic Sans MS', cursive";
+const CLEAN_FONT = "'Helvetica Neue', Arial, sans-serif";
+const BLUEPRINT_FONT = "'Courier New', monospace";
+
+export const THEMES = {
+  sketch: {
+    label: 'Sketch',
+    background: '#fefefe',
+    font: HAND_FONT,
+    fillStyle: 'solid',
+    roughness: 1.5,
+    bowing: 2,
+    node: { fill: 'rgba(173, 216, 230, 0.5)', stroke: '#333', text: '#333' },
+    edge: { stroke: '#666', thick: '#444', text: '#444' },
+    group: { laneFill: 'rgba(255, 236, 179, 0.3)', groupFill: 'rgba(200, 230, 201, 0.25)', stroke: '#999', text: '#555' },
+    title: { fill: '#fff8d6', stroke: '#e2c94a', text: '#333' },
+  },
+  pencil: {
+    label: 'Pencil',
+    background: '#fbfaf5',
+    font: PENCIL_FONT,
+    fillStyle: 'hachure',
+    roughness: 1.8,
+    bowing: 1.5,
+    node: { fill: '#8a8a8a', stroke: '#3a3a3a', text: '#2a2a2a' },
+    edge: { stroke: '#555', thick: '#333', text: '#444' },
+    group: { laneFill: 'rgba(0, 0, 0, 0.04)', groupFill: 'rgba(0, 0, 0, 0.07)', stroke: '#888', text: '#444' },
+    title: { fill: '#f1efe6', stroke: '#999', text: '#2a2a2a' },
+  },
+  marker: {
+    label: 'Marker',
+    background: '#ffffff',
+    font: HAND_FONT,
+    fillStyle: 'zigzag',
+    roughness: 1.2,
+    bowing: 1,
+    node: { fill: '#f7b267', stroke: '#2b2d42', text: '#2b2d42' },
+    edge: { stroke: '#2b2d42', thick: '#2b2d42', text: '#2b2d42' },
+    group: { laneFill: 'rgba(141, 153, 174, 0.15)', groupFill: 'rgba(239, 35, 60, 0.08)', stroke: '#8d99ae', text: '#2b2d42' },
+    title: { fill: '#edf2f4', stroke: '#ef233c', text: '#2b2d42' },
+  },
+  blueprint: {
+    label: 'Blueprint',
+    background: '#1d4e89',
+    font: BLUEPRINT_FONT,
+    fillStyle: 'cross-hatch',
+    roughness: 0.8,
+    bowing: 0.5,
+    node: { fill: 'rgba(255, 255, 255, 0.35)', stroke: '#e8f1fb', text: '#ffffff' },
+    edge: { stroke: '#cfe2f7', thick: '#ffffff', text: '#e8f1fb' },
+    group: { laneFill: 'rgba(255, 255, 255, 0.06)', groupFill: 'rgba(255, 255, 255, 0.1)', stroke: '#9cc1ea', text: '#e8f1fb' },
+    title: { fill: '#24599a', stroke: '#e8f1fb', text: '#ffffff' },
+  },
+  clean: {
+    label: 'Clean',
+    background: '#ffffff',
+    font: CLEAN_FONT,
+    fillStyle: 'solid',
+    roughness: 0,
+    bowing: 0,
+    node: { fill: '#eef3fb', stroke: '#4a6fa5', text: '#1f2d3d' },
+    edge: { stroke: '#6b7a8f', thick: '#3d4b5c', text: '#3d4b5c' },
+    group: { laneFill: '#f7f8fa', groupFill: '#eef6f0', stroke: '#c3cad4', text: '#3d4b5c' },
+    title: { fill: '#f2f4f7', stroke: '#c3cad4', text: '#1f2d3d' },
+  },
+  dark: {
+    label: 'Dark',
+    background: '#1e1f24',
+    font: HAND_FONT,
+    fillStyle: 'solid',
+    roughness: 1.5,
+    bowing: 2,
+    node: { fill: 'rgba(102, 126, 234, 0.35)', stroke: '#d8dbe5', text: '#f0f1f5' },
+    edge: { stroke: '#a0a6b8', thick: '#d8dbe5', text: '#c9cdd8' },
+    group: { laneFill: 'rgba(255, 255, 255, 0.04)', groupFill: 'rgba(120, 200, 140, 0.08)', stroke: '#5a5f6e', text: '#c9cdd8' },
+    title: { fill: '#2c2e36', stroke: '#8a7a3a', text: '#f0f1f5' },
+  },
+};
+
+export const DEFAULT_THEME_ID = 'sketch';
+
+// Look up a theme by id, falling back to the default for unknown ids
+export function getTheme(id) {
+  return THEMES[id] || THEMES[DEFAULT_THEME_ID];
+}
@@ -0,0 +1,55 @@
+/**
+ * The canvas view as a viewBox ({ x, y, width, height } in chart
+ * coordinates): converting pointer positions into it and zooming it. Kept
+ * free of the DOM; `rect` is the svg's client rectangle.
+ */
+
+// Zoom limits, relative to the whole chart fitting the view
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 10;
+
+/**
+ * Convert a client position into chart coordinates for a given viewBox, the
+ * way the svg's "xMidYMid meet" maps it (centred, uniformly scaled). Unlike
+ * getScreenCTM this works for a viewBox that hasn't been rendered yet.
+ */
+export function clientToView(viewBox, rect, client) {
+  const unitsPerPixel = Math.max(viewBox.width / rect.width, viewBox.height / rect.height);
+  const offsetX = (rect.width * unitsPerPixel - viewBox.width) / 2;
+  const offsetY = (rect.height * unitsPerPixel - viewBox.height) / 2;
+  return {
+    x: viewBox.x - offsetX + (client.x - rect.left) * unitsPerPixel,
+    y: viewBox.y - offsetY + (client.y - rect.top) * unitsPerPixel,
+  };
+}
+
+/**
+ * Zoom `current` by `factor` (>1 zooms in) around `anchor`, a point in chart
+ * coordinates that stays where it is on screen. The zoom stays within the
+ * limits relative to `fitBox`, the view of the whole chart.
+ */
+export function zoomAround(current, fitBox, factor, anchor) {
+  const zoom = fitBox.width / current.width;
+  const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom * factor));
+  const scaleBy = next / zoom;
+  return {
+    x: anchor.x - (anchor.x - current.x) / scaleBy,
+    y: anchor.y - (anchor.y - current.y) / scaleBy,
+    width: current.width / scaleBy,
+    height: current.height / scaleBy,
+  };
+}
+
+// A view of `box` (chart coordinates), within the zoom limits relative to `fitBox`
+export function zoomToBox(current, box, fitBox) {
+  const scale = Math.max(box.width / current.width, box.height / current.height);
+  const minWidth = fitBox.width / MAX_ZOOM;
+  const width = Math.max(minWidth, current.width * scale);
+  const height = current.height * (width / current.width);
+  return {
+    x: box.x + box.width / 2 - width / 2,
+    y: box.y + box.height / 2 - height / 2,
+    width,
+    height,
+  };
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutInBackground } from '../src/backgroundLayout';
+
+// Stands in for the layout worker: records what it was sent, and the tests
+// answer for it through onmessage/onerror
+const workers = [];
+class FakeWorker {
+  constructor() {
+    this.posted = [];
+    workers.push(this);
+  }
+
+  postMessage(input) {
+    this.posted.push(input);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+globalThis.Worker = FakeWorker;
+
+const crash = (worker, message) => worker.onerror({ message, preventDefault() {} });
+
+const SMALL = {
+  nodes: [{ id: 'a', width: 120, height: 48 }, { id: 'b', width: 120, height: 48 }],
+  edges: [{ from: 'a', to: 'b', labelWidth: 0, labelHeight: 0 }],
+  groups: [],
+  layout: { direction: 'TB', nodeSpacing: 50, rankSpacing: 50 },
+};
+
+// user-019: layout in a worker
+
+test('only the newest waiting request is sent once the worker is free', async () => {
+  const first = layoutInBackground('first');
+  const dropped = layoutInBackground('dropped');
+  const newest = layoutInBackground('newest');
+  const [worker] = workers;
+  worker.onmessage({ data: { ready: true } });
+  assert.equal(await dropped, null);
+  worker.onmessage({ data: { result: 'first laid out' } });
+  assert.equal(await first, 'first laid out');
+  worker.onmessage({ data: { error: 'bad input' } });
+  await assert.rejects(newest, { message: 'bad input' });
+  assert.deepEqual(worker.posted, ['first', 'newest']);
+});
+
+test('a worker that crashes fails its layout and a new worker takes the next', async () => {
+  const failed = layoutInBackground('huge');
+  const next = layoutInBackground('next');
+  crash(workers[0], 'out of memory');
+  await assert.rejects(failed, { message: 'out of memory' });
+  assert.ok(workers[0].terminated);
+  assert.deepEqual(workers[1].posted, ['next']);
+  workers[1].onmessage({ data: { result: 'next laid out' } });
+  assert.equal(await next, 'next laid out');
+});
+
+test('a worker that never loads is given up on and the page lays out', async () => {
+  const result = layoutInBackground(SMALL);
+  crash(workers[1], 'failed to load');
+  assert.equal((await result).nodes.size, 2);
+  assert.equal((await layoutInBackground(SMALL)).nodes.size, 2);
+  assert.equal(workers.length, 2);
+});
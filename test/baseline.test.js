@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWorkflow } from '../src/parser';
+
+/**
+ * One-line inputs and the graphs the original single-line parser made of
+ * them. Whatever the syntax has gained since, these must read the same.
+ */
+const BASELINE = [
+  ['Start -> Process -> End', ['Start', 'Process', 'End'], ['0>1', '1>2']],
+  ['Start → Check? → End', ['Start', 'Check?', 'End'], ['0>1', '1>2']],
+  ['Start -> Valid? yes -> Save; no -> Fix', ['Start', 'Valid?', 'Save', 'Fix'], ['0>1', '1>2 yes', '1>3 no']],
+  ['Login -> Valid? [approved] -> Home; [rejected] -> Retry',
+    ['Login', 'Valid?', 'Home', 'Retry'], ['0>1', '1>2 approved', '1>3 rejected']],
+  ['Order -> In stock? -> [yes] Ship -> Done; [no] Backorder -> Done',
+    ['Order', 'In stock?', 'Ship', 'Done', 'Backorder'], ['0>1', '1>2 yes', '2>3', '1>4 no', '4>3']],
+  ['A -> B -> A', ['A', 'B'], ['0>1', '1>0']],
+  ['Draft -> Review? ok -> Publish; cancel -> Draft', ['Draft', 'Review?', 'Publish'], ['0>1', '1>2 ok', '1>0 cancel']],
+  ['Check? true -> A; false -> B', ['Check?', 'A', 'B'], ['0>1 true', '0>2 false']],
+  ['Start -> yes', ['Start'], []],
+  ['yes -> Start', ['yes', 'Start'], ['0>1']],
+  ['Build -> Test -> Ship it', ['Build', 'Test', 'Ship it'], ['0>1', '1>2']],
+  ['Step 1 -> Step 2; Step 3 -> Step 4', ['Step 1', 'Step 2', 'Step 3', 'Step 4'], ['0>1', '2>3']],
+  ['A -> B;; C', ['A', 'B', 'C'], ['0>1']],
+  ['x = 1 -> y', ['x = 1', 'y'], ['0>1']],
+  ['Time: 10:30 -> Done', ['Time: 10:30', 'Done'], ['0>1']],
+  ['Step 1: Call -> Done', ['Step 1: Call', 'Done'], ['0>1']],
+  ['A -- B -> C', ['A -- B', 'C'], ['0>1']],
+  ['a..>b', ['a..>b'], []],
+  ['Submit [form] -> Review', ['Submit [form]', 'Review'], ['0>1']],
+  ['Check? [approved] -> Done', ['Check?', 'Done'], ['0>1 approved']],
+  ['Ask @direction team -> Done', ['Ask @direction team', 'Done'], ['0>1']],
+];
+
+// The graph in the same shorthand: labels ("?" for decisions), and
+// "from>to label" edges by node index
+function shorthand(graph) {
+  const index = new Map(graph.nodes.map((node, i) => [node.id, i]));
+  return [
+    graph.nodes.map(node => (node.type === 'decision' ? `${node.label}?` : node.label)),
+    graph.edges.map(edge => `${index.get(edge.from)}>${index.get(edge.to)}${edge.label ? ` ${edge.label}` : ''}`),
+  ];
+}
+
+BASELINE.forEach(([text, nodes, edges]) => {
+  test(`baseline: ${text}`, () => {
+    assert.deepEqual(shorthand(parseWorkflow(text)), [nodes, edges]);
+  });
+});
@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isDot, parseDot, toDot, editDot } from '../src/dot';
+import { parseMermaid, toMermaid } from '../src/mermaid';
+import { parseWorkflow } from '../src/parser';
+import { sameGraph, applyGraphEdit } from '../src/graphEdits';
+
+function links(graph) {
+  const label = (id) => graph.nodes.find(node => node.id === id).label;
+  return graph.edges.map(edge => `${label(edge.from)} -> ${edge.label ? `[${edge.label}] ` : ''}${label(edge.to)}`);
+}
+
+function assertRoundTrip(graph, options = {}) {
+  const written = toDot(graph, options);
+  const expected = { ...graph, pins: options.pins || graph.pins };
+  assert.ok(sameGraph(parseDot(written), expected), `round trip changed the graph:\n${written}`);
+}
+
+// user-007: Graphviz DOT import and export
+
+test('a graph header with a brace marks DOT text', () => {
+  assert.ok(isDot('// flow\ndigraph G {\n  a -> b\n}'));
+  assert.ok(isDot('strict graph {}'));
+  assert.ok(!isDot('graph LR\n  A --> B'));
+});
+
+test('shapes, labels and defaults map onto nodes', () => {
+  const graph = parseDot([
+    'digraph {',
+    '  node [shape=box];',
+    '  start [shape=ellipse, label="Start"];',
+    '  check [shape=diamond label=Ok];',
+    '  db [shape=cylinder]; doc [shape=note]; io [shape=parallelogram]; sub [shape=component];',
+    '  plain;',
+    '}',
+  ].join('\n'));
+  assert.deepEqual(graph.nodes.map(node => `${node.id}=${node.label}:${node.type}`), [
+    'start=Start:terminator', 'check=Ok:decision', 'db=db:database', 'doc=doc:document',
+    'io=io:io', 'sub=sub:subprocess', 'plain=plain:process',
+  ]);
+});
+
+test('chains, endpoint lists and edge attributes make edges', () => {
+  const graph = parseDot([
+    'digraph {',
+    '  a -> b -> c [label="next"];',
+    '  a -> { c d } [style=dashed];',
+    '  d -> a [style=dotted, dir=both];',
+    '  c -> d [penwidth=3, arrowhead=none];',
+    '}',
+  ].join('\n'));
+  assert.deepEqual(links(graph), ['a -> [next] b', 'b -> [next] c', 'a -> c', 'a -> d', 'd -> a', 'c -> d']);
+  assert.deepEqual(graph.edges.map(edge => [edge.style, edge.arrow]), [
+    [undefined, undefined], [undefined, undefined], ['dashed', undefined], ['dashed', undefined],
+    ['dotted', 'both'], ['thick', 'none'],
+  ]);
+});
+
+test('undirected graphs have no arrowheads', () => {
+  const graph = parseDot('graph { a -- b; b -- c [dir=forward] }');
+  assert.deepEqual(graph.edges.map(edge => edge.arrow), ['none', undefined]);
+});
+
+test('clusters become groups and take in nodes defined before them', () => {
+  const graph = parseDot([
+    'digraph {',
+    '  a -> b;',
+    '  subgraph cluster_team { label="Team"; b; c;',
+    '    subgraph cluster_inner { d }',
+    '  }',
+    '  subgraph other { e }',
+    '}',
+  ].join('\n'));
+  assert.deepEqual(graph.groups, [
+    { id: 'cluster_team', label: 'Team' },
+    { id: 'cluster_inner', label: 'cluster_inner', parent: 'cluster_team' },
+  ]);
+  assert.deepEqual(graph.nodes.map(node => `${node.id}:${node.group ?? ''}`), [
+    'a:', 'b:cluster_team', 'c:cluster_team', 'd:cluster_inner', 'e:',
+  ]);
+});
+
+test('layout attributes, pins and the seed are read', () => {
+  const graph = parseDot('digraph {\n  rankdir=LR; nodesep=0.5; ranksep=1; splines=ortho;\n  a -> b\n  // @pin 5 6 a\n  // @seed 3\n}');
+  assert.deepEqual(graph.layout, { direction: 'LR', nodeSpacing: 36, rankSpacing: 72, routing: 'orthogonal' });
+  assert.deepEqual(graph.pins, { a: { x: 5, y: 6 } });
+  assert.equal(graph.seed, 3);
+});
+
+test('syntax errors are reported with their position', () => {
+  const graph = parseDot('digraph {\n  a -> ;\n}');
+  assert.equal(graph.diagnostics.length, 1);
+  assert.equal(graph.diagnostics[0].severity, 'error');
+  assert.equal(graph.diagnostics[0].line, 2);
+});
+
+test('\\n, \\l and \\r in labels are line breaks', () => {
+  const graph = parseDot([
+    'digraph {',
+    '  a [label="Line one\\nLine two\\l"];',
+    '  b [label="C:\\\\temp\\\\"];',
+    '  a -> b [label="left\\lright\\r"];',
+    '  subgraph cluster_0 { label="Team\\nA"; b }',
+    '}',
+  ].join('\n'));
+  assert.deepEqual(graph.nodes.map(node => node.label), ['Line one\nLine two', 'C:\\temp\\']);
+  assert.equal(graph.edges[0].label, 'left\nright');
+  assert.equal(graph.groups[0].label, 'Team\nA');
+});
+
+test('line breaks are escaped again on export', () => {
+  const graph = {
+    nodes: [{ id: 'a', label: 'Line one\nLine two', type: 'process' }, { id: 'b', label: 'C:\\temp\\', type: 'process' }],
+    edges: [{ from: 'a', to: 'b', label: 'x\ny' }],
+  };
+  const written = toDot(graph);
+  assert.match(written, /"a" \[label="Line one\\nLine two", shape=box\];/);
+  assert.match(written, /"b" \[label="C:\\\\temp\\\\", shape=box\];/);
+  assertRoundTrip(graph);
+  const mermaid = toMermaid(graph);
+  assert.match(mermaid, /a\["Line one<br>Line two"\]/);
+  assert.ok(sameGraph(parseMermaid(mermaid), graph));
+});
+
+test('DOT documents round-trip through toDot', () => {
+  assertRoundTrip(parseDot([
+    'digraph {',
+    '  start [shape=ellipse label="Start"]; check [shape=diamond label="Ok?"];',
+    '  start -> check -> { save [shape=cylinder] log [shape=note] } [label="yes"];',
+    '  subgraph cluster_ops { label="Ops"; save -> out [style=dashed dir=both] }',
+    '  out -> start [style=bold arrowhead=none];',
+    '}',
+  ].join('\n')));
+});
+
+test('NapkinFlow graphs round-trip through toDot', () => {
+  const graph = parseWorkflow('@lane Sales\n((Start)) -> Check "a\\\\b"? yes -> [(Store)]\n@end\nfrom Check "a\\\\b": no ..> [~Report~] <-> Start');
+  assertRoundTrip(graph, {
+    layout: { direction: 'BT', nodeSpacing: 36, rankSpacing: 72, routing: 'curved' },
+    pins: { node_0: { x: 1, y: 2 } },
+    seed: 4,
+  });
+});
+
+// user-013: canvas edits made to the text in place
+
+const EDITED = 'digraph {\n  // intake\n  a [label="Start"];\n  a -> b -> c [label="ok"];\n  b -> d;\n}\n';
+
+function assertEdit(edit, expected) {
+  const edited = editDot(EDITED, edit);
+  assert.equal(edited, expected);
+  assert.ok(sameGraph(parseDot(edited), applyGraphEdit(parseDot(EDITED), edit)), `${edit.type} gave:\n${edited}`);
+}
+
+test('edits change the statements they affect and keep comments', () => {
+  assertEdit({ type: 'updateNode', id: 'c', changes: { label: 'Store', type: 'database' } },
+    'digraph {\n  // intake\n  a [label="Start"];\n  a -> b -> c [label="ok"];\n  b -> d;\n  c [label="Store", shape=cylinder];\n}\n');
+  assertEdit({ type: 'updateEdge', index: 1, changes: { label: 'sure', style: 'dashed' } },
+    'digraph {\n  // intake\n  a [label="Start"];\n  a -> b [label="ok"];\n  c;\n  b -> d;\n  b -> c [label="sure", style=dashed];\n}\n');
+  assertEdit({ type: 'addEdge', from: 'd', to: 'a' },
+    'digraph {\n  // intake\n  a [label="Start"];\n  a -> b -> c [label="ok"];\n  b -> d;\n  d -> a;\n}\n');
+});
+
+test('deletes split edge chains and keep the nodes left over', () => {
+  assertEdit({ type: 'deleteEdge', index: 1 },
+    'digraph {\n  // intake\n  a [label="Start"];\n  a -> b [label="ok"];\n  c;\n  b -> d;\n}\n');
+  assertEdit({ type: 'deleteNode', id: 'b' },
+    'digraph {\n  // intake\n  a [label="Start"];\n  c;\n  d;\n}\n');
+});
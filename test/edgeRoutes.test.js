@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sideRoute, orthogonalRoute, straightRoute } from '../src/edgeRoutes';
+
+// user-017: edge routing
+
+const box = (x, y, width = 100, height = 50) => ({ x, y, width, height });
+
+test('a straight route runs from border to border', () => {
+  assert.deepEqual(straightRoute(box(0, 0), box(200, 0)), [{ x: 50, y: 0 }, { x: 150, y: 0 }]);
+  assert.deepEqual(straightRoute(box(0, 0), box(0, 100)), [{ x: 0, y: 25 }, { x: 0, y: 75 }]);
+});
+
+test('an orthogonal route bends at right angles through dagre\'s points', () => {
+  const route = orthogonalRoute([{ x: 0, y: 25 }, { x: 50, y: 100 }, { x: 100, y: 175 }], box(0, 0), box(100, 200), true);
+  assert.deepEqual(route, [
+    { x: 0, y: 25 }, { x: 0, y: 62.5 }, { x: 50, y: 62.5 }, { x: 50, y: 137.5 }, { x: 100, y: 137.5 }, { x: 100, y: 175 },
+  ]);
+  route.slice(1).forEach((point, i) => assert.ok(point.x === route[i].x || point.y === route[i].y));
+});
+
+test('a loop-back runs outside every node it passes, one lane per loop', () => {
+  const from = box(0, 300);
+  const to = box(0, 0);
+  const obstacles = [from, to, box(50, 150, 200), box(500, 600)];
+  const first = sideRoute(from, to, obstacles, 0, true);
+  assert.deepEqual(first.points, [{ x: 50, y: 300 }, { x: 178, y: 300 }, { x: 178, y: 0 }, { x: 50, y: 0 }]);
+  assert.deepEqual(first.labelAt, { x: 178, y: 150 });
+  assert.equal(sideRoute(from, to, obstacles, 1, true).points[1].x, 206);
+  // Left-right layouts loop round the bottom
+  assert.deepEqual(sideRoute(box(300, 0), box(0, 0), [], 0, false).points[0], { x: 300, y: 25 });
+});
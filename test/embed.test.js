@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from 'node:zlib';
+import { createEmbed, readEmbed, addPngEmbed, readPngEmbed } from '../src/embed';
+
+// user-021: the chart's source inside exported images
+
+// A 1×1 PNG
+const PNG = Uint8Array.from(Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64',
+));
+
+const EMBED = createEmbed({
+  source: 'Start -> Check? yes -> Done → ✓\n@seed 7',
+  layout: { direction: 'LR', nodeSpacing: 40, rankSpacing: 80, routing: 'curved' },
+  theme: 'dark',
+  title: 'Intake',
+});
+
+test('an embed reads back with only the settings this version knows', () => {
+  assert.deepEqual(readEmbed(JSON.stringify(EMBED)), {
+    source: EMBED.source, layout: EMBED.layout, theme: 'dark', title: 'Intake',
+  });
+  const odd = { ...EMBED, layout: { direction: 'up', nodeSpacing: 5 }, theme: 'toString', title: 3 };
+  assert.deepEqual(readEmbed(JSON.stringify(odd)), { source: EMBED.source, layout: { nodeSpacing: 10 }, theme: null, title: '' });
+});
+
+test('text that is not an embed reads as null', () => {
+  assert.equal(readEmbed('{"app":"other","source":"A -> B"}'), null);
+  assert.equal(readEmbed('{"app":"napkinflow"}'), null);
+  assert.equal(readEmbed('not json'), null);
+});
+
+test('PNG files carry the embed in an iTXt chunk before IEND', () => {
+  const bytes = addPngEmbed(PNG, EMBED);
+  assert.deepEqual(readPngEmbed(bytes), readEmbed(JSON.stringify(EMBED)));
+  assert.deepEqual(bytes.subarray(bytes.length - 12), PNG.subarray(PNG.length - 12));
+
+  // The new chunk's CRC covers its type and data
+  const start = PNG.length - 12;
+  const view = new DataView(bytes.buffer);
+  const length = view.getUint32(start);
+  assert.equal(Buffer.from(bytes.subarray(start + 4, start + 8)).toString('latin1'), 'iTXt');
+  assert.equal(view.getUint32(start + 8 + length), crc32(bytes.subarray(start + 4, start + 8 + length)));
+});
+
+test('PNG files without an embed, and other files, read as null', () => {
+  assert.equal(readPngEmbed(PNG), null);
+  assert.equal(readPngEmbed(new TextEncoder().encode('<svg/>')), null);
+  assert.throws(() => addPngEmbed(new TextEncoder().encode('<svg/>'), EMBED), /Not a PNG file/);
+});
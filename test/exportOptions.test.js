@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportBackground, defaultExportName, exportFileName, DEFAULT_EXPORT_OPTIONS } from '../src/exportOptions';
+import { THEMES } from '../src/themes';
+
+// user-023: export options
+
+test('the background is the theme\'s, a custom colour or none', () => {
+  assert.equal(exportBackground(DEFAULT_EXPORT_OPTIONS, THEMES.dark), THEMES.dark.background);
+  assert.equal(exportBackground({ background: 'custom', color: '#123456' }, THEMES.dark), '#123456');
+  assert.equal(exportBackground({ background: 'transparent' }, THEMES.dark), null);
+});
+
+test('file names are suggested from the title', () => {
+  assert.equal(defaultExportName('Plan a product launch!'), 'plan-a-product-launch');
+  assert.equal(defaultExportName('Café — Öffnungszeiten'), 'café-öffnungszeiten');
+  assert.ok(defaultExportName('word '.repeat(20)).length <= 60);
+  assert.equal(defaultExportName('???'), 'flowchart');
+  assert.equal(defaultExportName(undefined), 'flowchart');
+});
+
+test('typed names get the format\'s extension once and lose path characters', () => {
+  assert.equal(exportFileName(' Q3 plan ', 'svg'), 'Q3 plan.svg');
+  assert.equal(exportFileName('chart.PNG', 'png'), 'chart.png');
+  assert.equal(exportFileName('a/b:c', 'pdf'), 'a-b-c.pdf');
+  assert.equal(exportFileName('  ', 'pdf'), 'flowchart.pdf');
+});
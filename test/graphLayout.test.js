@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutGraph } from '../src/graphLayout';
+
+const LAYOUT = { direction: 'TB', nodeSpacing: 50, rankSpacing: 50 };
+
+// A flow of `count` nodes one after another, every other edge labelled
+function chain(count, group) {
+  const nodes = Array.from({ length: count }, (_, i) => ({ id: `n${i}`, group: group?.(i), width: 120, height: 48 }));
+  const edges = nodes.slice(1).map((node, i) => ({
+    from: `n${i}`,
+    to: node.id,
+    labelWidth: i % 2 ? 40 : 0,
+    labelHeight: i % 2 ? 24 : 0,
+  }));
+  return { nodes, edges, groups: [] };
+}
+
+// user-017: loop-backs and edge labels
+
+test('edge labels get room of their own between the nodes they join', () => {
+  const nodes = ['a', 'b', 'c'].map(id => ({ id, width: 120, height: 48 }));
+  const edges = [
+    { from: 'a', to: 'b', labelWidth: 60, labelHeight: 24 },
+    { from: 'b', to: 'c', labelWidth: 0, labelHeight: 0 },
+  ];
+  const result = layoutGraph({ nodes, edges, groups: [], layout: LAYOUT });
+  const [a, b, c] = nodes.map(node => result.nodes.get(node.id));
+  assert.ok(b.y - a.y > c.y - b.y);
+  assert.ok(result.edges[0].y > a.y + a.height / 2 && result.edges[0].y < b.y - b.height / 2);
+});
+
+test('self-loops stay in the layout beside their node', () => {
+  const nodes = ['a', 'b'].map(id => ({ id, width: 120, height: 48 }));
+  const edges = [{ from: 'a', to: 'b', labelWidth: 0, labelHeight: 0 }, { from: 'b', to: 'b', labelWidth: 0, labelHeight: 0 }];
+  const result = layoutGraph({ nodes, edges, groups: [], layout: LAYOUT });
+  assert.deepEqual(result.backEdges, []);
+  assert.ok(result.edges[1].points.every(point => point.x >= result.nodes.get('b').x));
+});
+
+// user-019: large charts
+
+test('loops back up the flow are left to be routed around the side', () => {
+  const result = layoutGraph({ ...chain(3), edges: [...chain(3).edges, { from: 'n2', to: 'n0' }], layout: LAYOUT });
+  assert.deepEqual(result.backEdges, [2]);
+  assert.equal(result.edges[2], null);
+  assert.ok(result.nodes.get('n0').y < result.nodes.get('n1').y);
+});
+
+test('a flow thousands of nodes long is laid out without running out of stack', () => {
+  const result = layoutGraph({ ...chain(2200), layout: LAYOUT });
+  assert.equal(result.nodes.size, 2200);
+  for (let i = 1; i < 2200; i++) {
+    const above = result.nodes.get(`n${i - 1}`);
+    const below = result.nodes.get(`n${i}`);
+    assert.ok(below.y - below.height / 2 > above.y + above.height / 2, `n${i} overlaps the node before it`);
+  }
+  const labelled = result.edges[1];
+  assert.equal(labelled.points.length, 3);
+  assert.ok(labelled.y > result.nodes.get('n1').y && labelled.y < result.nodes.get('n2').y);
+});
+
+test('long flows follow the layout direction', () => {
+  const result = layoutGraph({ ...chain(1500), layout: { ...LAYOUT, direction: 'RL' } });
+  const [first, second] = [result.nodes.get('n0'), result.nodes.get('n1')];
+  assert.ok(second.x < first.x);
+  assert.equal(second.y, first.y);
+});
+
+test('groups in a long flow surround their nodes', () => {
+  const graph = chain(1500, i => (i < 10 ? 'inner' : i < 20 ? 'outer' : undefined));
+  const result = layoutGraph({ ...graph, groups: [{ id: 'inner', parent: 'outer' }, { id: 'outer' }], layout: LAYOUT });
+  const inside = (box, node) => Math.abs(node.x - box.x) + node.width / 2 <= box.width / 2
+    && Math.abs(node.y - box.y) + node.height / 2 <= box.height / 2;
+  const [inner, outer] = ['inner', 'outer'].map(id => result.clusters.get(id));
+  assert.ok(inside(inner, result.nodes.get('n9')) && !inside(inner, result.nodes.get('n10')));
+  assert.ok(inside(outer, result.nodes.get('n0')) && inside(outer, result.nodes.get('n19')));
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDirection, normalizeRouting, clampSpacing, readLayout } from '../src/layout';
+
+// user-011: layout direction and spacing
+
+test('directions and routings accept other tools\' spellings', () => {
+  assert.deepEqual(['td', 'LR', 'rl', 'Bt', 'up'].map(normalizeDirection), ['TB', 'LR', 'RL', 'BT', null]);
+  assert.deepEqual(['Curved', 'ortho', 'polyline', 'basis', 'wavy'].map(normalizeRouting), ['curved', 'orthogonal', 'straight', 'curved', null]);
+});
+
+test('spacing is rounded into range', () => {
+  assert.deepEqual([0, 42.6, '80', 1000, 'wide'].map(clampSpacing), [10, 43, 80, 400, null]);
+});
+
+test('saved layouts keep only the valid fields', () => {
+  assert.deepEqual(
+    readLayout({ direction: 'lr', routing: 'zigzag', nodeSpacing: 5, rankSpacing: '90' }),
+    { direction: 'LR', nodeSpacing: 10 },
+  );
+  assert.deepEqual(readLayout(null), {});
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newDocument, libraryFile, readLibraryFile, listDocuments, UNTITLED } from '../src/library';
+
+// user-024: the local document library
+
+test('new documents get an id and times, whatever the fields say', () => {
+  const doc = newDocument({ name: 'Intake', text: 'A -> B', id: 'taken', created: 1 });
+  assert.equal(doc.name, 'Intake');
+  assert.equal(doc.text, 'A -> B');
+  assert.notEqual(doc.id, 'taken');
+  assert.equal(doc.created, doc.updated);
+  assert.notEqual(newDocument().id, newDocument().id);
+});
+
+test('documents round-trip through a library file', () => {
+  const docs = [
+    newDocument({ name: 'Intake', text: 'A -> B', source: 'A -> B', layout: { direction: 'LR' }, theme: 'clean', title: 'Flow' }),
+    newDocument({ text: 'flowchart TD\n  A --> B' }),
+  ];
+  assert.deepEqual(readLibraryFile(libraryFile(docs)), docs);
+});
+
+test('a library file keeps only documents and fields this version reads', () => {
+  const text = JSON.stringify({
+    app: 'napkinflow',
+    library: 1,
+    documents: [
+      { id: 'a', text: 'A -> B', name: ' ', layout: { direction: 'sideways' }, theme: 'neon', created: 5, updated: 'soon' },
+      { id: 'b' },
+      { text: 'no id' },
+    ],
+  });
+  const [doc, ...rest] = readLibraryFile(text);
+  assert.deepEqual(rest, []);
+  assert.deepEqual({ ...doc, updated: 0 }, {
+    id: 'a', name: UNTITLED, text: 'A -> B', source: null, layout: {}, theme: null, title: '', created: 5, updated: 0,
+  });
+  assert.ok(Number.isFinite(doc.updated));
+});
+
+test('other files are not read as a library', () => {
+  assert.throws(() => readLibraryFile('{"app":"napkinflow","documents":{}}'), /not a NapkinFlow library file/);
+  assert.throws(() => readLibraryFile('A -> B'), /not a NapkinFlow library file/);
+});
+
+test('without IndexedDB the library says so', async () => {
+  await assert.rejects(listDocuments(), /This browser has no IndexedDB/);
+});
@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isMermaid, parseMermaid, toMermaid, editMermaid } from '../src/mermaid';
+import { parseWorkflow } from '../src/parser';
+import { sameGraph, applyGraphEdit } from '../src/graphEdits';
+
+function links(graph) {
+  const label = (id) => graph.nodes.find(node => node.id === id).label;
+  return graph.edges.map(edge => `${label(edge.from)} -> ${edge.label ? `[${edge.label}] ` : ''}${label(edge.to)}`);
+}
+
+function assertRoundTrip(graph, options = {}) {
+  const written = toMermaid(graph, options);
+  const expected = { ...graph, pins: options.pins || graph.pins };
+  assert.ok(sameGraph(parseMermaid(written), expected), `round trip changed the graph:\n${written}`);
+}
+
+// user-006: Mermaid import and export
+
+test('a flowchart or graph header marks Mermaid text', () => {
+  assert.ok(isMermaid('%% comment\nflowchart LR\n  A --> B'));
+  assert.ok(isMermaid('```mermaid\ngraph TD\nA-->B\n```'));
+  assert.ok(!isMermaid('Start -> flowchart LR'));
+});
+
+test('node shapes map onto node types', () => {
+  const graph = parseMermaid([
+    'flowchart TD',
+    '  a([Start]) --> b[/Read/] --> c[[Check]] --> d[(Orders)] --> e{Ok?}',
+    '  e --> f>Note] --> g@{ shape: doc, label: "Report" } --> h(Done)',
+  ].join('\n'));
+  assert.deepEqual(graph.nodes.map(node => `${node.id}=${node.label}:${node.type}`), [
+    'a=Start:terminator', 'b=Read:io', 'c=Check:subprocess', 'd=Orders:database',
+    'e=Ok?:decision', 'f=Note:document', 'g=Report:document', 'h=Done:process',
+  ]);
+});
+
+test('links carry their labels and styles', () => {
+  const graph = parseMermaid('flowchart LR\n  A -->|yes| B -- "no way" --> C\n  A -.- C\n  B ==> C\n  C <--> A');
+  assert.deepEqual(links(graph), ['A -> [yes] B', 'B -> [no way] C', 'A -> C', 'B -> C', 'C -> A']);
+  assert.deepEqual(graph.edges.map(edge => [edge.style, edge.arrow]), [
+    [undefined, undefined], [undefined, undefined], ['dotted', 'none'], ['thick', undefined], [undefined, 'both'],
+  ]);
+  assert.equal(graph.layout.direction, 'LR');
+});
+
+test('"&" lists link every node on each side', () => {
+  const graph = parseMermaid('graph TD\n  A & B --> C & D');
+  assert.deepEqual(links(graph), ['A -> C', 'A -> D', 'B -> C', 'B -> D']);
+});
+
+test('subgraphs become groups, nested ones with a parent', () => {
+  const graph = parseMermaid([
+    'flowchart TD',
+    '  subgraph sales[Sales team]',
+    '    A --> B',
+    '    subgraph "Follow up"',
+    '      C',
+    '    end',
+    '  end',
+    '  B --> C --> D',
+  ].join('\n'));
+  assert.deepEqual(graph.groups, [
+    { id: 'sales', label: 'Sales team' },
+    { id: 'group_1', label: 'Follow up', parent: 'sales' },
+  ]);
+  assert.deepEqual(graph.nodes.map(node => `${node.id}:${node.group ?? ''}`), ['A:sales', 'B:sales', 'C:group_1', 'D:']);
+});
+
+test('a node listed in a subgraph after its definition moves into it', () => {
+  const graph = parseMermaid('flowchart TD\n  A[Start] --> B[Review]\n  subgraph Ops\n    B\n  end');
+  assert.deepEqual(graph.nodes.map(node => `${node.id}:${node.group ?? ''}`), ['A:', 'B:Ops']);
+});
+
+test('init spacing and curve, pins and the seed are read', () => {
+  const graph = parseMermaid([
+    '%%{init: {"flowchart": {"nodeSpacing": 40, "rankSpacing": 90, "curve": "basis"}}}%%',
+    'flowchart RL',
+    '  A --> B',
+    '%% @pin 10 20 A',
+    '%% @seed 7',
+  ].join('\n'));
+  assert.deepEqual(graph.layout, { direction: 'RL', nodeSpacing: 40, rankSpacing: 90, routing: 'curved' });
+  assert.deepEqual(graph.pins, { A: { x: 10, y: 20 } });
+  assert.equal(graph.seed, 7);
+});
+
+test('statements that do not fit are reported', () => {
+  const graph = parseMermaid('flowchart TD\n  A --> \n  end');
+  assert.deepEqual(graph.diagnostics.map(d => [d.line, d.message]), [
+    [2, 'Could not read Mermaid statement "A -->"'],
+    [3, '"end" without a matching subgraph'],
+  ]);
+});
+
+test('Mermaid documents round-trip through toMermaid', () => {
+  assertRoundTrip(parseMermaid([
+    'flowchart LR',
+    '  a([Start]) -->|go| b{Ok?}',
+    '  b -- yes --> c[[Save]] & d[(Log)]',
+    '  b -.->|no| e@{ shape: doc, label: "Report" }',
+    '  subgraph team[Team]',
+    '    c ==> f[/Out/]',
+    '  end',
+    '  f <--> a',
+    '  f --- d',
+  ].join('\n')));
+});
+
+test('NapkinFlow graphs round-trip through toMermaid, awkward ids and labels included', () => {
+  const graph = parseWorkflow([
+    '@lane Sales',
+    'Start -> Check "a|b"? yes -> ((End))',
+    '@lane Ops',
+    'from Check "a|b": no -> [(Store & "log")] -> End',
+  ].join('\n'));
+  assertRoundTrip(graph, {
+    layout: { direction: 'LR', nodeSpacing: 30, rankSpacing: 60, routing: 'orthogonal' },
+    pins: { node_0: { x: 1, y: 2 } },
+    seed: 9,
+  });
+  assertRoundTrip({
+    nodes: [
+      { id: 'a--b', label: 'A', type: 'process' },
+      { id: '-c-', label: 'end', type: 'process' },
+      { id: 'end', label: 'End', type: 'process' },
+    ],
+    edges: [{ from: 'a--b', to: '-c-' }, { from: '-c-', to: 'end' }],
+  });
+});
+
+// user-009: dashed and dotted links
+
+const STYLED = {
+  nodes: ['A', 'B', 'C'].map(id => ({ id, label: id, type: 'process' })),
+  edges: [
+    { from: 'A', to: 'B', style: 'dashed' },
+    { from: 'B', to: 'C', style: 'dotted' },
+    { from: 'A', to: 'C', style: 'dashed', arrow: 'none' },
+  ],
+};
+
+test('dashed links export as dotted ones listed on a linkStyle line', () => {
+  const written = toMermaid(STYLED);
+  assert.match(written, /\n {2}A -\.-> B\n {2}B -\.-> C\n {2}A -\.- C\n {2}linkStyle 0,2 stroke-dasharray: 10 6\n$/);
+  assertRoundTrip(STYLED);
+});
+
+test('a linkStyle dash pattern makes links dashed', () => {
+  const graph = parseMermaid('flowchart LR\n  A --> B --> C -.-> D\n  linkStyle 0,2 stroke:#333,stroke-dasharray: 5 5\n  linkStyle 1 stroke-dasharray: none');
+  assert.deepEqual(graph.edges.map(edge => edge.style), ['dashed', undefined, 'dashed']);
+});
+
+test('edits keep linkStyle lines on the links they styled', () => {
+  const text = toMermaid(STYLED);
+  const edits = [
+    { type: 'deleteEdge', index: 0 },
+    { type: 'deleteNode', id: 'B' },
+    { type: 'updateEdge', index: 1, changes: { style: 'dashed' } },
+    { type: 'updateEdge', index: 0, changes: { style: 'thick' } },
+  ];
+  edits.forEach(edit => {
+    const edited = editMermaid(text, edit);
+    assert.ok(sameGraph(parseMermaid(edited), applyGraphEdit(parseMermaid(text), edit)), `${edit.type} gave:\n${edited}`);
+  });
+  assert.equal(
+    editMermaid('flowchart LR\n  A --> B --> C\n  linkStyle 1 stroke:#f00', { type: 'deleteEdge', index: 0 }),
+    'flowchart LR\n  A\n  B --> C\n  linkStyle 0 stroke:#f00',
+  );
+});
+
+// user-013: canvas edits made to the text in place
+
+test('edits change only the links and nodes they affect', () => {
+  const text = 'flowchart TD\n  %% intake\n  a([Start]) --> b{Check}\n  b -->|yes| c[Save] --> d\n';
+  const cases = [
+    [{ type: 'updateNode', id: 'c', changes: { label: 'Store', type: 'database' } },
+      'flowchart TD\n  %% intake\n  a([Start]) --> b{Check}\n  b -->|yes| c[(Store)] --> d\n'],
+    [{ type: 'deleteEdge', index: 1 }, 'flowchart TD\n  %% intake\n  a([Start]) --> b{Check}\n  c[Save] --> d\n'],
+    [{ type: 'deleteNode', id: 'b' }, 'flowchart TD\n  %% intake\n  a([Start])\n  c[Save] --> d\n'],
+    [{ type: 'addEdge', from: 'd', to: 'a' }, 'flowchart TD\n  %% intake\n  a([Start]) --> b{Check}\n  b -->|yes| c[Save] --> d\n  d --> a\n'],
+  ];
+  cases.forEach(([edit, expected]) => {
+    const edited = editMermaid(text, edit);
+    assert.equal(edited, expected);
+    assert.ok(sameGraph(parseMermaid(edited), applyGraphEdit(parseMermaid(text), edit)), `${edit.type} gave:\n${edited}`);
+  });
+});
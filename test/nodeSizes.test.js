@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureNode, measureEdgeLabel, LINE_HEIGHT, EDGE_LABEL_LINE_HEIGHT } from '../src/nodeSizes';
+
+// Without a DOM the sizes come from a fixed width per character
+
+// user-015: node sizes from measured text
+
+test('a short label gets the smallest box for its shape', () => {
+  assert.deepEqual(measureNode('Go', 'process', 'sans-serif'), { width: 120, height: 48, lines: ['Go'] });
+});
+
+test('long labels wrap at word breaks and the box grows to fit', () => {
+  const size = measureNode('Approve the quarterly budget request now', 'process', 'sans-serif');
+  assert.deepEqual(size.lines, ['Approve the quarterly', 'budget request now']);
+  // 21 characters at 8px plus padding, and two lines plus padding
+  assert.deepEqual([size.width, size.height], [21 * 8 + 32, 2 * LINE_HEIGHT + 24]);
+});
+
+test('a word wider than a line is broken between characters', () => {
+  const word = 'x'.repeat(30);
+  assert.deepEqual(measureNode(word, 'process', 'sans-serif').lines, [word.slice(0, 22), word.slice(22)]);
+});
+
+test('the text block fits inside a diamond', () => {
+  const size = measureNode('Is the order complete and paid?', 'decision', 'sans-serif');
+  const textWidth = Math.max(...size.lines.map(line => line.length * 8)) + 20;
+  const textHeight = size.lines.length * LINE_HEIGHT + 12;
+  assert.ok(textWidth / size.width + textHeight / size.height <= 1);
+});
+
+test('shapes with round ends or outline details are wider or taller', () => {
+  const label = 'Ship the parcel today';
+  const process = measureNode(label, 'process', 'sans-serif');
+  assert.ok(measureNode(label, 'terminator', 'sans-serif').width > process.width);
+  assert.ok(measureNode(label, 'io', 'sans-serif').width > process.width);
+  assert.ok(measureNode(label, 'database', 'sans-serif').height > process.height);
+});
+
+// user-007: line breaks from DOT and Mermaid labels
+
+test('a label keeps its own line breaks', () => {
+  const one = measureNode('Line one', 'process', 'sans-serif');
+  const two = measureNode('Line one\nLine two', 'process', 'sans-serif');
+  assert.deepEqual(two.lines, ['Line one', 'Line two']);
+  assert.equal(two.width, one.width);
+  // Two lines plus a process box's padding above and below
+  assert.equal(two.height, 2 * LINE_HEIGHT + 24);
+});
+
+test('an edge label is as tall as its lines', () => {
+  const one = measureEdgeLabel('yes', 'sans-serif');
+  const two = measureEdgeLabel('yes\nmaybe', 'sans-serif');
+  assert.deepEqual(two.lines, ['yes', 'maybe']);
+  assert.equal(two.height - one.height, EDGE_LABEL_LINE_HEIGHT);
+  assert.ok(two.width > one.width);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeNode, describeEdge, describeFocus, connectionsByNode, flowOrder, outlineText } from '../src/outline';
+import { parseWorkflow } from '../src/parser';
+
+// user-020: screen-reader descriptions and the outline
+
+const GRAPH = parseWorkflow([
+  '@lane Sales',
+  '((Start)) -> Qualify lead?',
+  '  yes -> Book call -> ((Done))',
+  '  no -> Nurture -> Qualify lead',
+  '@end',
+  'Nurture -> Done',
+].join('\n'));
+const NODE_BY_ID = new Map(GRAPH.nodes.map(node => [node.id, node]));
+const [, QUALIFY, , DONE] = GRAPH.nodes;
+
+test('nodes and edges are named with their shape and label', () => {
+  assert.equal(describeNode(QUALIFY), 'Qualify lead (decision)');
+  assert.equal(describeEdge(GRAPH.edges[1], NODE_BY_ID), 'Connection from Qualify lead to Book call, labelled yes');
+  assert.equal(describeEdge({ from: 'gone', to: DONE.id }, NODE_BY_ID), 'Connection from gone to Done');
+});
+
+test('the focused node says where the chosen branch leads and what leads in', () => {
+  const { outgoing, incoming } = connectionsByNode(GRAPH.nodes, GRAPH.edges).get(QUALIFY.id);
+  assert.equal(describeFocus(QUALIFY, outgoing, incoming, 1, NODE_BY_ID),
+    'Qualify lead (decision). Branch 2 of 2: no, to Nurture. 2 connections lead here');
+  assert.equal(describeFocus(DONE, [], [], 0, NODE_BY_ID), 'Done (start / end). End of the flow');
+});
+
+test('reading order starts where nothing leads in, then takes in loops', () => {
+  const graph = parseWorkflow('A -> B -> A\nC -> D');
+  assert.deepEqual(flowOrder(graph.nodes, graph.edges).map(node => node.label), ['C', 'D', 'A', 'B']);
+});
+
+test('the outline numbers steps and says where each leads', () => {
+  assert.equal(outlineText(GRAPH.nodes, GRAPH.edges, GRAPH.groups), [
+    '1. Start (start / end, in Sales)',
+    '   → Qualify lead (step 2)',
+    '2. Qualify lead (decision, in Sales)',
+    '   yes → Book call (step 3)',
+    '   no → Nurture (step 5)',
+    '3. Book call (process, in Sales)',
+    '   → Done (step 4)',
+    '4. Done (start / end, in Sales)',
+    '   End of the flow',
+    '5. Nurture (process, in Sales)',
+    '   → Qualify lead (step 2)',
+    '   → Done (step 4)',
+  ].join('\n'));
+});
@@ -0,0 +1,506 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWorkflow, toWorkflow, setLayoutDirectives, nodeReference, editWorkflow } from '../src/parser';
+import { sameGraph, applyGraphEdit } from '../src/graphEdits';
+import { setPinLines } from '../src/pins';
+
+// "From -> To" for each edge, with its label in brackets when it has one
+function links(graph) {
+  const label = (id) => graph.nodes.find(node => node.id === id).label;
+  return graph.edges.map(edge => `${label(edge.from)} -> ${edge.label ? `[${edge.label}] ` : ''}${label(edge.to)}`);
+}
+
+function assertRoundTrip(text) {
+  const graph = parseWorkflow(text);
+  const written = toWorkflow(graph);
+  assert.ok(sameGraph(parseWorkflow(written), graph), `round trip changed the graph:\n${written}`);
+}
+
+// user-001: multi-line statements, comments and branch blocks
+
+test('newlines separate statements', () => {
+  const graph = parseWorkflow('Start -> Load\nLoad -> Save\n\nSave -> End');
+  assert.deepEqual(links(graph), ['Start -> Load', 'Load -> Save', 'Save -> End']);
+});
+
+test('comment lines are ignored', () => {
+  const graph = parseWorkflow('# Intake\nStart -> Load\n  # indented comment\nLoad -> End');
+  assert.deepEqual(graph.nodes.map(node => node.label), ['Start', 'Load', 'End']);
+});
+
+test('a line ending in an arrow continues on the next line', () => {
+  const graph = parseWorkflow('Start ->\n  Load ->\n  End');
+  assert.deepEqual(links(graph), ['Start -> Load', 'Load -> End']);
+});
+
+test('indented lines branch from the last node of the line above', () => {
+  const graph = parseWorkflow([
+    'Start -> Qualify lead?',
+    '  yes -> Book call -> Review',
+    '  no -> Send email -> Review',
+    'Review -> End',
+  ].join('\n'));
+  assert.deepEqual(links(graph), [
+    'Start -> Qualify lead',
+    'Qualify lead -> [yes] Book call',
+    'Book call -> Review',
+    'Qualify lead -> [no] Send email',
+    'Send email -> Review',
+    'Review -> End',
+  ]);
+});
+
+test('blocks nest for multi-level decisions', () => {
+  const graph = parseWorkflow([
+    'Start -> Valid?',
+    '  yes -> In stock?',
+    '    yes -> Ship',
+    '    no -> Backorder',
+    '  no -> Reject',
+  ].join('\n'));
+  assert.deepEqual(links(graph), [
+    'Start -> Valid',
+    'Valid -> [yes] In stock',
+    'In stock -> [yes] Ship',
+    'In stock -> [no] Backorder',
+    'Valid -> [no] Reject',
+  ]);
+});
+
+test('tabs indent blocks too', () => {
+  const graph = parseWorkflow('Start -> Valid?\n\tyes -> Save\n\tno -> Fix');
+  assert.deepEqual(links(graph), ['Start -> Valid', 'Valid -> [yes] Save', 'Valid -> [no] Fix']);
+});
+
+test('multi-line documents round-trip through toWorkflow', () => {
+  assertRoundTrip([
+    '# Lead handling',
+    'Start -> Qualify lead?',
+    '  yes -> Book call -> Review',
+    '  no -> Send email -> Review',
+    'Review -> End',
+  ].join('\n'));
+});
+
+// user-002: explicit node ids
+
+test('declared ids keep repeated labels apart', () => {
+  const graph = parseWorkflow('Start -> rev1: Review draft -> Edit -> rev2: Review draft -> Publish\nrev2 -> Archive');
+  assert.deepEqual(graph.nodes.map(node => `${node.id}=${node.label}`), [
+    'node_0=Start', 'rev1=Review draft', 'node_2=Edit', 'rev2=Review draft', 'node_4=Publish', 'node_5=Archive',
+  ]);
+  assert.deepEqual(links(graph).slice(-1), ['Review draft -> Archive']);
+  assert.equal(graph.edges[4].from, 'rev2');
+});
+
+test('an id can be used before the line that declares it', () => {
+  const graph = parseWorkflow('Start -> chk\nchk: Check stock? -> Ship');
+  assert.deepEqual(links(graph), ['Start -> Check stock', 'Check stock -> Ship']);
+  assert.equal(graph.nodes[1].type, 'decision');
+});
+
+test('a word and colon nothing refers to stays part of the label', () => {
+  assert.deepEqual(links(parseWorkflow('Time: 10:30 -> Done')), ['Time: 10:30 -> Done']);
+  assert.deepEqual(links(parseWorkflow('Start -> note: Call back')), ['Start -> note: Call back']);
+});
+
+test('a label that needs an id gets one without being referred to', () => {
+  const graph = parseWorkflow('Start -> n1: yes');
+  assert.deepEqual(graph.nodes.map(node => `${node.id}=${node.label}`), ['node_0=Start', 'n1=yes']);
+});
+
+test('redeclaring an id with another label is reported', () => {
+  const graph = parseWorkflow('Start -> a: One\na: Two -> End\na -> Stop');
+  assert.deepEqual(graph.diagnostics.map(d => [d.line, d.message]), [
+    [2, 'Node id "a" is already declared as "One" on line 1; this declaration is ignored'],
+  ]);
+});
+
+test('toWorkflow writes a label that only needs its arrows taken out bare', () => {
+  const graph = {
+    nodes: [{ id: 'a', label: 'Start', type: 'process' }, { id: 'b', label: 'Load -> save', type: 'process' }],
+    edges: [{ from: 'a', to: 'b' }],
+  };
+  const written = toWorkflow(graph);
+  assert.equal(written, 'Start → Load - save\n');
+  assert.deepEqual(links(parseWorkflow(written)), ['Start -> Load - save']);
+});
+
+test('repeated labels round-trip through toWorkflow', () => {
+  assertRoundTrip('Start -> rev1: Review draft -> Edit -> rev2: Review draft -> Publish\nrev2 -> Archive');
+  assertRoundTrip('Start -> n1: yes -> n2: Time: 10:30');
+  assertRoundTrip('Time: 10:30 -> Done');
+});
+
+// user-003: branches from any named node
+
+test('"from" starts a branch at an earlier node, by label or id', () => {
+  const graph = parseWorkflow([
+    'Start -> Qualify lead? yes -> q2: Budget ok? yes -> Book call',
+    'from Qualify lead: no -> Send email -> End',
+    'from q2: no -> Nurture -> End',
+  ].join('\n'));
+  assert.deepEqual(links(graph), [
+    'Start -> Qualify lead',
+    'Qualify lead -> [yes] Budget ok',
+    'Budget ok -> [yes] Book call',
+    'Qualify lead -> [no] Send email',
+    'Send email -> End',
+    'Budget ok -> [no] Nurture',
+    'Nurture -> End',
+  ]);
+  assert.deepEqual(graph.diagnostics, []);
+});
+
+test('"from" inside a block overrides the block node', () => {
+  const graph = parseWorkflow('Start -> Check? yes -> A -> Next?\n  from Check: no -> B');
+  assert.deepEqual(links(graph).slice(-1), ['Check -> [no] B']);
+});
+
+test('"from" an unknown node creates it and says so', () => {
+  const graph = parseWorkflow('Start -> A\nfrom Ghost: -> B');
+  assert.equal(graph.diagnostics[0].message, '"from Ghost" does not match any earlier node; a new node was created');
+  assert.deepEqual([graph.diagnostics[0].line, graph.diagnostics[0].column], [2, 6]);
+});
+
+test('"from" branches round-trip through toWorkflow', () => {
+  assertRoundTrip('Start -> Qualify lead? yes -> Book call\nfrom Qualify lead: no -> Send email -> End\nfrom Book call: -> End');
+});
+
+// user-004: node shapes
+
+test('shape markers pick the node type', () => {
+  const graph = parseWorkflow('((Start)) -> [/Read input/] -> [[Validate]] -> [(Orders)] -> [~Report~] -> Done? -> End');
+  assert.deepEqual(graph.nodes.map(node => `${node.label}:${node.type}`), [
+    'Start:terminator', 'Read input:io', 'Validate:subprocess', 'Orders:database',
+    'Report:document', 'Done:decision', 'End:process',
+  ]);
+});
+
+test('a later shape marker upgrades a node first written plainly', () => {
+  const graph = parseWorkflow('Start -> End\nEnd -> ((End))');
+  assert.deepEqual(graph.nodes.map(node => `${node.label}:${node.type}`), ['Start:process', 'End:terminator']);
+});
+
+test('a shape marker after a node is not read as a bracketed edge label', () => {
+  const graph = parseWorkflow('Start -> [[Validate]] -> [/Write/]');
+  assert.deepEqual(links(graph), ['Start -> Validate', 'Validate -> Write']);
+});
+
+test('every shape round-trips through toWorkflow', () => {
+  assertRoundTrip('((Start)) -> [/Read input/] -> [[Validate]] -> [(Orders)] -> [~Report~] -> Done? yes -> ((End)); no -> Start');
+});
+
+// user-005: diagnostics with positions
+
+// [line, column, message] for each diagnostic
+function diagnosticsOf(text) {
+  return parseWorkflow(text).diagnostics.map(d => [d.line, d.column, d.message]);
+}
+
+test('unbalanced brackets are an error at the node', () => {
+  assert.deepEqual(diagnosticsOf('Start -> [Broken -> End'), [[1, 10, 'Unbalanced brackets in "[Broken"']]);
+  assert.equal(parseWorkflow('Start -> [Broken -> End').diagnostics[0].severity, 'error');
+});
+
+test('an edge label with no node before it is reported', () => {
+  assert.deepEqual(diagnosticsOf('"orphan" -> A'), [[1, 1, 'Edge label "orphan" has no node before it']]);
+});
+
+test('a decision with one way out is reported at its first mention', () => {
+  assert.deepEqual(diagnosticsOf('# check\nStart ->\n  Check? yes -> A'),
+    [[3, 3, 'Decision "Check" has only one outgoing edge']]);
+});
+
+test('unreachable nodes are reported once per region', () => {
+  assert.deepEqual(diagnosticsOf('A -> B\nC -> D -> E'),
+    [[2, 1, '"C" can\'t be reached from "A" (nor can 2 nodes after it)']]);
+});
+
+test('a clean document has no diagnostics', () => {
+  assert.deepEqual(diagnosticsOf('Start -> Valid? yes -> Save; no -> Fix'), []);
+});
+
+// user-008: lanes and groups
+
+// "label:group label" for each node
+function membership(graph) {
+  const groupLabel = (id) => graph.groups.find(group => group.id === id)?.label ?? '';
+  return graph.nodes.map(node => `${node.label}:${groupLabel(node.group)}`);
+}
+
+test('a node joins the lane or group open at its first mention', () => {
+  const graph = parseWorkflow([
+    '@lane Sales',
+    'Start -> Qualify lead?',
+    '  yes -> Book call -> End',
+    '@lane Support',
+    'from Qualify lead: no -> Send email',
+    '@group Automation',
+    'Send email -> [(CRM)]',
+    '@end',
+    'CRM -> End',
+  ].join('\n'));
+  assert.deepEqual(membership(graph), [
+    'Start:Sales', 'Qualify lead:Sales', 'Book call:Sales', 'End:Sales', 'Send email:Support', 'CRM:Automation',
+  ]);
+  assert.deepEqual(graph.groups, [
+    { id: 'lane_0', label: 'Sales', kind: 'lane' },
+    { id: 'lane_1', label: 'Support', kind: 'lane' },
+    { id: 'group_2', label: 'Automation', kind: 'group', parent: 'lane_1' },
+  ]);
+});
+
+test('reusing a lane name reopens the same lane', () => {
+  const graph = parseWorkflow('@lane A\nStart -> X\n@lane B\nX -> Y\n@lane A\nY -> Z');
+  assert.deepEqual(membership(graph), ['Start:A', 'X:A', 'Y:B', 'Z:A']);
+  assert.equal(graph.groups.length, 2);
+});
+
+test('only known directive names start a directive line', () => {
+  assert.deepEqual(links(parseWorkflow('@home -> office')), ['@home -> office']);
+  const graph = parseWorkflow('Start -> End\n@lnae Sales');
+  assert.deepEqual(graph.nodes.map(node => node.label), ['Start', 'End', '@lnae Sales']);
+  assert.equal(graph.diagnostics[0].message, 'Unknown directive "@lnae"; the line was read as a node');
+});
+
+test('an @end with nothing open is reported', () => {
+  const graph = parseWorkflow('A -> B\n@end');
+  assert.deepEqual(graph.diagnostics.map(d => [d.line, d.message]), [[2, '@end without an open @lane or @group']]);
+});
+
+test('toWorkflow keeps the node order and opens lanes around runs of nodes', () => {
+  const text = '@lane A\nStart -> X\n@lane B\nX -> Y\n@lane A\nY -> Z -> Start';
+  const written = toWorkflow(parseWorkflow(text));
+  assert.equal(written, '@lane A\nStart → X\n@end\n@lane B\nX → Y\n@end\n@lane A\nY → Z → Start\n@end\n');
+  assert.deepEqual(parseWorkflow(written).nodes.map(node => node.label), ['Start', 'X', 'Y', 'Z']);
+});
+
+test('the first node stays the start after toWorkflow', () => {
+  // Start is in no lane; listing lanes first would make Review the start
+  const graph = parseWorkflow('Start -> Review\n@lane Ops\nReview -> Ship\n@end\nShip -> Start');
+  const reread = parseWorkflow(toWorkflow(graph));
+  assert.equal(reread.nodes[0].label, 'Start');
+  assert.deepEqual(reread.diagnostics, []);
+});
+
+test('lanes, nested and empty groups round-trip through toWorkflow', () => {
+  assertRoundTrip([
+    'Start -> A',
+    '@lane L',
+    'A -> B',
+    '@group Inner',
+    'B -> C',
+    '@end',
+    '@end',
+    'C -> D',
+    '@group Empty',
+    '@end',
+    '@home -> D',
+  ].join('\n'));
+});
+
+// user-009: connector styles
+
+// "From -> To style/arrow" for each edge
+function styles(graph) {
+  return links(graph).map((link, i) => `${link} ${graph.edges[i].style || 'solid'}/${graph.edges[i].arrow || 'end'}`);
+}
+
+test('connectors pick the line style and arrowheads', () => {
+  const graph = parseWorkflow('A --> B ..> C ==> D <-> E\nA <--> C <..> E <==> B\nA -- D --- E -.- B -=- C');
+  assert.deepEqual(styles(graph), [
+    'A -> B dashed/end', 'B -> C dotted/end', 'C -> D thick/end', 'D -> E solid/both',
+    'A -> C dashed/both', 'C -> E dotted/both', 'E -> B thick/both',
+    'A -> D solid/none', 'D -> E dashed/none', 'E -> B dotted/none', 'B -> C thick/none',
+  ]);
+});
+
+test('styled connectors need spaces around them', () => {
+  const graph = parseWorkflow('a..>b -> pre==>post');
+  assert.deepEqual(links(graph), ['a..>b -> pre==>post']);
+  assert.deepEqual(graph.diagnostics.map(d => [d.column, d.message]), [
+    [1, '"a..>b" is read as one node: put spaces around "..>" to link nodes with it'],
+    [10, '"pre==>post" is read as one node: put spaces around "==>" to link nodes with it'],
+  ]);
+});
+
+test('"--" stays part of a label on a line with plain arrows', () => {
+  const graph = parseWorkflow('A -- B -> C\nC -- D');
+  assert.deepEqual(styles(graph), ['A -- B -> C solid/end', 'C -> D solid/none']);
+  assert.deepEqual(graph.diagnostics.map(d => [d.line, d.message]), [
+    [1, '"A -- B" is read as one node: "--" only links nodes on lines without "->" arrows'],
+  ]);
+});
+
+test('a line ending in a styled connector continues on the next line', () => {
+  assert.deepEqual(styles(parseWorkflow('A ..>\n  B -.-\n  C')), ['A -> B dotted/end', 'B -> C dotted/none']);
+});
+
+test('toWorkflow keeps "--" links off lines with plain arrows', () => {
+  const graph = parseWorkflow('A -> B\nB -- C\nC -> D');
+  assert.equal(toWorkflow(graph), 'A → B\nB -- C\nC → D\n');
+});
+
+test('connector styles round-trip through toWorkflow', () => {
+  assertRoundTrip('A --> B ..> C ==> D <-> E\nA <--> C <..> E <==> B\nA -- D --- E -.- B -=- C\nD -> A');
+});
+
+// user-010: free-form edge labels
+
+test('quoted and bracketed labels go next to an arrow', () => {
+  const graph = parseWorkflow([
+    'Approve? "over budget" -> Escalate; [fine] -> Pay',
+    'Send -> "if urgent" -> Call',
+    'Send -> [later] Post -> "by hand" Archive',
+  ].join('\n'));
+  assert.deepEqual(links(graph), [
+    'Approve -> [over budget] Escalate', 'Approve -> [fine] Pay',
+    'Send -> [if urgent] Call', 'Send -> [later] Post', 'Post -> [by hand] Archive',
+  ]);
+});
+
+test('brackets and quotes elsewhere belong to the node', () => {
+  assert.deepEqual(links(parseWorkflow('Submit [form] -> Review')), ['Submit [form] -> Review']);
+  assert.deepEqual(links(parseWorkflow('Send "draft" -> Review')), ['Send "draft" -> Review']);
+});
+
+test('a quoted last node is named by what is in the quotes', () => {
+  const graph = parseWorkflow('Build -> Test -> "Ship it"\nShip it -> "a -> b; c"');
+  assert.deepEqual(links(graph), ['Build -> Test', 'Test -> Ship it', 'Ship it -> a -> b; c']);
+  assert.deepEqual(graph.diagnostics, []);
+});
+
+test('@labels adds label keywords for the whole document', () => {
+  const graph = parseWorkflow('Ready? maybe -> Wait; later -> Sleep\n@labels maybe, later');
+  assert.deepEqual(links(graph), ['Ready -> [maybe] Wait', 'Ready -> [later] Sleep']);
+});
+
+test('toWorkflow writes labels after plain nodes behind the arrow', () => {
+  const graph = parseWorkflow('Send -> "if urgent" Call -> Check? "maybe" -> Done; yes -> End');
+  assert.equal(toWorkflow(graph), 'Send → "if urgent" Call → Check? "maybe" → Done\nCheck? yes → End\n');
+});
+
+test('free-form labels round-trip through toWorkflow', () => {
+  assertRoundTrip('Start -> "go; now" Next -> [later] Check? "a -> b" -> End; no -> Next');
+});
+
+// user-011: layout direction and spacing
+
+test('layout directives set the direction, spacing and routing', () => {
+  const graph = parseWorkflow('@direction lr\n@spacing 5 900\n@routing spline\nA -> B');
+  assert.deepEqual(graph.layout, { direction: 'LR', nodeSpacing: 10, rankSpacing: 400, routing: 'curved' });
+  assert.deepEqual(parseWorkflow('A -> B').layout, {});
+});
+
+test('layout directives that do not fit are reported and left out', () => {
+  const graph = parseWorkflow('@direction LR\nA -> B\n@direction up\n@spacing x');
+  assert.deepEqual(graph.layout, { direction: 'LR' });
+  assert.deepEqual(graph.diagnostics.map(d => [d.line, d.message]), [
+    [3, '@direction takes TB, LR, RL or BT'],
+    [4, '@spacing takes a node spacing and an optional rank spacing, e.g. "@spacing 40 80"'],
+  ]);
+});
+
+test('setLayoutDirectives replaces the directives and leaves out defaults', () => {
+  const layout = { direction: 'BT', nodeSpacing: 60, rankSpacing: 120, routing: 'straight' };
+  assert.equal(setLayoutDirectives('@direction LR\n# Intake\nA -> B\n@routing curved', layout), '@direction BT\n# Intake\nA -> B');
+  assert.equal(
+    setLayoutDirectives('A -> B', { ...layout, direction: 'TB', nodeSpacing: 40, routing: 'orthogonal' }),
+    '@spacing 40 120\n@routing orthogonal\nA -> B',
+  );
+});
+
+test('layouts round-trip through toWorkflow', () => {
+  const layout = { direction: 'RL', nodeSpacing: 30, rankSpacing: 200, routing: 'orthogonal' };
+  const graph = parseWorkflow('Start -> Check? yes -> End');
+  const written = toWorkflow(graph, { layout });
+  assert.deepEqual(parseWorkflow(written).layout, layout);
+  assert.ok(sameGraph(parseWorkflow(written), graph), written);
+});
+
+// user-012: pinned positions
+
+test('@pin names a node by label or id, and the last pin wins', () => {
+  const graph = parseWorkflow('Start -> rv: Review -> Done\n@pin 10 20 Start\n@pin 30 40 rv\n@pin 5 6 Done\n@pin 7 8 Done');
+  const [start, , done] = graph.nodes.map(node => node.id);
+  assert.deepEqual(graph.pins, { [start]: { x: 10, y: 20 }, rv: { x: 30, y: 40 }, [done]: { x: 7, y: 8 } });
+  assert.deepEqual(graph.nodes.map(nodeReference), ['Start', 'rv', 'Done']);
+});
+
+test('a pin for a node that is not there is reported', () => {
+  const graph = parseWorkflow('A -> B\n@pin 1 1 C');
+  assert.deepEqual(graph.pins, {});
+  assert.deepEqual(graph.diagnostics.map(d => [d.line, d.message]), [[2, '@pin "C" does not match any node']]);
+});
+
+test('pins round-trip through toWorkflow, repeated labels included', () => {
+  const graph = parseWorkflow('a: Step -> b: Step -> Done\n@pin 10 20 a\n@pin -5 8 b\n@pin 0 0 Done');
+  const written = toWorkflow(graph, { pins: graph.pins });
+  assert.ok(sameGraph(parseWorkflow(written), graph), written);
+});
+
+// user-013: canvas edits made to the text in place
+
+const EDITED = '# Intake\nStart -> Check? yes -> Save -> Done\n  no -> Fix -> Check\n@pin 10 20 Start\n';
+
+function assertEdit(text, edit, expected) {
+  const edited = editWorkflow(text, edit);
+  assert.equal(edited, expected);
+  assert.ok(sameGraph(parseWorkflow(edited), applyGraphEdit(parseWorkflow(text), edit)), `${edit.type} gave:\n${edited}`);
+}
+
+test('editing a node or edge rewrites only its own text', () => {
+  const [, , save] = parseWorkflow(EDITED).nodes.map(node => node.id);
+  assertEdit(EDITED, { type: 'updateNode', id: save, changes: { label: 'Store', type: 'database' } },
+    '# Intake\nStart -> Check? yes -> [(Store)] -> Done\n  no -> Fix -> Check\n@pin 10 20 Start\n');
+  assertEdit(EDITED, { type: 'updateEdge', index: 1, changes: { label: 'sure', style: 'dashed' } },
+    '# Intake\nStart -> Check? "sure" --> Save -> Done\n  no -> Fix -> Check\n@pin 10 20 Start\n');
+});
+
+test('deleting cuts the chains apart and keeps the rest of the block', () => {
+  const [, check] = parseWorkflow(EDITED).nodes.map(node => node.id);
+  assertEdit(EDITED, { type: 'deleteEdge', index: 1 },
+    '# Intake\nStart -> Check?\nSave -> Done\n  no -> Fix -> Check\n@pin 10 20 Start\n');
+  assertEdit(EDITED, { type: 'deleteNode', id: check },
+    '# Intake\nStart\nSave -> Done\n  no -> Fix\n@pin 10 20 Start\n');
+});
+
+test('a new edge goes on its own line before the pins', () => {
+  const [start, , , done] = parseWorkflow(EDITED).nodes.map(node => node.id);
+  assertEdit(EDITED, { type: 'addEdge', from: done, to: start },
+    '# Intake\nStart -> Check? yes -> Save -> Done\n  no -> Fix -> Check\nDone → Start\n@pin 10 20 Start\n');
+});
+
+test('edits that cannot be made in place give null', () => {
+  assert.equal(editWorkflow('A -> B', { type: 'updateNode', id: 'node_0', changes: { label: 'x -> y' } }), null);
+  assert.equal(editWorkflow('A -> B', { type: 'deleteNode', id: 'missing' }), null);
+  assert.equal(editWorkflow('A -> B -> C', { type: 'updateEdge', index: 1, changes: { arrow: 'none' } }), null);
+});
+
+test('a renamed node keeps its pin once the pin lines are written again', () => {
+  const text = 'Start -> Save\n@pin 10 20 Save';
+  const graph = parseWorkflow(text);
+  const edit = { type: 'updateNode', id: graph.nodes[1].id, changes: { label: 'Store' } };
+  const next = applyGraphEdit(graph, edit);
+  const edited = setPinLines(editWorkflow(text, edit), next.nodes
+    .filter(node => next.pins[node.id])
+    .map(node => ({ ...next.pins[node.id], ref: nodeReference(node) })));
+  assert.equal(edited, 'Start -> Store\n@pin 10 20 Store');
+  assert.ok(sameGraph(parseWorkflow(edited), next));
+});
+
+// user-016: seeded hand-drawn rendering
+
+test('@seed sets the document seed, and a bad one is reported', () => {
+  assert.equal(parseWorkflow('A -> B\n@seed 42').seed, 42);
+  const graph = parseWorkflow('A -> B\n@seed zero');
+  assert.equal(graph.seed, 1);
+  assert.deepEqual(graph.diagnostics.map(d => [d.line, d.message]), [[2, '@seed takes a positive whole number, e.g. "@seed 4821"']]);
+});
+
+test('the seed round-trips through toWorkflow', () => {
+  const graph = parseWorkflow('Start -> End');
+  assert.equal(parseWorkflow(toWorkflow(graph, { seed: 4821 })).seed, 4821);
+  assert.doesNotMatch(toWorkflow(graph, { seed: 1 }), /@seed/);
+});
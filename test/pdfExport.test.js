@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planPages, DEFAULT_PDF_OPTIONS } from '../src/pdfExport';
+
+// user-022: PDF pages and tiling
+
+test('a chart that fits goes on one page turned to match it, at full size', () => {
+  const plan = planPages(600, 400, DEFAULT_PDF_OPTIONS);
+  assert.deepEqual([plan.orientation, plan.pageWidth, plan.pageHeight], ['landscape', 297, 210]);
+  assert.deepEqual([plan.scale, plan.rows, plan.columns], [1, 1, 1]);
+  assert.equal(planPages(400, 600, DEFAULT_PDF_OPTIONS).orientation, 'portrait');
+});
+
+test('a chart too big to read on one page is split across pages', () => {
+  const plan = planPages(6000, 800, DEFAULT_PDF_OPTIONS);
+  assert.deepEqual([plan.scale, plan.rows, plan.columns], [0.5, 1, 3]);
+  assert.ok(plan.columns * plan.tileWidth >= 6000 && (plan.columns - 1) * plan.tileWidth < 6000);
+});
+
+test('without tiling the chart is shrunk onto one page', () => {
+  const plan = planPages(6000, 800, { ...DEFAULT_PDF_OPTIONS, tile: false });
+  assert.deepEqual([plan.rows, plan.columns], [1, 1]);
+  // 277mm across at 96 pixels to the inch
+  assert.ok(Math.abs(plan.scale * 6000 * 25.4 / 96 - 277) < 1e-9);
+});
+
+test('page size, orientation and margin are followed, leaving room to draw', () => {
+  const plan = planPages(400, 600, { pageSize: 'letter', orientation: 'landscape', margin: 500, tile: true });
+  assert.deepEqual([plan.pageWidth, plan.pageHeight], [279.4, 215.9]);
+  assert.equal(plan.pageHeight - 2 * plan.margin, 10);
+  assert.equal(planPages(100, 100, { ...DEFAULT_PDF_OPTIONS, pageSize: 'b5' }).pageWidth, 210);
+});
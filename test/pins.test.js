@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePin, setPinLines } from '../src/pins';
+
+// user-012: positions saved as @pin lines
+
+test('a pin line gives x, y and the node it names', () => {
+  assert.deepEqual(parsePin(' @pin -12.5, 40 Book call '), { x: -12.5, y: 40, ref: 'Book call' });
+  assert.deepEqual(parsePin('@PIN 1 2 x'), { x: 1, y: 2, ref: 'x' });
+  assert.equal(parsePin('@pin 1 Book'), null);
+});
+
+test('setPinLines replaces every pin line, commented or not, at the end', () => {
+  assert.equal(
+    setPinLines('A -> B\n@pin 1 2 A\n%% @pin 3 4 B\n\n', [{ ref: 'B', x: 10.4, y: -3.6 }], '%%'),
+    'A -> B\n%% @pin 10 -4 B',
+  );
+  assert.equal(setPinLines('A -> B\n// @pin 1 2 A', []), 'A -> B');
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SEED, parseSeed, setSeedLine, randomSeed, shapeSeed } from '../src/seed';
+
+// user-016: seeded hand-drawn rendering
+
+test('a seed line takes a positive 31-bit whole number', () => {
+  assert.equal(parseSeed(' @SEED 4821 '), 4821);
+  assert.equal(parseSeed('@seed 0'), null);
+  assert.equal(parseSeed(`@seed ${2 ** 31}`), null);
+  assert.equal(parseSeed('@seed -3'), null);
+});
+
+test('setSeedLine replaces the seed line and leaves out the default', () => {
+  assert.equal(setSeedLine('A -> B\n@seed 3\n', 7), 'A -> B\n@seed 7');
+  assert.equal(setSeedLine('flowchart LR\n  A --> B\n%% @seed 3', 9, '%%'), 'flowchart LR\n  A --> B\n%% @seed 9');
+  assert.equal(setSeedLine('A -> B\n@seed 3', DEFAULT_SEED), 'A -> B');
+});
+
+test('a new seed is never the current one', () => {
+  const random = Math.random;
+  const draws = [0, 0, 0.5];
+  Math.random = () => draws.shift();
+  try {
+    assert.equal(randomSeed(1), 1 + Math.floor(0.5 * 99999));
+  } finally {
+    Math.random = random;
+  }
+});
+
+test('shape seeds depend on the document seed and the key only', () => {
+  assert.equal(shapeSeed(4, 'node:a'), shapeSeed(4, 'node:a'));
+  assert.notEqual(shapeSeed(4, 'node:a'), shapeSeed(4, 'node:b'));
+  assert.notEqual(shapeSeed(4, 'node:a'), shapeSeed(5, 'node:a'));
+  [1, 2, 3].forEach(seed => {
+    const value = shapeSeed(seed, 'edge:0');
+    assert.ok(Number.isInteger(value) && value > 0 && value < 2 ** 31);
+  });
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShareLink, readShareLink } from '../src/share';
+import { createEmbed, readEmbed } from '../src/embed';
+import { parseWorkflow } from '../src/parser';
+import { sameGraph } from '../src/graphEdits';
+
+// The page a link is made on
+globalThis.window = { location: { href: 'https://example.com/app/?lang=en#old' } };
+
+const EMBED = createEmbed({
+  source: '# Intake\nStart -> Check? yes -> Done → ✓\n  no -> Fix -> Check\n@pin 10 20 Start\n@seed 7',
+  layout: { direction: 'LR' },
+  theme: 'dark',
+  title: 'Intake',
+});
+
+const hashOf = (link) => new URL(link).hash;
+
+// user-025: shareable links
+
+test('a link carries the chart in its fragment and reads back', async () => {
+  const link = await createShareLink(EMBED);
+  assert.match(link, /^https:\/\/example\.com\/app\/\?lang=en#chart=z[\w-]+$/);
+  const { embed, view } = await readShareLink(hashOf(link));
+  assert.deepEqual(embed, readEmbed(JSON.stringify(EMBED)));
+  assert.equal(view, false);
+  assert.ok(sameGraph(parseWorkflow(embed.source), parseWorkflow(EMBED.source)));
+});
+
+test('a view link opens read-only', async () => {
+  const link = await createShareLink(EMBED, { view: true });
+  assert.match(hashOf(link), /^#view&chart=z/);
+  assert.equal((await readShareLink(hashOf(link))).view, true);
+});
+
+test('without CompressionStream the chart goes in as plain UTF-8', async () => {
+  const { CompressionStream } = globalThis;
+  delete globalThis.CompressionStream;
+  try {
+    const link = await createShareLink(EMBED);
+    assert.match(hashOf(link), /^#chart=u/);
+    assert.deepEqual((await readShareLink(hashOf(link))).embed, readEmbed(JSON.stringify(EMBED)));
+  } finally {
+    globalThis.CompressionStream = CompressionStream;
+  }
+});
+
+test('long charts round-trip', async () => {
+  const source = Array.from({ length: 3000 }, (_, i) => `Step ${i} -> Step ${i + 1}`).join('\n');
+  const link = await createShareLink(createEmbed({ source, layout: {}, theme: null }));
+  assert.equal((await readShareLink(hashOf(link))).embed.source, source);
+});
+
+test('a hash without a chart reads as null, and a damaged one throws', async () => {
+  assert.equal(await readShareLink('#section'), null);
+  assert.equal(await readShareLink(''), null);
+  const hash = hashOf(await createShareLink(EMBED));
+  await assert.rejects(readShareLink(hash.slice(0, -12)), /incomplete or damaged/);
+  await assert.rejects(readShareLink('#chart=u!!'), /incomplete or damaged/);
+  await assert.rejects(readShareLink(`#chart=u${Buffer.from('{"app":"other"}').toString('base64url')}`), /incomplete or damaged/);
+  await assert.rejects(readShareLink('#chart=xAAAA'), /newer version/);
+});
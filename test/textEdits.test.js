@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { replaceRanges, removalOf, lineInsertion } from '../src/textEdits';
+
+// user-013: canvas edits made to the text in place
+
+test('replacements apply against the original offsets', () => {
+  assert.equal(replaceRanges('abcdef', [{ start: 1, end: 2, text: 'X' }, { start: 4, end: 4, text: 'Y' }]), 'aXcdYef');
+});
+
+test('a removal takes its line along when nothing else is on it', () => {
+  assert.deepEqual(removalOf('A -> B\nC\nD', 7, 8), { start: 7, end: 9, text: '' });
+  assert.deepEqual(removalOf('A\nB', 2, 3), { start: 1, end: 3, text: '' });
+  assert.equal(replaceRanges('A; B; C', [removalOf('A; B; C', 3, 4)]), 'A; C');
+});
+
+test('a line goes in before the closing lines', () => {
+  const text = 'A -> B\n@pin 1 2 A\n';
+  assert.equal(replaceRanges(text, [lineInsertion(text, 'C → D', /^\s*(@pin\b.*)?$/)]), 'A -> B\nC → D\n@pin 1 2 A\n');
+  assert.equal(replaceRanges('A -> B', [lineInsertion('A -> B', 'C → D', /^$/)]), 'A -> B\nC → D');
+});
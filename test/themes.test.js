@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { THEMES, DEFAULT_THEME_ID, getTheme } from '../src/themes';
+
+// user-014: visual themes
+
+// Every key path in a theme, so themes can be compared field by field
+function keyPaths(value, prefix = '') {
+  return Object.entries(value).flatMap(([key, inner]) => (inner && typeof inner === 'object'
+    ? keyPaths(inner, `${prefix}${key}.`)
+    : [`${prefix}${key}`]));
+}
+
+test('every theme sets the same fields as the default one', () => {
+  const expected = keyPaths(THEMES[DEFAULT_THEME_ID]).sort();
+  Object.entries(THEMES).forEach(([id, theme]) => {
+    assert.deepEqual(keyPaths(theme).sort(), expected, id);
+  });
+});
+
+test('unknown theme ids fall back to the default', () => {
+  assert.equal(getTheme('dark'), THEMES.dark);
+  assert.equal(getTheme('neon'), THEMES[DEFAULT_THEME_ID]);
+  assert.equal(getTheme(undefined), THEMES[DEFAULT_THEME_ID]);
+});
+
+test('the clean theme draws straight lines', () => {
+  assert.equal(THEMES.clean.roughness, 0);
+  assert.equal(THEMES.clean.fillStyle, 'solid');
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clientToView, zoomAround, zoomToBox, MAX_ZOOM, MIN_ZOOM } from '../src/viewport';
+
+// user-018: zooming and panning the view
+
+const FIT = { x: 0, y: 0, width: 100, height: 100 };
+
+test('client positions map into a letterboxed view', () => {
+  const view = { x: 0, y: 0, width: 100, height: 50 };
+  const rect = { left: 10, top: 20, width: 200, height: 200 };
+  assert.deepEqual(clientToView(view, rect, { x: 110, y: 120 }), { x: 50, y: 25 });
+  assert.deepEqual(clientToView(view, rect, { x: 10, y: 20 }), { x: 0, y: -25 });
+});
+
+test('zooming keeps the anchor point in place', () => {
+  const view = zoomAround(FIT, FIT, 2, { x: 20, y: 20 });
+  assert.deepEqual(view, { x: 10, y: 10, width: 50, height: 50 });
+  assert.equal((20 - view.x) / view.width, (20 - FIT.x) / FIT.width);
+});
+
+test('zooming stops at the limits', () => {
+  assert.equal(zoomAround(FIT, FIT, 1000, { x: 50, y: 50 }).width, FIT.width / MAX_ZOOM);
+  assert.equal(zoomAround(FIT, FIT, 1 / 1000, { x: 50, y: 50 }).width, FIT.width / MIN_ZOOM);
+});
+
+test('zooming to a box centres it and keeps the view\'s shape', () => {
+  const current = { x: 0, y: 0, width: 200, height: 100 };
+  assert.deepEqual(zoomToBox(current, { x: 40, y: 40, width: 100, height: 20 }, FIT), { x: 40, y: 25, width: 100, height: 50 });
+  // A box smaller than the closest zoom allows gets the closest zoom
+  assert.equal(zoomToBox(current, { x: 0, y: 0, width: 1, height: 1 }, FIT).width, FIT.width / MAX_ZOOM);
+});